@@ -1,4 +1,6 @@
 const User = require('../models/User');
+const Media = require('../models/Media');
+const storage = require('../storage');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -21,7 +23,7 @@ const generateTokens = (user) => {
 
 // Helper function to prepare user response
 const prepareUserResponse = (user) => {
-  const userObj = user.toObject();
+  const userObj = user.toJSON();
   delete userObj.password;
   
   // Ensure name is set
@@ -31,9 +33,9 @@ const prepareUserResponse = (user) => {
     userObj.name = userObj.businessName;
   }
 
-  // Ensure profile picture is set
+  // Users without a picture get the shared default, shaped like a Media response
   if (!userObj.profilePicture) {
-    userObj.profilePicture = `http://localhost:5000/uploads/profiles/default-profile.png`;
+    userObj.profilePicture = { url: storage.url('profiles/default-profile.png'), variants: null };
   }
 
   return userObj;
@@ -128,9 +130,7 @@ const authController = {
         password,
         phoneNumber: phoneNumber.trim(),
         userType: userType.trim(),
-        profilePicture: req.file 
-          ? `http://localhost:5000/uploads/profiles/${req.file.filename}`
-          : `http://localhost:5000/uploads/profiles/default-profile.png`,
+        profilePicture: req.file ? req.file.media._id : null,
         createdAt: new Date()
       };
 
@@ -178,6 +178,12 @@ const authController = {
       const user = new User(userData);
       await user.save();
 
+      // The picture was uploaded before the account existed
+      if (req.file) {
+        await Media.updateOne({ _id: req.file.media._id }, { owner: user._id });
+        await user.populate('profilePicture');
+      }
+
       // Generate tokens
       const { token, refreshToken } = generateTokens(user);
 
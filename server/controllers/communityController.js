@@ -13,7 +13,7 @@ const communityController = {
         description,
         createdBy: req.user._id,
         members: [req.user._id],
-        image: req.file ? req.file.filename : null
+        image: req.file ? req.file.media._id : null
       });
 
       await community.save();
@@ -134,7 +134,7 @@ const communityController = {
         content,
         sender: req.user._id,
         community: req.params.id,
-        image: req.file ? req.file.filename : null
+        image: req.file ? req.file.media._id : null
       });
 
       await message.save();
@@ -0,0 +1,19 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Like auth, but for public routes that show more to signed-in users: sets
+// req.user when a valid token is sent and otherwise carries on anonymously
+module.exports = async function(req, res, next) {
+  const authHeader = req.header('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+    req.user = await User.findById(decoded.userId);
+  } catch (error) {
+    req.user = null;
+  }
+  next();
+};
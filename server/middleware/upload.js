@@ -1,32 +1,222 @@
 const multer = require('multer');
-const path = require('path');
+const storage = require('../storage');
+const { privateStorage } = require('../storage');
+const Media = require('../models/Media');
+const {
+  PRIMARY_SIZE,
+  PRIMARY_FORMAT,
+  variantFilename,
+  processImage
+} = require('../utils/imagePipeline');
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/');
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB limit
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Uploads are kept in memory only until they have been processed and stored
+const multerUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE
   },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + path.extname(file.originalname));
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Images only (jpeg, jpg, png, webp, gif)!'));
+    }
   }
 });
 
-// File filter
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Not an image! Please upload only images.'), false);
+const storageKey = (folder, filename) => (folder ? `${folder}/${filename}` : filename);
+
+// Process one upload, write every variant to storage and record it as a
+// Media document. Afterwards file.media is what documents should reference.
+const storeFile = async (file, { folder, prefix, kind, owner }) => {
+  const { width, height, variants } = await processImage(file.buffer);
+  const baseName = `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+
+  const stored = [];
+  try {
+    for (const variant of variants) {
+      const filename = variantFilename(baseName, variant.size, variant.format);
+      await storage.put(storageKey(folder, filename), variant.buffer, variant.contentType);
+      stored.push({ size: variant.size, format: variant.format, filename, width: variant.width, height: variant.height });
+    }
+  } catch (error) {
+    await storage.delete(stored.map(v => storageKey(folder, v.filename)));
+    throw error;
+  }
+
+  const primary = stored.find(v => v.size === PRIMARY_SIZE && v.format === PRIMARY_FORMAT);
+  const media = new Media({
+    owner,
+    kind,
+    key: storageKey(folder, primary.filename),
+    contentType: 'image/jpeg',
+    width,
+    height,
+    variants: stored.map(v => ({
+      size: v.size,
+      format: v.format,
+      key: storageKey(folder, v.filename),
+      width: v.width,
+      height: v.height
+    }))
+  });
+  try {
+    await media.save();
+  } catch (error) {
+    await storage.delete(media.storageKeys());
+    throw error;
   }
+
+  Object.assign(file, {
+    filename: primary.filename,
+    key: media.key,
+    url: media.url,
+    mimetype: 'image/jpeg',
+    width,
+    height,
+    media
+  });
+  // The raw upload may carry EXIF/GPS metadata, so it is never kept
+  delete file.buffer;
 };
 
-// Create multer upload instance
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
+/**
+ * Build upload middleware for a route: parses the multipart field, processes
+ * each image into the standard sizes (see utils/imagePipeline), saves them
+ * through the configured storage driver under `folder` and creates a Media
+ * document of the given kind, owned by the authenticated user if there is one.
+ *
+ * options: { folder, prefix, kind, field, maxCount } — maxCount makes it a multi-file field
+ */
+const createUpload = ({ folder, prefix, kind, field, maxCount }) => {
+  const parse = maxCount ? multerUpload.array(field, maxCount) : multerUpload.single(field);
+
+  return (req, res, next) => {
+    parse(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ message: err.message });
+      }
+
+      const files = req.file ? [req.file] : (Array.isArray(req.files) ? req.files : []);
+      const done = [];
+      try {
+        for (const file of files) {
+          await storeFile(file, { folder, prefix, kind, owner: req.user ? req.user._id : null });
+          done.push(file);
+        }
+        next();
+      } catch (error) {
+        console.error('Image upload error:', error);
+        await Media.removeWithFiles(done.map(file => file.media));
+        res.status(400).json({
+          message: 'Could not process image',
+          details: error.message
+        });
+      }
+    });
+  };
+};
+
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024; // 10MB limit
+const DOCUMENT_MIME_TYPES = ['application/pdf', ...ALLOWED_MIME_TYPES];
+
+const multerDocumentUpload = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: MAX_DOCUMENT_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Documents must be PDFs or images (jpeg, jpg, png, webp, gif)!'));
+    }
   }
 });
 
-module.exports = upload; 
\ No newline at end of file
+// Store a document in private storage. PDFs are kept as uploaded; images are
+// re-encoded as full-size JPEGs so their EXIF/GPS metadata is dropped.
+const storeDocument = async (file, { folder, prefix }) => {
+  const baseName = `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  let buffer = file.buffer;
+  let contentType = file.mimetype;
+  let filename = `${baseName}.pdf`;
+
+  if (contentType === 'application/pdf') {
+    if (buffer.toString('ascii', 0, 5) !== '%PDF-') {
+      throw new Error('File is not a valid PDF');
+    }
+  } else {
+    const { variants } = await processImage(buffer);
+    const primary = variants.find(v => v.size === PRIMARY_SIZE && v.format === PRIMARY_FORMAT);
+    buffer = primary.buffer;
+    contentType = primary.contentType;
+    filename = `${baseName}.jpg`;
+  }
+
+  const key = storageKey(folder, filename);
+  await privateStorage.put(key, buffer, contentType);
+  Object.assign(file, { key, contentType, size: buffer.length });
+  delete file.buffer;
+};
+
+/**
+ * Build upload middleware for a single private document (PDF or image) in
+ * `field`. The file is written to private storage under `folder`; afterwards
+ * req.file has key, contentType, size and originalname.
+ */
+const createDocumentUpload = ({ folder, prefix, field }) => {
+  const parse = multerDocumentUpload.single(field);
+
+  return (req, res, next) => {
+    parse(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ message: err.message });
+      }
+      if (!req.file) return next();
+
+      try {
+        await storeDocument(req.file, { folder, prefix });
+        next();
+      } catch (error) {
+        console.error('Document upload error:', error);
+        res.status(400).json({
+          message: 'Could not store document',
+          details: error.message
+        });
+      }
+    });
+  };
+};
+
+/**
+ * Run a route's permission check before its upload middleware, so requests
+ * that will be refused are answered before any image is read or processed.
+ * `check(req, res)` returns something truthy to go on, or responds itself
+ * and returns null (the routes' find* helpers work as is).
+ */
+const authorizeUpload = (check) => async (req, res, next) => {
+  try {
+    if (await check(req, res)) next();
+  } catch (error) {
+    console.error('Upload authorization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Delete what a request uploaded, e.g. when the handler rejects the request
+const removeUploads = async (req) => {
+  const files = req.file ? [req.file] : (Array.isArray(req.files) ? req.files : []);
+  await Media.removeWithFiles(files.map(file => file.media));
+};
+
+module.exports = {
+  createUpload,
+  createDocumentUpload,
+  authorizeUpload,
+  removeUploads,
+  storageKey
+};
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const CONTRACT_PARTIES = ['seller', 'adopter'];
+
+const partySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: String,
+  businessName: String,
+  email: String,
+  address: String
+}, { _id: false });
+
+const acceptanceSchema = new mongoose.Schema({
+  party: {
+    type: String,
+    enum: CONTRACT_PARTIES,
+    required: true
+  },
+  acceptedAt: Date,
+  ip: String
+}, { _id: false });
+
+// The signed record of an adoption agreed in chat: what both sides accepted,
+// copied at the time, and the PDF generated from it. Contracts never change;
+// the PDF's SHA-256 shows whether a copy has been altered.
+const adoptionContractSchema = new mongoose.Schema({
+  adoptionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdoptionRequest',
+    required: true,
+    unique: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  seller: {
+    type: partySchema,
+    required: true
+  },
+  adopter: {
+    type: partySchema,
+    required: true
+  },
+  petDetails: {
+    name: String,
+    type: { type: String },
+    breed: String,
+    gender: String,
+    birthDate: Date,
+    microchipNumber: String
+  },
+  fee: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  // Terms with the placeholders filled in
+  terms: {
+    type: String,
+    required: true
+  },
+  acceptances: [acceptanceSchema],
+  // The PDF in private storage
+  file: {
+    key: {
+      type: String,
+      required: true
+    },
+    size: Number,
+    sha256: {
+      type: String,
+      required: true
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+adoptionContractSchema.index({ 'seller.user': 1, createdAt: -1 });
+adoptionContractSchema.index({ 'adopter.user': 1, createdAt: -1 });
+
+const rejectChange = function(next) {
+  next(new Error('Adoption contracts cannot be changed'));
+};
+
+adoptionContractSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'].forEach(operation => {
+  adoptionContractSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('AdoptionContract', adoptionContractSchema);
+module.exports.CONTRACT_PARTIES = CONTRACT_PARTIES;
@@ -1,5 +1,53 @@
 const mongoose = require('mongoose');
 
+// Statuses a request may move to from each status, and the party allowed to
+// move it there. Waitlisted requests wait behind an approved one for the same pet.
+// When an approved adoption falls through, the next request in the pet's queue
+// is offered the pet and its applicant confirms (approved) or declines in time;
+// offers left too long become expired.
+const REQUEST_TRANSITIONS = {
+  pending: { under_review: 'seller', rejected: 'seller', withdrawn: 'applicant' },
+  under_review: { approved: 'seller', rejected: 'seller', withdrawn: 'applicant' },
+  waitlisted: { under_review: 'seller', rejected: 'seller', withdrawn: 'applicant' },
+  offered: { approved: 'applicant', rejected: 'seller', withdrawn: 'applicant' },
+  approved: { completed: 'seller', rejected: 'seller', withdrawn: 'applicant' },
+  rejected: {},
+  completed: {},
+  withdrawn: {},
+  expired: {}
+};
+const REQUEST_STATUSES = Object.keys(REQUEST_TRANSITIONS);
+// Requests still waiting in the pet's queue, and those that also count as a
+// live application for the pet
+const OPEN_REQUEST_STATUSES = ['pending', 'under_review', 'waitlisted'];
+const ACTIVE_REQUEST_STATUSES = [...OPEN_REQUEST_STATUSES, 'offered', 'approved'];
+
+const historySchema = new mongoose.Schema({
+  status: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An answer to one question of the pet's application form. The label and type
+// are copied so the answer still reads correctly if the form changes later.
+const answerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  label: String,
+  type: String,
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
 const adoptionRequestSchema = new mongoose.Schema({
   petId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,13 +66,62 @@ const adoptionRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: REQUEST_STATUSES,
     default: 'pending'
   },
+  // Place in the pet's queue, lowest first; set by the seller's ranking
+  queuePosition: {
+    type: Number,
+    default: null
+  },
+  // Deadline for confirming an offered pet
+  offerExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Status changes after the request was made, oldest first
+  history: {
+    type: [historySchema],
+    default: []
+  },
+  applicationForm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApplicationForm',
+    default: null
+  },
+  answers: {
+    type: [answerSchema],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-module.exports = mongoose.model('AdoptionRequest', adoptionRequestSchema); 
\ No newline at end of file
+/**
+ * The party ('seller' or 'applicant') allowed to move a request from one
+ * status to another, or undefined when the move is not allowed at all.
+ */
+adoptionRequestSchema.statics.transitionParty = function(from, to) {
+  return (REQUEST_TRANSITIONS[from] || {})[to];
+};
+
+adoptionRequestSchema.index({ sellerId: 1, 'answers.question': 1 });
+adoptionRequestSchema.index({ petId: 1, status: 1 });
+adoptionRequestSchema.index({ status: 1, offerExpiresAt: 1 });
+// At most one active request per applicant and pet (a partial filter with $in needs MongoDB 6.0+)
+adoptionRequestSchema.index(
+  { petId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_REQUEST_STATUSES } } }
+);
+
+module.exports = mongoose.model('AdoptionRequest', adoptionRequestSchema);
+module.exports.REQUEST_TRANSITIONS = REQUEST_TRANSITIONS;
+module.exports.REQUEST_STATUSES = REQUEST_STATUSES;
+module.exports.OPEN_REQUEST_STATUSES = OPEN_REQUEST_STATUSES;
+module.exports.ACTIVE_REQUEST_STATUSES = ACTIVE_REQUEST_STATUSES;
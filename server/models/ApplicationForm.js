@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['yes_no', 'choice', 'text', 'number'];
+
+const questionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Answers a choice question accepts; `multiple` allows picking several
+  options: {
+    type: [String],
+    default: undefined
+  },
+  multiple: {
+    type: Boolean,
+    default: false
+  },
+  // Limits for number answers
+  min: Number,
+  max: Number,
+  helpText: {
+    type: String,
+    trim: true
+  }
+});
+
+// A seller's reusable adoption questionnaire. Pets point at one through
+// pet.applicationForm and applicants answer it when requesting to adopt.
+const applicationFormSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: questions => questions.length > 0,
+      message: 'A form needs at least one question'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+applicationFormSchema.index({ seller: 1, name: 1 });
+
+module.exports = mongoose.model('ApplicationForm', applicationFormSchema);
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
+module.exports.questionSchema = questionSchema;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const APPOINTMENT_STATUSES = ['booked', 'cancelled'];
+
+// A meet-and-greet visit an applicant booked in one of the shelter's slots
+const appointmentSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  adoptionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdoptionRequest',
+    required: true
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilitySlot',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: APPOINTMENT_STATUSES,
+    default: 'booked'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  // Bumped on every change so calendar apps pick up the new version
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One booked visit per adoption request at a time
+appointmentSchema.index(
+  { adoptionRequest: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+appointmentSchema.index({ business: 1, startsAt: 1 });
+appointmentSchema.index({ applicant: 1, startsAt: 1 });
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
+module.exports.APPOINTMENT_STATUSES = APPOINTMENT_STATUSES;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A weekly meet-and-greet slot a shelter publishes, e.g. Saturdays 10:00 for
+// 30 minutes with room for 3 visits. Bookable times are worked out from it.
+const availabilitySlotSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 0 = Sunday ... 6 = Saturday, in the slot's time zone
+  weekday: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // Local start time, "HH:MM"
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 5,
+    max: 480
+  },
+  // Appointments that can share one occurrence of the slot
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  // IANA time zone, e.g. "Europe/London"
+  timezone: {
+    type: String,
+    required: true,
+    default: 'UTC'
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  // Inactive slots take no new bookings; booked appointments stay
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+availabilitySlotSchema.index({ business: 1, active: 1 });
+
+module.exports = mongoose.model('AvailabilitySlot', availabilitySlotSchema);
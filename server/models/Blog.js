@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const populateMedia = require('./plugins/populateMedia');
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -15,7 +16,9 @@ const blogSchema = new mongoose.Schema({
     required: true
   },
   image: {
-    type: String
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
   },
   author: {
     type: mongoose.Schema.Types.ObjectId,
@@ -61,6 +64,8 @@ const blogSchema = new mongoose.Schema({
   timestamps: true
 });
 
+blogSchema.plugin(populateMedia, { paths: ['image'] });
+
 // Add text indexes for search functionality
 blogSchema.index({ title: 'text', content: 'text', tags: 'text' });
 
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const CAMPAIGN_STATUSES = ['active', 'closed'];
+
+// A shelter's fundraiser, for one animal (pet) or for general needs
+const campaignSchema = new mongoose.Schema({
+  shelter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  goalAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  deadline: {
+    type: Date,
+    required: true
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: CAMPAIGN_STATUSES,
+    default: 'active'
+  },
+  // Totals of succeeded donations, kept up to date as payments settle
+  raisedAmount: {
+    type: Number,
+    default: 0
+  },
+  donationCount: {
+    type: Number,
+    default: 0
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Donations are accepted until the deadline or until the shelter closes it
+campaignSchema.virtual('isOpen').get(function() {
+  return this.status === 'active' && this.deadline > new Date();
+});
+
+// Share of the goal raised so far, in percent (can pass 100)
+campaignSchema.virtual('progress').get(function() {
+  return this.goalAmount ? Math.round((this.raisedAmount / this.goalAmount) * 1000) / 10 : 0;
+});
+
+campaignSchema.index({ status: 1, deadline: 1 });
+campaignSchema.index({ shelter: 1, createdAt: -1 });
+campaignSchema.index({ pet: 1 });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
+module.exports.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
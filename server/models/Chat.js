@@ -41,6 +41,17 @@ const chatSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When and from where each side accepted, for the adoption contract
+  buyerAcceptedAt: {
+    type: Date,
+    default: null
+  },
+  buyerAcceptedIp: String,
+  sellerAcceptedAt: {
+    type: Date,
+    default: null
+  },
+  sellerAcceptedIp: String,
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const populateMedia = require('./plugins/populateMedia');
+const { questionSchema } = require('./ApplicationForm');
+
+// Scheduled check-ins wait for the adopter; cancelled ones are no longer
+// needed, e.g. because the pet was returned
+const CHECK_IN_STATUSES = ['scheduled', 'submitted', 'cancelled'];
+
+const answerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  label: String,
+  type: String,
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// A follow-up the adopter owes the shelter some time after an adoption: a
+// short update with photos and answers to the shelter's wellbeing questions
+const checkInSchema = new mongoose.Schema({
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  adopter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  adoptionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdoptionRequest',
+    default: null
+  },
+  // e.g. "1 month", from the shelter's settings at the time of adoption
+  label: {
+    type: String,
+    required: true
+  },
+  offsetDays: {
+    type: Number,
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  // The questions as they were when the check-in was scheduled
+  questions: [questionSchema],
+  status: {
+    type: String,
+    enum: CHECK_IN_STATUSES,
+    default: 'scheduled'
+  },
+  text: {
+    type: String,
+    trim: true
+  },
+  answers: {
+    type: [answerSchema],
+    default: []
+  },
+  images: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the check-in was flagged to the shelter as overdue
+  overdueAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+checkInSchema.plugin(populateMedia, { paths: ['images'] });
+
+checkInSchema.index({ business: 1, dueAt: 1 });
+checkInSchema.index({ adopter: 1, status: 1, dueAt: 1 });
+checkInSchema.index({ status: 1, dueAt: 1 });
+checkInSchema.index({ pet: 1, status: 1 });
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
+module.exports.CHECK_IN_STATUSES = CHECK_IN_STATUSES;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { questionSchema } = require('./ApplicationForm');
+
+const offsetSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  days: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 3650
+  }
+}, { _id: false });
+
+// When a shelter follows up after an adoption and what it asks the adopter.
+// Shelters without settings use the defaults in utils/checkIns.
+const checkInSettingsSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  offsets: [offsetSchema],
+  questions: [questionSchema],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('CheckInSettings', checkInSettingsSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const populateMedia = require('./plugins/populateMedia');
 
 const communitySchema = new mongoose.Schema({
   name: {
@@ -11,7 +12,8 @@ const communitySchema = new mongoose.Schema({
     required: true
   },
   image: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
     default: null
   },
   createdBy: {
@@ -29,4 +31,6 @@ const communitySchema = new mongoose.Schema({
   }
 });
 
+communitySchema.plugin(populateMedia, { paths: ['image'] });
+
 module.exports = mongoose.model('Community', communitySchema); 
\ No newline at end of file
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A shelter's own wording for its adoption contracts. The terms may use the
+// placeholders listed in utils/adoptionContracts (e.g. {{petName}}).
+const contractTemplateSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  terms: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ContractTemplate', contractTemplateSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const DONATION_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// One donation to a campaign and the state of its payment
+const donationSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  // null for guests
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  donorName: {
+    type: String,
+    trim: true
+  },
+  donorEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Hide the donor's name on the public donor wall
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DONATION_STATUSES,
+    default: 'pending'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: {
+    type: String
+  },
+  failureReason: {
+    type: String
+  },
+  receiptNumber: {
+    type: String
+  },
+  // Lets guests download their receipt without an account
+  receiptToken: {
+    type: String,
+    select: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+donationSchema.index(
+  { provider: 1, providerPaymentId: 1 },
+  { unique: true, partialFilterExpression: { providerPaymentId: { $type: 'string' } } }
+);
+donationSchema.index({ campaign: 1, status: 1, completedAt: -1 });
+donationSchema.index({ donor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Donation', donationSchema);
+module.exports.DONATION_STATUSES = DONATION_STATUSES;
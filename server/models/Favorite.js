@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  // Pet status when it was favorited, to tell the user what has changed since
+  statusAtSave: {
+    type: String,
+    enum: ['available', 'pending', 'adopted', 'sold'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+favoriteSchema.index({ user: 1, pet: 1 }, { unique: true });
+favoriteSchema.index({ pet: 1 });
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
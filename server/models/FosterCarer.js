@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const FOSTER_CARER_STATUSES = ['pending', 'approved', 'rejected', 'inactive'];
+
+// A regular user's application to foster for a shelter; approved carers can
+// be given foster placements by that shelter
+const fosterCarerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shelter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: FOSTER_CARER_STATUSES,
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  experience: {
+    type: String,
+    trim: true
+  },
+  // Most pets the carer can look after at once; null for no limit
+  capacity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fosterCarerSchema.index({ user: 1, shelter: 1 }, { unique: true });
+fosterCarerSchema.index({ shelter: 1, status: 1 });
+
+module.exports = mongoose.model('FosterCarer', fosterCarerSchema);
+module.exports.FOSTER_CARER_STATUSES = FOSTER_CARER_STATUSES;
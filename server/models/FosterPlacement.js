@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const FOSTER_PLACEMENT_STATUSES = ['active', 'ended'];
+
+// A pet staying with a foster carer for a shelter. A pet has at most one
+// active placement.
+const fosterPlacementSchema = new mongoose.Schema({
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  shelter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  carer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Planned end while active, the actual end once ended
+  endDate: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: FOSTER_PLACEMENT_STATUSES,
+    default: 'active'
+  },
+  endReason: {
+    type: String,
+    trim: true
+  },
+  // Care instructions from the shelter
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fosterPlacementSchema.index(
+  { pet: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+fosterPlacementSchema.index({ shelter: 1, status: 1 });
+fosterPlacementSchema.index({ carer: 1, status: 1 });
+
+module.exports = mongoose.model('FosterPlacement', fosterPlacementSchema);
+module.exports.FOSTER_PLACEMENT_STATUSES = FOSTER_PLACEMENT_STATUSES;
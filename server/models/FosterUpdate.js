@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const populateMedia = require('./plugins/populateMedia');
+
+// A care update with photos posted by a foster carer for the shelter
+const fosterUpdateSchema = new mongoose.Schema({
+  placement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FosterPlacement',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    trim: true
+  },
+  images: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fosterUpdateSchema.plugin(populateMedia, { paths: ['images'] });
+
+fosterUpdateSchema.index({ placement: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FosterUpdate', fosterUpdateSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const LISTING_EVENT_TYPES = ['view', 'favorite', 'request', 'approval', 'adoption'];
+
+// One thing that happened to a pet listing, counted in seller analytics
+const listingEventSchema = new mongoose.Schema({
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LISTING_EVENT_TYPES,
+    required: true
+  },
+  // Views only: "<pet>:<viewer>:<YYYY-MM-DD>", so each viewer counts once per day
+  dedupeKey: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+listingEventSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+listingEventSchema.index({ seller: 1, createdAt: 1 });
+listingEventSchema.index({ pet: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ListingEvent', listingEventSchema);
+module.exports.LISTING_EVENT_TYPES = LISTING_EVENT_TYPES;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const storage = require('../storage');
+
+const MEDIA_KINDS = ['pet', 'profile', 'blog', 'community', 'message', 'post', 'report', 'foster', 'checkin'];
+
+const variantSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// One uploaded image: where it is stored and how to describe it. Every model
+// that shows images references these documents instead of storing paths.
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: MEDIA_KINDS,
+    required: true
+  },
+  // Storage key of the primary (full-size JPEG, or the original for legacy uploads)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  contentType: {
+    type: String
+  },
+  width: Number,
+  height: Number,
+  variants: [variantSchema],
+  altText: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Shown under the image, e.g. in a pet's gallery
+  caption: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      // Storage keys are an implementation detail; clients get URLs
+      delete ret.key;
+      delete ret.__v;
+      ret.variants = doc.variantUrls;
+      delete ret.variantUrls;
+      return ret;
+    }
+  }
+});
+
+// Public URL of the primary image, built from the configured media base URL
+mediaSchema.virtual('url').get(function() {
+  return storage.url(this.key);
+});
+
+// { thumbnail: { webp, jpeg }, card: {...}, full: {...} }, or null for legacy uploads
+mediaSchema.virtual('variantUrls').get(function() {
+  if (!this.variants || !this.variants.length) return null;
+  const urls = {};
+  this.variants.forEach(variant => {
+    urls[variant.size] = urls[variant.size] || {};
+    urls[variant.size][variant.format] = storage.url(variant.key);
+  });
+  return urls;
+});
+
+// Every storage key belonging to this image
+mediaSchema.methods.storageKeys = function() {
+  const keys = new Set([this.key]);
+  (this.variants || []).forEach(variant => keys.add(variant.key));
+  return [...keys];
+};
+
+// Delete media documents together with every stored file they point at.
+// Accepts documents or ids; nulls are ignored.
+mediaSchema.statics.removeWithFiles = async function(items) {
+  const ids = [].concat(items || []).filter(Boolean).map(item => item._id || item);
+  if (!ids.length) return;
+
+  const media = await this.find({ _id: { $in: ids } });
+  await storage.delete(media.flatMap(item => item.storageKeys()));
+  await this.deleteMany({ _id: { $in: media.map(item => item._id) } });
+};
+
+mediaSchema.index({ owner: 1, kind: 1 });
+
+const Media = mongoose.model('Media', mediaSchema);
+
+module.exports = Media;
+module.exports.MEDIA_KINDS = MEDIA_KINDS;
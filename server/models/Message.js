@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const populateMedia = require('./plugins/populateMedia');
 
 const messageSchema = new mongoose.Schema({
   content: {
@@ -17,7 +18,8 @@ const messageSchema = new mongoose.Schema({
     required: true
   },
   image: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
     default: null
   },
   createdAt: {
@@ -26,4 +28,6 @@ const messageSchema = new mongoose.Schema({
   }
 });
 
+messageSchema.plugin(populateMedia, { paths: ['image'] });
+
 module.exports = mongoose.model('Message', messageSchema); 
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Something the user should know about, shown in their notification list
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'listing_expiring', 'listing_archived', 'listing_published', 'report_match', 'report_expired',
+      'foster_application', 'foster_application_decided', 'foster_placement', 'foster_update',
+      'donation_received', 'adoption_request', 'appointment', 'check_in_due', 'check_in_overdue',
+      'check_in_submitted', 'pet_return'
+    ],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    default: null
+  },
+  // Lost or found report the notification is about
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PetReport',
+    default: null
+  },
+  adoptionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdoptionRequest',
+    default: null
+  },
+  petReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PetReturn',
+    default: null
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
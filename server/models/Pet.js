@@ -1,4 +1,154 @@
 const mongoose = require('mongoose');
+const { ageInMonths, lifeStageFor } = require('../utils/petAge');
+const populateMedia = require('./plugins/populateMedia');
+const PetStatusChange = require('./PetStatusChange');
+
+// Statuses of listings the public can see; the rest belong to the listing
+// lifecycle and are only shown to the seller
+const PUBLIC_STATUSES = ['available', 'pending', 'adopted', 'sold'];
+const LIFECYCLE_STATUSES = ['draft', 'scheduled', 'archived'];
+
+// Statuses a listing may move to from each status. A pet is only adopted by
+// completing an adoption request, which first makes it pending; sold is kept
+// for older listings. Adopted pets only become available again through a
+// return record.
+const STATUS_TRANSITIONS = {
+  draft: ['scheduled', 'available'],
+  scheduled: ['available'],
+  available: ['pending', 'archived'],
+  pending: ['available', 'adopted'],
+  adopted: [],
+  sold: [],
+  archived: ['available']
+};
+// Sold pets have no adopter to return them, so only adopted pets come back
+const RETURNABLE_STATUSES = ['adopted'];
+
+// Drafts may be saved before every field is filled in
+function isListed() {
+  return this.status !== 'draft';
+}
+
+const SPAY_NEUTER_STATUSES = ['unknown', 'intact', 'spayed', 'neutered'];
+// Who may see a vet document: anyone, people who applied to adopt, or only
+// the seller and adopter
+const DOCUMENT_VISIBILITIES = ['public', 'applicants', 'private'];
+
+const vaccinationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dateGiven: Date,
+  dueDate: Date,
+  veterinarian: {
+    type: String,
+    trim: true
+  },
+  notes: String
+});
+
+const conditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  diagnosedAt: Date,
+  notes: String
+});
+
+const medicationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dosage: String,
+  frequency: String,
+  startDate: Date,
+  endDate: Date
+});
+
+// Vet documents live in private storage and are downloaded through the API
+const medicalDocumentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  filename: String,
+  contentType: String,
+  size: Number,
+  visibility: {
+    type: String,
+    enum: DOCUMENT_VISIBILITIES,
+    default: 'private'
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.key;
+      return ret;
+    }
+  }
+});
+
+const medicalSchema = new mongoose.Schema({
+  vaccinations: [vaccinationSchema],
+  spayNeuterStatus: {
+    type: String,
+    enum: SPAY_NEUTER_STATUSES,
+    default: 'unknown'
+  },
+  spayNeuterDate: Date,
+  // The number itself is only loaded for the seller and adopter
+  microchipNumber: {
+    type: String,
+    trim: true,
+    select: false
+  },
+  microchipped: {
+    type: Boolean,
+    default: false
+  },
+  conditions: [conditionSchema],
+  medications: [medicationSchema],
+  documents: [medicalDocumentSchema],
+  // Set when the adoption completes and the adopter takes over the records
+  transferredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  transferredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: false,
+  // Documents are only served through /api/pets/:id/medical, which filters
+  // them by visibility (see utils/petMedical medicalView)
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.documents;
+      return ret;
+    }
+  }
+});
 
 const petSchema = new mongoose.Schema({
   name: {
@@ -8,50 +158,94 @@ const petSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    required: true,
+    required: isListed,
     trim: true
   },
   breed: {
     type: String,
-    required: true,
+    required: isListed,
     trim: true
   },
+  // Actual or estimated date of birth; age and life stage are computed from it.
+  // Required by the API, but left optional here so pets awaiting the age
+  // migration can still be saved.
+  birthDate: {
+    type: Date
+  },
+  // True when birthDate was derived from an approximate age
+  ageIsEstimate: {
+    type: Boolean,
+    default: false
+  },
+  // Free-text age label as entered by the seller (legacy, display only)
   age: {
     type: String,
-    required: true,
     trim: true
   },
   gender: {
     type: String,
-    required: true,
+    required: isListed,
     enum: ['male', 'female']
   },
   price: {
     type: Number,
-    required: true,
+    required: isListed,
     min: 0
   },
   description: {
     type: String,
-    required: true
+    required: isListed
   },
   images: [{
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
   }],
   status: {
     type: String,
     required: true,
-    enum: ['available', 'pending', 'adopted', 'sold'],
+    enum: [...PUBLIC_STATUSES, ...LIFECYCLE_STATUSES],
     default: 'available'
   },
+  // Listing lifecycle: a scheduled listing goes live at publishAt, and an
+  // available one is archived at expiresAt unless the seller renews it
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  expiryWarningSentAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Free-text health summary; structured records are in medical
   healthInfo: {
     type: String,
-    required: true
+    required: isListed
+  },
+  medical: {
+    type: medicalSchema,
+    default: () => ({})
   },
   requirements: {
     type: String,
-    required: true
+    required: isListed
+  },
+  // Questionnaire applicants answer when requesting to adopt
+  applicationForm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApplicationForm',
+    default: null
   },
   seller: {
     type: mongoose.Schema.Types.ObjectId,
@@ -63,6 +257,23 @@ const petSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Active foster placement while the pet is staying with a foster carer
+  fosterPlacement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FosterPlacement',
+    default: null
+  },
+  // Copy of the seller's geocoded location, used for radius searches
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -71,6 +282,88 @@ const petSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Current age in whole months
+petSchema.virtual('ageMonths').get(function() {
+  return ageInMonths(this.birthDate);
+});
+
+// baby / young / adult / senior, using species-specific thresholds
+petSchema.virtual('lifeStage').get(function() {
+  return lifeStageFor(ageInMonths(this.birthDate), this.type);
+});
+
+// The first image is the listing's cover
+petSchema.virtual('coverImage').get(function() {
+  return this.images && this.images.length ? this.images[0] : null;
+});
+
+/**
+ * Why a pet cannot move from one status to another, or null when it can.
+ * context.returnRecord lets an adopted pet become available again.
+ */
+petSchema.statics.statusTransitionError = function(fromStatus, toStatus, context = {}) {
+  if (fromStatus === toStatus) return null;
+  if (RETURNABLE_STATUSES.includes(fromStatus) && toStatus === 'available' && context.returnRecord) {
+    return null;
+  }
+  if (!(STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+    return RETURNABLE_STATUSES.includes(fromStatus)
+      ? `This pet is ${fromStatus}; it can only be listed again through a return`
+      : `Status cannot change from ${fromStatus} to ${toStatus}`;
+  }
+  return null;
+};
+
+/**
+ * Change the status and say who did it and why; the change is added to the
+ * pet's status history when it is saved.
+ * context: { actor, reason, adoptionRequest, returnRecord }.
+ */
+petSchema.methods.setStatus = function(status, context = {}) {
+  this.status = status;
+  this.$locals.statusChange = context;
+  return this;
+};
+
+// Remember the stored status so changes can be checked and recorded
+petSchema.post('init', function() {
+  this.$locals.storedStatus = this.status;
+});
+
+petSchema.pre('validate', function(next) {
+  if (!this.isNew && this.isModified('status')) {
+    const error = this.constructor.statusTransitionError(
+      this.$locals.storedStatus, this.status, this.$locals.statusChange
+    );
+    if (error) this.invalidate('status', error, this.status);
+  }
+  next();
+});
+
+petSchema.pre('save', function(next) {
+  this.$locals.recordStatusFrom = this.isNew || this.isModified('status')
+    ? { from: this.isNew ? null : this.$locals.storedStatus }
+    : null;
+  next();
+});
+
+petSchema.post('save', async function() {
+  const change = this.$locals.recordStatusFrom;
+  if (!change || change.from === this.status) return;
+  await PetStatusChange.record(this, change.from, this.$locals.statusChange, this.$session());
+  this.$locals.storedStatus = this.status;
+  this.$locals.statusChange = undefined;
+  this.$locals.recordStatusFrom = null;
+});
+
+// Shown on listings as "currently in foster care"; pets in foster stay listable
+petSchema.virtual('inFosterCare').get(function() {
+  return Boolean(this.fosterPlacement);
 });
 
 // Update the updatedAt timestamp before saving
@@ -79,4 +372,39 @@ petSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Pet', petSchema); 
\ No newline at end of file
+// Keep the public microchipped flag in step with the private number
+petSchema.pre('save', function(next) {
+  if (this.isModified('medical.microchipNumber')) {
+    this.medical.microchipped = Boolean(this.medical.microchipNumber);
+  }
+  next();
+});
+
+petSchema.plugin(populateMedia, { paths: ['images'] });
+
+// Copy a seller's location onto all of their pets
+petSchema.statics.syncSellerLocation = function(sellerId, location) {
+  const update = location && location.coordinates
+    ? { $set: { location } }
+    : { $unset: { location: 1 } };
+  return this.updateMany({ seller: sellerId }, update);
+};
+
+// Add indexes for filtered and sorted listing queries
+petSchema.index({ status: 1, createdAt: -1 });
+petSchema.index({ type: 1, breed: 1 });
+petSchema.index({ price: 1 });
+petSchema.index({ birthDate: 1 });
+petSchema.index({ seller: 1 });
+petSchema.index({ location: '2dsphere' });
+// Used by the listing lifecycle job
+petSchema.index({ status: 1, publishAt: 1 });
+petSchema.index({ status: 1, expiresAt: 1 });
+petSchema.index({ 'medical.microchipped': 1 });
+
+module.exports = mongoose.model('Pet', petSchema);
+module.exports.PUBLIC_STATUSES = PUBLIC_STATUSES;
+module.exports.LIFECYCLE_STATUSES = LIFECYCLE_STATUSES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+module.exports.SPAY_NEUTER_STATUSES = SPAY_NEUTER_STATUSES;
+module.exports.DOCUMENT_VISIBILITIES = DOCUMENT_VISIBILITIES; 
\ No newline at end of file
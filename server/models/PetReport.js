@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const populateMedia = require('./plugins/populateMedia');
+
+const REPORT_KINDS = ['lost', 'found'];
+// open until the pet is back home (reunited), the reporter closes it or it expires
+const REPORT_STATUSES = ['open', 'reunited', 'closed', 'expired'];
+const REPORT_GENDERS = ['male', 'female', 'unknown'];
+
+// A lost pet reported by its owner, or a found pet reported by a finder or shelter
+const petReportSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: REPORT_KINDS,
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The pet's name, when the reporter knows it
+  name: {
+    type: String,
+    trim: true
+  },
+  species: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  breed: {
+    type: String,
+    trim: true
+  },
+  colors: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  gender: {
+    type: String,
+    enum: REPORT_GENDERS,
+    default: 'unknown'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  images: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  lastSeenAt: {
+    type: Date,
+    required: true
+  },
+  // Free-text description of the place, e.g. "corner of Oak St and 5th"
+  lastSeenAddress: {
+    type: String,
+    trim: true
+  },
+  lastSeenLocation: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  // Shown publicly so people can get in touch; optional
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+petReportSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+petReportSchema.plugin(populateMedia, { paths: ['images'] });
+
+petReportSchema.index({ lastSeenLocation: '2dsphere' });
+petReportSchema.index({ kind: 1, status: 1, lastSeenAt: -1 });
+petReportSchema.index({ reporter: 1, createdAt: -1 });
+petReportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('PetReport', petReportSchema);
+module.exports.REPORT_KINDS = REPORT_KINDS;
+module.exports.REPORT_STATUSES = REPORT_STATUSES;
+module.exports.REPORT_GENDERS = REPORT_GENDERS;
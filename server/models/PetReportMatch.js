@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const MATCH_STATUSES = ['suggested', 'confirmed', 'dismissed'];
+// matcher: found automatically; shelter: a shelter marked one of its listed pets
+const MATCH_SOURCES = ['matcher', 'shelter'];
+
+// A possible match between a lost report and a found report or a listed pet
+const petReportMatchSchema = new mongoose.Schema({
+  lostReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PetReport',
+    required: true
+  },
+  foundReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PetReport',
+    default: null
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    default: null
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  // Per-signal scores from 0 to 1, e.g. { breed, colors, distance, date }
+  signals: {
+    type: Map,
+    of: Number
+  },
+  source: {
+    type: String,
+    enum: MATCH_SOURCES,
+    required: true
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: MATCH_STATUSES,
+    default: 'suggested'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+petReportMatchSchema.pre('validate', function(next) {
+  if (Boolean(this.foundReport) === Boolean(this.pet)) {
+    this.invalidate('foundReport', 'A match links a lost report to either a found report or a pet');
+  }
+  next();
+});
+
+// Each pair is only suggested once
+petReportMatchSchema.index(
+  { lostReport: 1, foundReport: 1 },
+  { unique: true, partialFilterExpression: { foundReport: { $type: 'objectId' } } }
+);
+petReportMatchSchema.index(
+  { lostReport: 1, pet: 1 },
+  { unique: true, partialFilterExpression: { pet: { $type: 'objectId' } } }
+);
+petReportMatchSchema.index({ foundReport: 1 });
+
+module.exports = mongoose.model('PetReportMatch', petReportMatchSchema);
+module.exports.MATCH_STATUSES = MATCH_STATUSES;
+module.exports.MATCH_SOURCES = MATCH_SOURCES;
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// A return hands an adopted pet back to its shelter. A rehoming finds it a
+// new home directly: the shelter approves the listing, the adopter picks one
+// of the people who asked about it and the shelter approves the handover.
+const RETURN_TYPES = ['return', 'rehoming'];
+
+// Statuses a case may move to from each status, per type, and the party
+// allowed to move it there. Completing is what actually moves the pet.
+const RETURN_TRANSITIONS = {
+  return: {
+    requested: { completed: 'shelter', declined: 'shelter', cancelled: 'adopter' },
+    completed: {},
+    declined: {},
+    cancelled: {}
+  },
+  rehoming: {
+    requested: { listed: 'shelter', declined: 'shelter', cancelled: 'adopter' },
+    listed: { completed: 'shelter', declined: 'shelter', cancelled: 'adopter' },
+    completed: {},
+    declined: {},
+    cancelled: {}
+  }
+};
+const RETURN_STATUSES = ['requested', 'listed', 'completed', 'declined', 'cancelled'];
+// Cases still in progress; a pet has at most one at a time
+const OPEN_RETURN_STATUSES = ['requested', 'listed'];
+
+const historySchema = new mongoose.Schema({
+  status: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Someone who would like to give a rehomed pet a home
+const interestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const petReturnSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: RETURN_TYPES,
+    required: true
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  // The adopter giving the pet up; kept after the pet's adopter is cleared
+  adopter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The shelter the pet was adopted from
+  shelter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The completed adoption being undone, when there is one
+  adoptionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdoptionRequest',
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // For a rehoming, what the adopter tells people about the pet
+  details: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested'
+  },
+  interests: {
+    type: [interestSchema],
+    default: []
+  },
+  // The person the adopter chose to take over a rehomed pet
+  newAdopter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  history: {
+    type: [historySchema],
+    default: []
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The party allowed to move a case of `type` from one status to another, or
+// undefined when the move is not allowed
+petReturnSchema.statics.transitionParty = function(type, from, to) {
+  return ((RETURN_TRANSITIONS[type] || {})[from] || {})[to];
+};
+
+petReturnSchema.index({ pet: 1, createdAt: -1 });
+// At most one case in progress per pet (a partial filter with $in needs MongoDB 6.0+)
+petReturnSchema.index(
+  { pet: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_RETURN_STATUSES } } }
+);
+petReturnSchema.index({ shelter: 1, status: 1 });
+petReturnSchema.index({ adopter: 1, createdAt: -1 });
+petReturnSchema.index({ type: 1, status: 1 });
+
+module.exports = mongoose.model('PetReturn', petReturnSchema);
+module.exports.RETURN_TYPES = RETURN_TYPES;
+module.exports.RETURN_TRANSITIONS = RETURN_TRANSITIONS;
+module.exports.RETURN_STATUSES = RETURN_STATUSES;
+module.exports.OPEN_RETURN_STATUSES = OPEN_RETURN_STATUSES;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// One entry in a pet's status history. Entries are only ever added, never
+// changed or removed, so the history stays a reliable audit trail.
+const petStatusChangeSchema = new mongoose.Schema({
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  // null when the listing was first created
+  fromStatus: {
+    type: String,
+    default: null
+  },
+  toStatus: {
+    type: String,
+    required: true
+  },
+  // Who made the change; null for the listing lifecycle job
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  adoptionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdoptionRequest',
+    default: null
+  },
+  // The return that allowed an adopted or sold pet to be listed again
+  returnRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PetReturn',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+petStatusChangeSchema.index({ pet: 1, createdAt: 1 });
+
+const rejectChange = function(next) {
+  next(new Error('Pet status history is append-only'));
+};
+
+petStatusChangeSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'].forEach(operation => {
+  petStatusChangeSchema.pre(operation, rejectChange);
+});
+
+/**
+ * Append a history entry for a pet whose status went from `fromStatus` to
+ * its current status. context: { actor, reason, adoptionRequest, returnRecord }.
+ */
+petStatusChangeSchema.statics.record = function(pet, fromStatus, context = {}, session) {
+  const entry = {
+    pet: pet._id,
+    fromStatus,
+    toStatus: pet.status,
+    actor: context.actor || null,
+    reason: context.reason,
+    adoptionRequest: context.adoptionRequest || null,
+    returnRecord: context.returnRecord || null
+  };
+  return this.create([entry], { session }).then(([created]) => created);
+};
+
+module.exports = mongoose.model('PetStatusChange', petStatusChangeSchema);
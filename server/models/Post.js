@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const populateMedia = require('./plugins/populateMedia');
 
 const postSchema = new mongoose.Schema({
   author: {
@@ -16,8 +17,8 @@ const postSchema = new mongoose.Schema({
     required: true
   },
   images: [{
-    type: String,
-    required: false
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
   }],
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -52,6 +53,8 @@ const postSchema = new mongoose.Schema({
   }
 });
 
+postSchema.plugin(populateMedia, { paths: ['images'] });
+
 postSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Same names and meaning as the GET /api/pets query parameters
+const criteriaSchema = new mongoose.Schema({
+  type: [{
+    type: String,
+    trim: true
+  }],
+  breed: [{
+    type: String,
+    trim: true
+  }],
+  gender: [{
+    type: String,
+    enum: ['male', 'female']
+  }],
+  status: [{
+    type: String,
+    enum: ['available', 'pending', 'adopted', 'sold']
+  }],
+  minPrice: Number,
+  maxPrice: Number,
+  sellerBusinessType: [{
+    type: String,
+    enum: ['shelter', 'shop']
+  }],
+  minAgeMonths: Number,
+  maxAgeMonths: Number,
+  lifeStage: [{
+    type: String,
+    enum: ['baby', 'young', 'adult', 'senior']
+  }],
+  vaccinated: Boolean,
+  spayedNeutered: Boolean,
+  microchipped: Boolean,
+  near: {
+    type: String,
+    trim: true
+  },
+  radiusKm: Number
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  criteria: {
+    type: criteriaSchema,
+    default: () => ({})
+  },
+  // Whether new matches create alerts
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+savedSearchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const searchAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  dismissed: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One alert per saved search and pet, so repeat matches are suppressed
+searchAlertSchema.index({ savedSearch: 1, pet: 1 }, { unique: true });
+searchAlertSchema.index({ user: 1, dismissed: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SearchAlert', searchAlertSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// How many appointments hold one occurrence of an availability slot. Bookings
+// take a place with a single conditional update, so concurrent requests
+// cannot go over the slot's capacity.
+const slotReservationSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilitySlot',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+slotReservationSchema.index({ slot: 1, startsAt: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { geocodeAddress } = require('../utils/geo');
+const populateMedia = require('./plugins/populateMedia');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -91,6 +93,17 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Geocoded from zipCode/address for business users (GeoJSON Point, [lng, lat])
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   licenseNumber: {
     type: String,
     trim: true
@@ -103,8 +116,14 @@ const userSchema = new mongoose.Schema({
     trim: true
   },
   profilePicture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
+  // Secret in the business's appointment calendar feed URL
+  calendarFeedToken: {
     type: String,
-    default: 'default-profile.jpg'
+    select: false
   },
   // Business verification
   isVerified: {
@@ -142,6 +161,8 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.plugin(populateMedia, { paths: ['profilePicture'] });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -155,11 +176,34 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Geocode business users whenever their address changes
+userSchema.pre('save', function(next) {
+  if (this.userType !== 'business') return next();
+  if (!this.isNew && !this.isModified('zipCode') && !this.isModified('address')) return next();
+
+  this.updateLocation();
+  this.$locals.locationChanged = this.isModified('location');
+  next();
+});
+
+// Keep the location copied onto the seller's pets in sync
+userSchema.post('save', async function(doc) {
+  if (!doc.$locals.locationChanged) return;
+  await mongoose.model('Pet').syncSellerLocation(doc._id, doc.location);
+});
+
 // Method to compare password for login
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to set location from the address fields; returns true when geocoding succeeded
+userSchema.methods.updateLocation = function() {
+  const location = geocodeAddress({ zipCode: this.zipCode, address: this.address });
+  this.location = location || undefined;
+  return Boolean(location);
+};
+
 // Method to update rating
 userSchema.methods.updateRating = function() {
   if (this.ratings && this.ratings.length > 0) {
@@ -171,7 +215,9 @@ userSchema.methods.updateRating = function() {
 // Add indexes
 userSchema.index({ email: 1 });
 userSchema.index({ businessName: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 userSchema.index({ userType: 1 });
+userSchema.index({ location: '2dsphere' });
 
 const User = mongoose.model('User', userSchema);
 
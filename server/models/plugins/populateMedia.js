@@ -0,0 +1,22 @@
+/**
+ * Populate Media references on every find, so API responses always carry
+ * asset URLs no matter which route loaded the document (including when the
+ * document is itself populated from another model).
+ *
+ * Paths excluded by the query's projection are left alone. Pass
+ * { populateMedia: false } as a query option to skip it, e.g. in migrations.
+ */
+module.exports = function populateMedia(schema, { paths }) {
+  schema.pre(['find', 'findOne', 'findOneAndUpdate'], function() {
+    if (this.getOptions().populateMedia === false) return;
+
+    const projection = this.projection() || {};
+    const inclusive = Object.values(projection).some(value => value === 1 || value === true);
+
+    paths.forEach(path => {
+      if (inclusive && !projection[path]) return;
+      if (projection[path] === 0 || projection[path] === false) return;
+      this.populate(path);
+    });
+  });
+};
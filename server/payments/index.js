@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const createMockProvider = require('./mockProvider');
+
+/**
+ * The payment provider used for donations, picked with PAYMENT_PROVIDER
+ * (only "mock" ships for now; refused when NODE_ENV=production unless
+ * ALLOW_MOCK_PAYMENTS=true). A provider has:
+ *   name
+ *   paymentMethods: the payment method names it accepts
+ *   createPayment({ amount, currency, paymentMethod, description, metadata })
+ *     → { id, status: 'succeeded' | 'failed' | 'pending', failureReason }
+ *   parseWebhook(rawBody, headers)
+ *     → { paymentId, status, failureReason }, or null when the call is not genuine
+ * Pending payments are settled later through the webhook.
+ */
+const createPaymentProvider = (env = process.env) => {
+  const provider = (env.PAYMENT_PROVIDER || 'mock').toLowerCase();
+  // Webhook signatures are only as good as the secret, so real providers
+  // never fall back to one
+  if (provider !== 'mock' && !env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error(`PAYMENT_WEBHOOK_SECRET must be set for PAYMENT_PROVIDER ${provider}`);
+  }
+
+  if (provider === 'mock') {
+    // The mock records donations as paid without moving any money, so a
+    // production server only uses it when explicitly told to
+    if (env.NODE_ENV === 'production' && env.ALLOW_MOCK_PAYMENTS !== 'true') {
+      throw new Error('PAYMENT_PROVIDER is mock in production; set a real provider, or ALLOW_MOCK_PAYMENTS=true to accept fake donations');
+    }
+    return createMockProvider({
+      webhookUrl: env.MOCK_PAYMENT_WEBHOOK_URL || `http://localhost:${env.PORT || 5000}/api/donations/webhook`,
+      // The mock signs its own callbacks, so a per-process secret will do
+      webhookSecret: env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+      webhookDelayMs: Number(env.MOCK_PAYMENT_WEBHOOK_DELAY_MS) || 2000
+    });
+  }
+
+  throw new Error(`Unknown PAYMENT_PROVIDER: ${provider}`);
+};
+
+module.exports = createPaymentProvider();
+module.exports.createPaymentProvider = createPaymentProvider;
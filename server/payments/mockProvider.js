@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Payment methods the mock understands, so every outcome can be tried locally
+const MOCK_PAYMENT_METHODS = {
+  mock_success: { status: 'succeeded' },
+  mock_fail: { status: 'failed', failureReason: 'Card declined (mock)' },
+  // Pending at first; the result arrives later through the webhook
+  mock_async_success: { status: 'pending', webhookStatus: 'succeeded' },
+  mock_async_fail: { status: 'pending', webhookStatus: 'failed', failureReason: 'Payment expired (mock)' }
+};
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+/**
+ * A payment provider that never moves money. Payments succeed or fail
+ * depending on the payment method, and the async methods call back the
+ * webhook URL after webhookDelayMs with a payload signed by webhookSecret,
+ * like a real provider would.
+ */
+const createMockProvider = ({ webhookUrl, webhookSecret, webhookDelayMs }) => {
+  const sign = (body) => crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+
+  const sendWebhook = (event) => {
+    const timer = setTimeout(async () => {
+      const body = JSON.stringify(event);
+      try {
+        const response = await fetch(webhookUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(body) },
+          body
+        });
+        if (!response.ok) {
+          console.error(`Mock payment webhook got ${response.status} for ${event.paymentId}`);
+        }
+      } catch (error) {
+        console.error('Mock payment webhook error:', error.message);
+      }
+    }, webhookDelayMs);
+    timer.unref();
+  };
+
+  return {
+    name: 'mock',
+    paymentMethods: Object.keys(MOCK_PAYMENT_METHODS),
+
+    async createPayment({ paymentMethod = 'mock_success' }) {
+      const outcome = MOCK_PAYMENT_METHODS[paymentMethod];
+      const id = `mock_${crypto.randomBytes(12).toString('hex')}`;
+      if (!outcome) {
+        return { id, status: 'failed', failureReason: `Unknown payment method: ${paymentMethod}` };
+      }
+
+      if (outcome.webhookStatus) {
+        sendWebhook({ paymentId: id, status: outcome.webhookStatus, failureReason: outcome.failureReason });
+      }
+      return {
+        id,
+        status: outcome.status,
+        failureReason: outcome.status === 'failed' ? outcome.failureReason : undefined
+      };
+    },
+
+    // Check the signature of a webhook call and return its event, or null
+    // when it was not sent by this provider
+    parseWebhook(rawBody, headers) {
+      const signature = headers[SIGNATURE_HEADER];
+      if (!rawBody || !signature) return null;
+
+      const expected = Buffer.from(sign(rawBody));
+      const given = Buffer.from(String(signature));
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return { paymentId: event.paymentId, status: event.status, failureReason: event.failureReason };
+    }
+  };
+};
+
+module.exports = createMockProvider;
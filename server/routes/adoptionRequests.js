@@ -4,78 +4,50 @@ const auth = require('../middleware/auth');
 const AdoptionRequest = require('../models/AdoptionRequest');
 const mongoose = require('mongoose');
 const Pet = require('../models/Pet');
+const ApplicationForm = require('../models/ApplicationForm');
+const { validateAnswers, answerFilters } = require('../utils/applicationForms');
+const { changeRequestStatus, petQueue, nextQueuePosition } = require('../utils/adoptionRequests');
+const { recordListingEvent } = require('../utils/listingAnalytics');
 
-// Get adoption requests for a seller
+// Pets that take adoption requests; requests for a pending pet join its queue
+const ADOPTABLE_STATUSES = ['available', 'pending'];
+
+// Get the current seller's adoption requests. Optional filters: petId, status and
+// answers[<questionId>]=value on application form answers (number questions
+// also take answers[<questionId>][min] / [max], text matches a substring)
 router.get('/', auth, async (req, res) => {
   try {
-    const { sellerId } = req.query;
-    console.log('Query params:', req.query);
-    console.log('Auth user:', req.user);
-    console.log('Fetching adoption requests for seller:', sellerId);
-    
-    // Ensure consistent ID format for query
-    let sellerIdForQuery;
-    try {
-      // Convert to ObjectId if it's a valid ObjectId string - using proper constructor
-      sellerIdForQuery = mongoose.Types.ObjectId.isValid(sellerId) 
-        ? new mongoose.Types.ObjectId(sellerId) 
-        : sellerId;
-      
-      console.log('Using sellerId for query:', sellerIdForQuery);
-      console.log('Type of sellerId for query:', typeof sellerIdForQuery);
-      
-      // Extra check for ObjectId specifics
-      if (sellerIdForQuery instanceof mongoose.Types.ObjectId) {
-        console.log('sellerId is an ObjectId instance');
-      } else {
-        console.log('sellerId is NOT an ObjectId instance');
+    const filters = {};
+    if (req.query.petId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.petId)) {
+        return res.status(400).json({ message: 'Invalid pet ID' });
       }
-    } catch (err) {
-      console.error('Error converting sellerId to ObjectId:', err);
-      // Fall back to using the original sellerId
-      sellerIdForQuery = sellerId;
+      filters.petId = new mongoose.Types.ObjectId(req.query.petId);
     }
-    
-    // First check if any requests exist at all
-    const allRequests = await AdoptionRequest.find({});
-    console.log('All existing requests in database:', JSON.stringify(allRequests, null, 2));
-    
-    // DEBUGGING: Check for pending pets to see if they exist
-    const pendingPets = await Pet.find({ status: 'pending', seller: sellerIdForQuery });
-    console.log('Found pending pets for this seller:', JSON.stringify(pendingPets.map(p => ({
-      _id: p._id,
-      name: p.name,
-      status: p.status,
-      seller: p.seller
-    })), null, 2));
-    
-    // Log the query we're about to make
-    console.log('Executing query:', { sellerId: sellerIdForQuery });
-    
-    // Try querying with the ObjectId
-    const requests = await AdoptionRequest.find({ sellerId: sellerIdForQuery })
-      .populate('userId', 'name email avatar')
-      .populate('petId', 'name breed age gender images')
-      .sort({ createdAt: -1 });
-    
-    console.log('Found requests for seller:', JSON.stringify(requests, null, 2));
-    
-    // If no results found, try with string version as fallback
-    if (requests.length === 0 && sellerIdForQuery instanceof mongoose.Types.ObjectId) {
-      console.log('No results with ObjectId, trying with string version');
-      const stringIdRequests = await AdoptionRequest.find({ sellerId: sellerIdForQuery.toString() })
-        .populate('userId', 'name email avatar')
-        .populate('petId', 'name breed age gender images')
-        .sort({ createdAt: -1 });
-      
-      console.log('Results with string version:', JSON.stringify(stringIdRequests, null, 2));
-      
-      if (stringIdRequests.length > 0) {
-        console.log('Found results with string version!');
-        return res.json(stringIdRequests);
+    if (req.query.status) {
+      if (!AdoptionRequest.REQUEST_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `status must be one of: ${AdoptionRequest.REQUEST_STATUSES.join(', ')}` });
       }
+      filters.status = req.query.status;
     }
-    
+    if (req.query.answers !== undefined) {
+      if (typeof req.query.answers !== 'object') {
+        return res.status(400).json({ message: 'Filter answers as answers[<questionId>]=value' });
+      }
+      const forms = await ApplicationForm.find({ seller: req.user._id });
+      const questions = new Map(forms.flatMap(form =>
+        form.questions.map(question => [question._id.toString(), question])));
+      const { conditions, error } = answerFilters(req.query.answers, questions);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      if (conditions.length > 0) filters.$and = conditions;
+    }
+
+    const requests = await AdoptionRequest.find({ sellerId: req.user._id, ...filters })
+      .populate('userId', 'name email avatar')
+      .populate('petId', 'name type breed age birthDate ageIsEstimate gender images')
+      .sort({ createdAt: -1 });
     res.json(requests);
   } catch (error) {
     console.error('Error fetching adoption requests:', error);
@@ -83,76 +55,68 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// Create new adoption request
+// Create new adoption request for body.petId; the seller is the pet's. If the
+// pet has an application form, body.answers must answer it (an object keyed
+// by question id); problems are listed in details.
 router.post('/', auth, async (req, res) => {
   try {
-    const { petId, sellerId } = req.body;
+    const { petId } = req.body;
     const userId = req.user._id;
-    
-    console.log('Creating adoption request with data:', {
-      petId: petId,
-      sellerId: sellerId,
-      userId: userId,
-      userIdType: typeof userId,
-      sellerIdType: typeof sellerId,
-      petIdType: typeof petId
-    });
+
+    const pet = mongoose.Types.ObjectId.isValid(petId)
+      ? await Pet.findById(petId).select('seller status applicationForm').setOptions({ populateMedia: false })
+      : null;
+    if (!pet) {
+      return res.status(404).json({ message: 'Pet not found' });
+    }
+    if (!ADOPTABLE_STATUSES.includes(pet.status)) {
+      return res.status(409).json({ message: 'This pet is not open for adoption requests' });
+    }
+    if (pet.seller.toString() === userId.toString()) {
+      return res.status(400).json({ message: 'You cannot request to adopt your own pet' });
+    }
 
     // Check if request already exists
     const existingRequest = await AdoptionRequest.findOne({
-      petId,
+      petId: pet._id,
       userId,
-      status: 'pending'
+      status: { $in: AdoptionRequest.ACTIVE_REQUEST_STATUSES }
     });
-
     if (existingRequest) {
-      console.log('Existing request found:', JSON.stringify(existingRequest, null, 2));
       return res.status(400).json({ message: 'Adoption request already exists' });
     }
 
-    // Ensure IDs are stored consistently
-    // Convert string IDs to ObjectIDs if needed (MongoDB prefers ObjectIDs)
-    const requestData = {
-      petId: typeof petId === 'string' && mongoose.Types.ObjectId.isValid(petId) ? new mongoose.Types.ObjectId(petId) : petId,
-      userId: typeof userId === 'string' && mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId,
-      sellerId: typeof sellerId === 'string' && mongoose.Types.ObjectId.isValid(sellerId) ? new mongoose.Types.ObjectId(sellerId) : sellerId,
-      status: 'pending'
-    };
-    
-    console.log('Processed request data:', JSON.stringify(requestData, null, 2));
-    
-    const request = new AdoptionRequest(requestData);
+    let formAnswers = {};
+    if (pet.applicationForm) {
+      const form = await ApplicationForm.findById(pet.applicationForm);
+      if (form) {
+        const { answers, errors } = validateAnswers(form, req.body.answers);
+        if (errors) {
+          return res.status(400).json({ message: 'Please check your application answers', details: errors });
+        }
+        formAnswers = { applicationForm: form._id, answers };
+      }
+    }
 
-    console.log('About to save request:', JSON.stringify(request, null, 2));
-    await request.save();
-    console.log('Request saved successfully');
-    
-    // Verify the request was saved
-    const savedRequest = await AdoptionRequest.findById(request._id);
-    console.log('Saved request (raw):', JSON.stringify(savedRequest, null, 2));
-    
-    // Test the query that will be used later to fetch this request
-    const queryTest = await AdoptionRequest.find({ sellerId: requestData.sellerId });
-    console.log('Query test results:', JSON.stringify(queryTest, null, 2));
-    console.log('Query test count:', queryTest.length);
-    
-    // Try both string and ObjectId formats
-    if (typeof sellerId === 'string' && mongoose.Types.ObjectId.isValid(sellerId)) {
-      const queryTestObj = await AdoptionRequest.find({ sellerId: new mongoose.Types.ObjectId(sellerId) });
-      console.log('Query test with ObjectId:', JSON.stringify(queryTestObj, null, 2));
-      console.log('Query test with ObjectId count:', queryTestObj.length);
-    } else if (requestData.sellerId instanceof mongoose.Types.ObjectId) {
-      const queryTestStr = await AdoptionRequest.find({ sellerId: requestData.sellerId.toString() });
-      console.log('Query test with String:', JSON.stringify(queryTestStr, null, 2));
-      console.log('Query test with String count:', queryTestStr.length);
+    const request = new AdoptionRequest({
+      petId: pet._id,
+      userId,
+      sellerId: pet.seller,
+      status: 'pending',
+      queuePosition: await nextQueuePosition(pet._id),
+      ...formAnswers
+    });
+    try {
+      await request.save();
+    } catch (error) {
+      // The same applicant sent another request for the pet at the same time
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Adoption request already exists' });
+      }
+      throw error;
     }
-    
-    const populatedRequest = await AdoptionRequest.findById(request._id)
-      .populate('userId', 'name email')
-      .populate('petId', 'name')
-      .populate('sellerId', 'name');
-    console.log('Saved and populated request:', JSON.stringify(populatedRequest, null, 2));
-    
+    await recordListingEvent({ _id: request.petId, seller: request.sellerId }, 'request');
+
     res.status(201).json(request);
   } catch (error) {
     console.error('Error creating adoption request:', error);
@@ -163,20 +127,124 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-// Update adoption request status
+// Move an adoption request through its states (body: status, note, competing).
+// The seller reviews, approves, rejects and completes; the applicant withdraws.
+// Approving moves the pet to pending, and competing=waitlist|reject also
+// waitlists or rejects the pet's other open requests. If an approved request
+// then falls through, the pet is offered to the next request in its queue,
+// whose applicant confirms by moving it to approved. See REQUEST_TRANSITIONS.
 router.patch('/:id', auth, async (req, res) => {
   try {
-    const { status } = req.body;
-    const request = await AdoptionRequest.findById(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid request ID' });
+    }
+    const { status, note, competing } = req.body;
+    const result = await changeRequestStatus(req.params.id, status, { user: req.user, note, competing });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+    res.json(result.request);
+  } catch (error) {
+    console.error('Error updating adoption request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load the pet in req.params.petId if the current user is its seller,
+// otherwise respond with 400/404/403 and return null
+const findOwnQueuePet = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.petId)) {
+    res.status(400).json({ message: 'Invalid pet ID' });
+    return null;
+  }
+  const pet = await Pet.findById(req.params.petId).select('name seller status').setOptions({ populateMedia: false });
+  if (!pet) {
+    res.status(404).json({ message: 'Pet not found' });
+    return null;
+  }
+  if (pet.seller.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to manage requests for this pet' });
+    return null;
+  }
+  return pet;
+};
+
+// The pet's queue: open requests in the order they will be offered the pet,
+// plus the request currently approved or offered it, if any (seller only)
+router.get('/pets/:petId/queue', auth, async (req, res) => {
+  try {
+    const pet = await findOwnQueuePet(req, res);
+    if (!pet) return;
+
+    const queue = await petQueue(pet._id);
+    await AdoptionRequest.populate(queue, { path: 'userId', select: 'name email avatar' });
+    const holder = await AdoptionRequest.findOne({ petId: pet._id, status: { $in: ['approved', 'offered'] } })
+      .populate('userId', 'name email avatar');
+
+    res.json({
+      pet: { _id: pet._id, name: pet.name, status: pet.status },
+      holder,
+      queue: queue.map((request, index) => ({ ...request.toObject(), position: index + 1 }))
+    });
+  } catch (error) {
+    console.error('Error fetching adoption queue:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rank the pet's queue (body.order: every open request ID, first in line first)
+router.put('/pets/:petId/queue', auth, async (req, res) => {
+  try {
+    const pet = await findOwnQueuePet(req, res);
+    if (!pet) return;
+
+    const queue = await petQueue(pet._id);
+    const { order } = req.body;
+    const queued = new Set(queue.map(request => request._id.toString()));
+    const complete = Array.isArray(order) && order.length === queued.size &&
+      new Set(order.map(String)).size === order.length &&
+      order.every(id => queued.has(String(id)));
+    if (!complete) {
+      return res.status(400).json({ message: 'order must list each open request for this pet exactly once' });
+    }
+
+    await AdoptionRequest.bulkWrite(order.map((id, index) => ({
+      updateOne: { filter: { _id: id, petId: pet._id }, update: { queuePosition: index + 1 } }
+    })));
+    const ranked = await petQueue(pet._id);
+    res.json(ranked.map((request, index) => ({ ...request.toObject(), position: index + 1 })));
+  } catch (error) {
+    console.error('Error ranking adoption queue:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
+// Where a request stands in its pet's queue (applicant or seller). position
+// is null once the request has left the queue, e.g. when offered or approved.
+router.get('/:id/position', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid request ID' });
+    }
+    const request = await AdoptionRequest.findById(req.params.id);
     if (!request) {
       return res.status(404).json({ message: 'Request not found' });
     }
+    const userId = req.user._id.toString();
+    if (request.userId.toString() !== userId && request.sellerId.toString() !== userId) {
+      return res.status(403).json({ message: 'Not authorized to view this request' });
+    }
 
-    request.status = status;
-    await request.save();
-    res.json(request);
+    const queue = await petQueue(request.petId);
+    const index = queue.findIndex(queued => queued._id.equals(request._id));
+    res.json({
+      status: request.status,
+      position: index === -1 ? null : index + 1,
+      queueLength: queue.length,
+      offerExpiresAt: request.offerExpiresAt
+    });
   } catch (error) {
+    console.error('Error fetching queue position:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -189,7 +257,7 @@ router.get('/user', auth, async (req, res) => {
     
     // Find all adoption requests made by this user
     const requests = await AdoptionRequest.find({ userId })
-      .populate('petId', 'name breed age gender images status price type')
+      .populate('petId', 'name breed age birthDate ageIsEstimate gender images status price type')
       .populate('sellerId', 'name businessName email')
       .sort({ createdAt: -1 });
     
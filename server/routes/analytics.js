@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Pet = require('../models/Pet');
+const { PERIOD_FORMATS, sellerAnalytics } = require('../utils/listingAnalytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+// Parse ?from, ?to (dates, default the last 30 days) and ?interval (day | week | month)
+const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  const interval = query.interval || 'day';
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+  }
+  if (!PERIOD_FORMATS[interval]) {
+    return { error: `interval must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}` };
+  }
+  return { from, to, interval };
+};
+
+const requireBusiness = (req, res) => {
+  if (req.user.userType !== 'business') {
+    res.status(403).json({ message: 'Only business users can view listing analytics' });
+    return false;
+  }
+  return true;
+};
+
+// @route   GET /api/analytics/seller
+// @desc    Views, favorites, adoption requests, approvals and adoptions for all
+//          of the seller's listings: totals, time series, funnel, per-pet totals
+//          and average time to adoption by type and breed
+// @access  Private (business users)
+router.get('/seller', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const analytics = await sellerAnalytics(req.user._id, range);
+
+    // Name the pets in the per-pet breakdown
+    const pets = await Pet.find({ _id: { $in: analytics.pets.map(entry => entry.pet) } })
+      .select('name type breed status');
+    const petsById = new Map(pets.map(pet => [pet._id.toString(), pet]));
+    analytics.pets = analytics.pets.map(entry => ({ ...entry, pet: petsById.get(entry.pet) || { _id: entry.pet } }));
+
+    res.json(analytics);
+  } catch (error) {
+    console.error('Error fetching seller analytics:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/analytics/seller/pets/:petId
+// @desc    The same analytics for one of the seller's pets
+// @access  Private (business users)
+router.get('/seller/pets/:petId', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.petId)) {
+      return res.status(400).json({ message: 'Invalid pet ID' });
+    }
+    const pet = await Pet.findOne({ _id: req.params.petId, seller: req.user._id })
+      .select('name type breed status');
+    if (!pet) {
+      return res.status(404).json({ message: 'Pet not found' });
+    }
+
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const analytics = await sellerAnalytics(req.user._id, { ...range, petId: pet._id });
+    delete analytics.pets;
+    res.json({ pet, ...analytics });
+  } catch (error) {
+    console.error('Error fetching pet analytics:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const ApplicationForm = require('../models/ApplicationForm');
+const Pet = require('../models/Pet');
+const { formFieldsFrom } = require('../utils/applicationForms');
+
+// Load the form in req.params.id if the current user owns it, otherwise
+// respond with 404/403 and return null
+const findOwnForm = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid form ID' });
+    return null;
+  }
+  const form = await ApplicationForm.findById(req.params.id);
+  if (!form) {
+    res.status(404).json({ message: 'Application form not found' });
+    return null;
+  }
+  if (form.seller.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to manage this form' });
+    return null;
+  }
+  return form;
+};
+
+// @route   GET /api/application-forms
+// @desc    The current seller's application forms, with how many pets use each
+// @access  Private (business users)
+router.get('/', auth, async (req, res) => {
+  try {
+    const forms = await ApplicationForm.find({ seller: req.user._id }).sort({ name: 1 });
+    const usage = await Pet.aggregate([
+      { $match: { seller: req.user._id, applicationForm: { $in: forms.map(form => form._id) } } },
+      { $group: { _id: '$applicationForm', count: { $sum: 1 } } }
+    ]);
+    const petCounts = new Map(usage.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json(forms.map(form => ({ ...form.toObject(), petCount: petCounts.get(form._id.toString()) || 0 })));
+  } catch (error) {
+    console.error('Error fetching application forms:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/application-forms/:id
+// @desc    Get one of the current seller's forms
+// @access  Private (the form's seller)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const form = await findOwnForm(req, res);
+    if (!form) return;
+    res.json(form);
+  } catch (error) {
+    console.error('Error fetching application form:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/application-forms
+// @desc    Create a form (body: name, description, questions). Each question
+//          has a label, a type (yes_no | choice | text | number) and a required
+//          flag; choice questions list their options (multiple allows several),
+//          number questions may set min and max.
+// @access  Private (business users)
+router.post('/', auth, async (req, res) => {
+  try {
+    if (req.user.userType !== 'business') {
+      return res.status(403).json({ message: 'Only business users can create application forms' });
+    }
+    const { fields, error } = formFieldsFrom(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const form = await ApplicationForm.create({ ...fields, seller: req.user._id });
+    res.status(201).json(form);
+  } catch (error) {
+    console.error('Error creating application form:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/application-forms/:id
+// @desc    Replace a form's name, description and questions. Send existing
+//          questions back with their _id to keep earlier answers linked to them.
+//          Requests already made keep the answers they were made with.
+// @access  Private (the form's seller)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const form = await findOwnForm(req, res);
+    if (!form) return;
+
+    const { fields, error } = formFieldsFrom(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    form.set({ ...fields, updatedAt: new Date() });
+    await form.save();
+    res.json(form);
+  } catch (error) {
+    console.error('Error updating application form:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/application-forms/:id
+// @desc    Delete a form. Pets using it no longer ask applicants any questions.
+// @access  Private (the form's seller)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const form = await findOwnForm(req, res);
+    if (!form) return;
+
+    await Pet.updateMany({ applicationForm: form._id }, { applicationForm: null });
+    await form.deleteOne();
+    res.json({ message: 'Application form deleted' });
+  } catch (error) {
+    console.error('Error deleting application form:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,492 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Appointment = require('../models/Appointment');
+const AvailabilitySlot = require('../models/AvailabilitySlot');
+const AdoptionRequest = require('../models/AdoptionRequest');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const {
+  slotOccurrences,
+  findOccurrence,
+  slotFieldsFrom,
+  reservePlace,
+  releasePlace,
+  bookedPlaces,
+  icsCalendar
+} = require('../utils/appointments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SLOT_DAYS = 14;
+const MAX_SLOT_DAYS = 62;
+// Past appointments kept in the calendar feed
+const FEED_HISTORY_DAYS = 90;
+
+const isBusiness = (user) => user.userType === 'business';
+
+// What an appointment needs populated for icsCalendar
+const CALENDAR_FIELDS = [
+  { path: 'pet', select: 'name' },
+  { path: 'business', select: 'name businessName address' },
+  { path: 'applicant', select: 'name' }
+];
+
+// Load the availability slot in req.params.id if the current business owns
+// it, otherwise respond with 400/404/403 and return null
+const findOwnSlot = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid slot ID' });
+    return null;
+  }
+  const slot = await AvailabilitySlot.findById(req.params.id);
+  if (!slot) {
+    res.status(404).json({ message: 'Slot not found' });
+    return null;
+  }
+  if (slot.business.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to manage this slot' });
+    return null;
+  }
+  return slot;
+};
+
+// Load the appointment in req.params.id if the current user is its applicant
+// or business, otherwise respond with 400/404/403 and return null
+const findOwnAppointment = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid appointment ID' });
+    return null;
+  }
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    res.status(404).json({ message: 'Appointment not found' });
+    return null;
+  }
+  const userId = req.user._id.toString();
+  if (appointment.applicant.toString() !== userId && appointment.business.toString() !== userId) {
+    res.status(403).json({ message: 'Not authorized to view this appointment' });
+    return null;
+  }
+  return appointment;
+};
+
+// Parse an optional from/to range; returns { from, to } or { error }
+const parseRange = (query, defaultDays, maxDays) => {
+  const from = query.from ? new Date(query.from) : new Date();
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + defaultDays * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return { error: 'from and to must be valid dates with from before to' };
+  }
+  if (maxDays && to - from > maxDays * DAY_MS) {
+    return { error: `The range can be at most ${maxDays} days` };
+  }
+  return { from, to };
+};
+
+/**
+ * The bookable occurrence of slotId at startsAt for the given business, or
+ * { error, status }. Past times and inactive slots cannot be booked.
+ */
+const bookableOccurrence = async (slotId, startsAt, businessId) => {
+  if (!mongoose.Types.ObjectId.isValid(slotId)) {
+    return { error: 'Invalid slot ID', status: 400 };
+  }
+  const slot = await AvailabilitySlot.findOne({ _id: slotId, business: businessId, active: true });
+  if (!slot) {
+    return { error: 'Slot not found', status: 404 };
+  }
+  const start = new Date(startsAt);
+  if (Number.isNaN(start.getTime()) || start <= new Date()) {
+    return { error: 'startsAt must be a date in the future', status: 400 };
+  }
+  const occurrence = findOccurrence(slot, start);
+  if (!occurrence) {
+    return { error: 'The slot does not run at startsAt', status: 400 };
+  }
+  return { slot, occurrence };
+};
+
+const notifyOtherParty = (appointment, actorId, message) => Notification.create({
+  user: appointment.applicant.toString() === actorId.toString() ? appointment.business : appointment.applicant,
+  type: 'appointment',
+  message,
+  pet: appointment.pet,
+  adoptionRequest: appointment.adoptionRequest
+});
+
+const visitTime = (date) => date.toUTCString();
+
+// @route   GET /api/appointments/availability
+// @desc    The current business's availability slots
+// @access  Private (business users)
+router.get('/availability', auth, async (req, res) => {
+  try {
+    const slots = await AvailabilitySlot.find({ business: req.user._id }).sort({ active: -1, weekday: 1, startTime: 1 });
+    res.json(slots);
+  } catch (error) {
+    console.error('Error fetching availability slots:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/appointments/availability
+// @desc    Publish a weekly slot (body: weekday 0-6, startTime "HH:MM",
+//          durationMinutes, capacity, timezone, validFrom, validUntil, location)
+// @access  Private (business users)
+router.post('/availability', auth, async (req, res) => {
+  try {
+    if (!isBusiness(req.user)) {
+      return res.status(403).json({ message: 'Only business users can publish availability' });
+    }
+    const { fields, error } = slotFieldsFrom(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const slot = await AvailabilitySlot.create({ ...fields, business: req.user._id });
+    res.status(201).json(slot);
+  } catch (error) {
+    console.error('Error creating availability slot:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/appointments/availability/:id
+// @desc    Change a slot's capacity, location, validity dates or active flag.
+//          The day, time, length and time zone are fixed once published, so
+//          booked appointments keep matching it; publish a new slot instead.
+// @access  Private (the slot's business)
+router.put('/availability/:id', auth, async (req, res) => {
+  try {
+    const slot = await findOwnSlot(req, res);
+    if (!slot) return;
+
+    const fixed = ['weekday', 'startTime', 'durationMinutes', 'timezone'].filter(field => req.body[field] !== undefined);
+    if (fixed.length) {
+      return res.status(400).json({ message: `These fields cannot be changed: ${fixed.join(', ')}` });
+    }
+    const { fields, error } = slotFieldsFrom(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (req.body.active !== undefined) {
+      fields.active = req.body.active === true || req.body.active === 'true';
+    }
+
+    slot.set(fields);
+    await slot.save();
+    res.json(slot);
+  } catch (error) {
+    console.error('Error updating availability slot:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/appointments/availability/:id
+// @desc    Stop offering a slot. Appointments already booked in it stay booked.
+// @access  Private (the slot's business)
+router.delete('/availability/:id', auth, async (req, res) => {
+  try {
+    const slot = await findOwnSlot(req, res);
+    if (!slot) return;
+
+    slot.active = false;
+    await slot.save();
+    res.json({ message: 'Slot withdrawn' });
+  } catch (error) {
+    console.error('Error withdrawing availability slot:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/appointments/slots
+// @desc    Bookable times of a business (?business=), with the places left.
+//          ?from and ?to pick the range (default the next 14 days, at most 62).
+// @access  Private
+router.get('/slots', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.query.business)) {
+      return res.status(400).json({ message: 'business must be a valid business ID' });
+    }
+    const range = parseRange(req.query, DEFAULT_SLOT_DAYS, MAX_SLOT_DAYS);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+    const from = new Date(Math.max(range.from.getTime(), Date.now()));
+
+    const slots = await AvailabilitySlot.find({ business: req.query.business, active: true });
+    const booked = await bookedPlaces(slots.map(slot => slot._id), from, range.to);
+    const times = slots
+      .flatMap(slot => slotOccurrences(slot, from, range.to).map(occurrence => {
+        const taken = booked.get(`${slot._id}:${occurrence.startsAt.toISOString()}`) || 0;
+        return {
+          slot: slot._id,
+          ...occurrence,
+          location: slot.location,
+          capacity: slot.capacity,
+          remaining: Math.max(slot.capacity - taken, 0)
+        };
+      }))
+      .sort((a, b) => a.startsAt - b.startsAt);
+
+    res.json(times);
+  } catch (error) {
+    console.error('Error fetching bookable slots:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/appointments/feed
+// @desc    Create the business's calendar feed URL, or replace it (the old URL
+//          stops working). Subscribe to it in any calendar app.
+// @access  Private (business users)
+router.post('/feed', auth, async (req, res) => {
+  try {
+    if (!isBusiness(req.user)) {
+      return res.status(403).json({ message: 'Only business users have an appointment feed' });
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: req.user._id }, { calendarFeedToken: token });
+    res.json({ url: `${req.protocol}://${req.get('host')}/api/appointments/feed/${token}.ics` });
+  } catch (error) {
+    console.error('Error creating appointment feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/appointments/feed/:token.ics
+// @desc    iCalendar feed of a business's appointments, including cancelled
+//          ones so calendar apps remove them
+// @access  Public (the feed URL is the secret)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const business = await User.findOne({ calendarFeedToken: req.params.token, userType: 'business' });
+    if (!business) {
+      return res.status(404).json({ message: 'Feed not found' });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS);
+    const appointments = await Appointment.find({ business: business._id, startsAt: { $gte: since } })
+      .populate(CALENDAR_FIELDS)
+      .sort({ startsAt: 1 });
+    res.type('text/calendar').send(icsCalendar(appointments, `${business.businessName || business.name} visits`));
+  } catch (error) {
+    console.error('Error fetching appointment feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/appointments/mine
+// @desc    The current applicant's appointments, soonest first
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const appointments = await Appointment.find({ applicant: req.user._id })
+      .populate('pet', 'name type breed images')
+      .populate('business', 'name businessName address phoneNumber')
+      .sort({ startsAt: 1 });
+    res.json(appointments);
+  } catch (error) {
+    console.error('Error fetching appointments:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/appointments/business
+// @desc    The current business's appointments between ?from and ?to
+//          (default the next 14 days), soonest first
+// @access  Private (business users)
+router.get('/business', auth, async (req, res) => {
+  try {
+    const range = parseRange(req.query, DEFAULT_SLOT_DAYS);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+    const appointments = await Appointment.find({
+      business: req.user._id,
+      startsAt: { $gte: range.from, $lt: range.to }
+    })
+      .populate('pet', 'name type breed images')
+      .populate('applicant', 'name email phoneNumber')
+      .sort({ startsAt: 1 });
+    res.json(appointments);
+  } catch (error) {
+    console.error('Error fetching business appointments:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/appointments
+// @desc    Book a meet-and-greet (body: adoptionRequestId, slotId, startsAt, notes).
+//          The adoption request must be the applicant's own and still active.
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { adoptionRequestId, slotId, startsAt, notes } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(adoptionRequestId)) {
+      return res.status(400).json({ message: 'Invalid adoption request ID' });
+    }
+    const request = await AdoptionRequest.findById(adoptionRequestId);
+    if (!request || request.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Adoption request not found' });
+    }
+    if (!AdoptionRequest.ACTIVE_REQUEST_STATUSES.includes(request.status)) {
+      return res.status(400).json({ message: 'Visits can only be booked for active adoption requests' });
+    }
+
+    const { slot, occurrence, error, status } = await bookableOccurrence(slotId, startsAt, request.sellerId);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    if (!(await reservePlace(slot, occurrence.startsAt))) {
+      return res.status(409).json({ message: 'This time is fully booked' });
+    }
+
+    let appointment;
+    try {
+      appointment = await Appointment.create({
+        business: request.sellerId,
+        applicant: req.user._id,
+        adoptionRequest: request._id,
+        pet: request.petId,
+        slot: slot._id,
+        ...occurrence,
+        location: slot.location,
+        notes
+      });
+    } catch (error) {
+      await releasePlace(slot._id, occurrence.startsAt);
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'This adoption request already has a visit booked; reschedule it instead' });
+      }
+      throw error;
+    }
+
+    await notifyOtherParty(appointment, req.user._id,
+      `${req.user.name} booked a meet-and-greet for ${visitTime(appointment.startsAt)}.`);
+    res.status(201).json(appointment);
+  } catch (error) {
+    console.error('Error booking appointment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/appointments/:id
+// @desc    Move a booked visit to another time (body: startsAt, and slotId
+//          when it is in a different slot). The old place is given back.
+// @access  Private (the applicant)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const appointment = await findOwnAppointment(req, res);
+    if (!appointment) return;
+
+    if (appointment.applicant.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the applicant can reschedule a visit' });
+    }
+    if (appointment.status !== 'booked' || appointment.startsAt <= new Date()) {
+      return res.status(400).json({ message: 'Only upcoming booked visits can be rescheduled' });
+    }
+    const request = await AdoptionRequest.findById(appointment.adoptionRequest).select('status');
+    if (!request || !AdoptionRequest.ACTIVE_REQUEST_STATUSES.includes(request.status)) {
+      return res.status(400).json({ message: 'Visits can only be rescheduled for active adoption requests' });
+    }
+
+    const slotId = req.body.slotId || appointment.slot;
+    const { slot, occurrence, error, status } = await bookableOccurrence(slotId, req.body.startsAt, appointment.business);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    if (slot._id.equals(appointment.slot) && occurrence.startsAt.getTime() === appointment.startsAt.getTime()) {
+      return res.status(400).json({ message: 'The visit is already booked at that time' });
+    }
+    if (!(await reservePlace(slot, occurrence.startsAt))) {
+      return res.status(409).json({ message: 'This time is fully booked' });
+    }
+
+    // Only moved if it is still booked at the old time, so the old place is
+    // given back once however many requests race
+    const moved = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'booked', slot: appointment.slot, startsAt: appointment.startsAt },
+      {
+        $set: { slot: slot._id, ...occurrence, location: slot.location, updatedAt: new Date() },
+        $inc: { sequence: 1 }
+      },
+      { new: true }
+    );
+    if (!moved) {
+      await releasePlace(slot._id, occurrence.startsAt);
+      return res.status(409).json({ message: 'The visit was changed at the same time; please try again' });
+    }
+    await releasePlace(appointment.slot, appointment.startsAt);
+
+    await notifyOtherParty(moved, req.user._id,
+      `${req.user.name} moved a meet-and-greet to ${visitTime(moved.startsAt)}.`);
+    res.json(moved);
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/appointments/:id/cancel
+// @desc    Cancel a booked visit and give its place back
+// @access  Private (the applicant or business)
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const appointment = await findOwnAppointment(req, res);
+    if (!appointment) return;
+
+    if (appointment.status !== 'booked') {
+      return res.status(400).json({ message: 'This visit is already cancelled' });
+    }
+    // Only cancelled if still booked at the time we loaded, so the place is
+    // given back once however many requests race
+    const now = new Date();
+    const cancelled = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'booked', slot: appointment.slot, startsAt: appointment.startsAt },
+      {
+        $set: { status: 'cancelled', cancelledBy: req.user._id, cancelledAt: now, updatedAt: now },
+        $inc: { sequence: 1 }
+      },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(409).json({ message: 'The visit was changed or cancelled at the same time' });
+    }
+    await releasePlace(cancelled.slot, cancelled.startsAt);
+
+    await notifyOtherParty(cancelled, req.user._id,
+      `The meet-and-greet on ${visitTime(cancelled.startsAt)} was cancelled.`);
+    res.json(cancelled);
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/appointments/:id/ics
+// @desc    Download an appointment as an iCalendar file
+// @access  Private (the applicant or business)
+router.get('/:id/ics', auth, async (req, res) => {
+  try {
+    const appointment = await findOwnAppointment(req, res);
+    if (!appointment) return;
+
+    await appointment.populate(CALENDAR_FIELDS);
+    res.set('Content-Disposition', `attachment; filename="appointment-${appointment._id}.ics"`);
+    res.type('text/calendar').send(icsCalendar([appointment], 'PawsHearts visit'));
+  } catch (error) {
+    console.error('Error exporting appointment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
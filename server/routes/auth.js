@@ -2,49 +2,22 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const auth = require('../middleware/auth');
-const multer = require('multer');
-const path = require('path');
+const { createUpload } = require('../middleware/upload');
 const User = require('../models/User');
-const fs = require('fs');
+const Media = require('../models/Media');
+const Pet = require('../models/Pet');
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadPath = path.join(__dirname, '../uploads/profiles');
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'profile-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (extname && mimetype) {
-      return cb(null, true);
-    } else {
-      cb('Error: Images only (jpeg, jpg, png, webp)!');
-    }
-  }
+const uploadProfilePicture = createUpload({
+  folder: 'profiles',
+  prefix: 'profile',
+  kind: 'profile',
+  field: 'profilePicture'
 });
 
 // @route   POST api/auth/register
 // @desc    Register a user
 // @access  Public
-router.post('/register', upload.single('profilePicture'), authController.register);
+router.post('/register', uploadProfilePicture, authController.register);
 
 // @route   POST api/auth/login
 // @desc    Login user
@@ -62,7 +35,7 @@ router.post('/refresh-token', authController.refreshToken);
 router.get('/user', auth, authController.getCurrentUser);
 
 // Update profile route
-router.put('/profile', auth, upload.single('profilePicture'), async (req, res) => {
+router.put('/profile', auth, uploadProfilePicture, async (req, res) => {
   try {
     const { name, email, phoneNumber, address } = req.body;
     const userId = req.user.id;
@@ -83,9 +56,16 @@ router.put('/profile', auth, upload.single('profilePicture'), async (req, res) =
       address,
     };
 
-    // Add profile picture path if uploaded
+    // Re-geocode business users when their address changes
+    if (req.user.userType === 'business' && address !== undefined && address !== req.user.address) {
+      req.user.address = address;
+      updateData.location = req.user.updateLocation() ? req.user.location : null;
+    }
+
+    // Reference the new profile picture if one was uploaded
+    const previousPicture = req.user.profilePicture;
     if (req.file) {
-      updateData.profilePicture = `http://localhost:5000/uploads/profiles/${req.file.filename}`;
+      updateData.profilePicture = req.file.media._id;
     }
 
     const user = await User.findByIdAndUpdate(
@@ -94,6 +74,14 @@ router.put('/profile', auth, upload.single('profilePicture'), async (req, res) =
       { new: true }
     ).select('-password');
 
+    if (updateData.location !== undefined) {
+      await Pet.syncSellerLocation(userId, updateData.location);
+    }
+
+    if (req.file && previousPicture) {
+      await Media.removeWithFiles(previousPicture);
+    }
+
     res.json(user);
   } catch (err) {
     console.error('Profile update error:', err);
@@ -1,35 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const Media = require('../models/Media');
+const { createUpload, authorizeUpload, removeUploads } = require('../middleware/upload');
 const Blog = require('../models/Blog');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Configure multer for file upload
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = 'uploads';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir);
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + path.extname(file.originalname));
-  }
-});
 
-const upload = multer({
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Not an image! Please upload an image.'), false);
-    }
+// Blog images live at the root of the uploads folder
+const uploadBlogImage = createUpload({ folder: '', prefix: 'blog', kind: 'blog', field: 'image' });
+
+// Load the blog in req.params.id if the current user wrote it, otherwise
+// respond with 404/403 and return null
+const findOwnBlog = async (req, res) => {
+  const blog = await Blog.findById(req.params.id);
+  if (!blog) {
+    res.status(404).json({ message: 'Blog not found' });
+    return null;
   }
-});
+  if (blog.author.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to update this blog' });
+    return null;
+  }
+  return blog;
+};
 
 // @route   GET /api/blogs
 // @desc    Get all blogs
@@ -68,7 +60,7 @@ router.get('/:id', async (req, res) => {
 // @route   POST /api/blogs
 // @desc    Create a blog
 // @access  Private
-router.post('/', auth, upload.single('image'), async (req, res) => {
+router.post('/', auth, uploadBlogImage, async (req, res) => {
   try {
     const { title, content, tags } = req.body;
     
@@ -76,7 +68,7 @@ router.post('/', auth, upload.single('image'), async (req, res) => {
       title,
       content,
       author: req.user._id,
-      image: req.file ? req.file.filename : null,
+      image: req.file ? req.file.media._id : null,
       tags: tags ? (Array.isArray(tags) ? tags : [tags]) : []
     });
 
@@ -87,9 +79,7 @@ router.post('/', auth, upload.single('image'), async (req, res) => {
 
     res.status(201).json(populatedBlog);
   } catch (err) {
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
-    }
+    await removeUploads(req);
     console.error('Error creating blog:', err);
     res.status(400).json({ message: err.message });
   }
@@ -98,50 +88,36 @@ router.post('/', auth, upload.single('image'), async (req, res) => {
 // @route   PUT /api/blogs/:id
 // @desc    Update a blog
 // @access  Private
-router.put('/:id', auth, upload.single('image'), async (req, res) => {
+router.put('/:id', auth, authorizeUpload(findOwnBlog), uploadBlogImage, async (req, res) => {
   try {
-    const blog = await Blog.findById(req.params.id);
-    
+    const blog = await findOwnBlog(req, res);
     if (!blog) {
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(404).json({ message: 'Blog not found' });
-    }
-
-    if (blog.author.toString() !== req.user._id.toString()) {
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(403).json({ message: 'Not authorized to update this blog' });
+      await removeUploads(req);
+      return;
     }
 
     const { title, content } = req.body;
-    
-    // If there's a new image, delete the old one
-    if (req.file && blog.image) {
-      const oldImagePath = path.join('uploads', blog.image);
-      if (fs.existsSync(oldImagePath)) {
-        fs.unlinkSync(oldImagePath);
-      }
-    }
+    const previousImage = blog.image;
 
     blog.title = title;
     blog.content = content;
     if (req.file) {
-      blog.image = req.file.filename;
+      blog.image = req.file.media._id;
     }
 
     await blog.save();
+
+    // If there's a new image, delete the old one once the blog points at the new one
+    if (req.file && previousImage) {
+      await Media.removeWithFiles(previousImage);
+    }
     
     const updatedBlog = await Blog.findById(blog._id)
       .populate('author', 'name email businessName');
 
     res.json(updatedBlog);
   } catch (err) {
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
-    }
+    await removeUploads(req);
     console.error('Error updating blog:', err);
     res.status(400).json({ message: err.message });
   }
@@ -164,10 +140,7 @@ router.delete('/:id', auth, async (req, res) => {
 
     // Delete the blog image if it exists
     if (blog.image) {
-      const imagePath = path.join('uploads', blog.image);
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
+      await Media.removeWithFiles(blog.image);
     }
 
     await blog.remove();
@@ -0,0 +1,340 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const Campaign = require('../models/Campaign');
+const Donation = require('../models/Donation');
+const Pet = require('../models/Pet');
+const paymentProvider = require('../payments');
+const { settleDonation } = require('../utils/donations');
+
+const CAMPAIGN_CURRENCY = (process.env.CAMPAIGN_CURRENCY || 'USD').toUpperCase();
+const MIN_DONATION = 1;
+const MAX_DONATION = 100000;
+const DONOR_WALL_LIMIT = 100;
+const EDITABLE_FIELDS = ['title', 'description', 'goalAmount', 'deadline', 'pet'];
+
+const isShelter = (user) => user.userType === 'business' && user.businessType === 'shelter';
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+// Load the campaign in req.params.id if the current user runs it, otherwise
+// respond with 404/403 and return null
+const findOwnCampaign = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid campaign ID' });
+    return null;
+  }
+  const campaign = await Campaign.findById(req.params.id);
+  if (!campaign) {
+    res.status(404).json({ message: 'Campaign not found' });
+    return null;
+  }
+  if (campaign.shelter.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to manage this campaign' });
+    return null;
+  }
+  return campaign;
+};
+
+/**
+ * Campaign fields from a request body, checked. Returns { fields } or
+ * { error }; with `partial` only the fields that were sent are returned.
+ */
+const campaignFieldsFrom = async (body, shelterId, partial = false) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (!partial) {
+    const missing = ['title', 'description', 'goalAmount', 'deadline'].filter(field => !fields[field]);
+    if (missing.length) return { error: `Missing required fields: ${missing.join(', ')}` };
+  }
+  if (fields.goalAmount !== undefined) {
+    const goal = roundAmount(fields.goalAmount);
+    if (!Number.isFinite(goal) || goal < 1) return { error: 'goalAmount must be at least 1' };
+    fields.goalAmount = goal;
+  }
+  if (fields.deadline !== undefined) {
+    const deadline = new Date(fields.deadline);
+    if (Number.isNaN(deadline.getTime()) || deadline <= new Date()) {
+      return { error: 'deadline must be a valid date in the future' };
+    }
+    fields.deadline = deadline;
+  }
+  if (fields.pet) {
+    if (!mongoose.Types.ObjectId.isValid(fields.pet) ||
+        !(await Pet.exists({ _id: fields.pet, seller: shelterId }))) {
+      return { error: 'pet must be one of your listed pets' };
+    }
+  } else if (fields.pet !== undefined) {
+    fields.pet = null;
+  }
+  return { fields };
+};
+
+// @route   GET /api/campaigns
+// @desc    Browse campaigns. Query: shelter, pet, status (active (default) | closed | all).
+//          Active campaigns past their deadline are left out of the active list.
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status || 'active';
+    if (!['active', 'closed', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'status must be active, closed or all' });
+    }
+
+    const filter = {};
+    if (status === 'active') {
+      filter.status = 'active';
+      filter.deadline = { $gt: new Date() };
+    } else if (status === 'closed') {
+      filter.$or = [{ status: 'closed' }, { deadline: { $lte: new Date() } }];
+    }
+    for (const field of ['shelter', 'pet']) {
+      if (!req.query[field]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+        return res.status(400).json({ message: `Invalid ${field} ID` });
+      }
+      filter[field] = req.query[field];
+    }
+
+    const campaigns = await Campaign.find(filter)
+      .populate('shelter', 'name businessName')
+      .populate('pet', 'name type breed images status')
+      .sort({ deadline: 1 });
+    res.json(campaigns);
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/campaigns/mine
+// @desc    The current shelter's campaigns, newest first
+// @access  Private (shelters)
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const campaigns = await Campaign.find({ shelter: req.user._id })
+      .populate('pet', 'name type breed images status')
+      .sort({ createdAt: -1 });
+    res.json(campaigns);
+  } catch (error) {
+    console.error('Error fetching own campaigns:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/campaigns/:id
+// @desc    Get a campaign with its progress
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid campaign ID' });
+    }
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('shelter', 'name businessName address')
+      .populate('pet', 'name type breed images status');
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+    res.json(campaign);
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/campaigns
+// @desc    Start a campaign (body: title, description, goalAmount, deadline, pet)
+// @access  Private (shelters)
+router.post('/', auth, async (req, res) => {
+  try {
+    if (!isShelter(req.user)) {
+      return res.status(403).json({ message: 'Only shelters can start campaigns' });
+    }
+    const { fields, error } = await campaignFieldsFrom(req.body, req.user._id);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const campaign = await Campaign.create({ ...fields, shelter: req.user._id, currency: CAMPAIGN_CURRENCY });
+    res.status(201).json(campaign);
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/campaigns/:id
+// @desc    Update an active campaign's details, goal, deadline or linked pet
+// @access  Private (the shelter running it)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status !== 'active') {
+      return res.status(400).json({ message: 'Closed campaigns cannot be changed' });
+    }
+    const { fields, error } = await campaignFieldsFrom(req.body, req.user._id, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    campaign.set(fields);
+    await campaign.save();
+    res.json(campaign);
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/campaigns/:id/close
+// @desc    Stop taking donations before the deadline
+// @access  Private (the shelter running it)
+router.post('/:id/close', auth, async (req, res) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status === 'closed') {
+      return res.status(400).json({ message: 'This campaign is already closed' });
+    }
+    campaign.status = 'closed';
+    campaign.closedAt = new Date();
+    await campaign.save();
+    res.json(campaign);
+  } catch (error) {
+    console.error('Error closing campaign:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/campaigns/:id/donors
+// @desc    Public donor wall: succeeded donations, newest first. Anonymous
+//          donations are shown without the donor's name.
+// @access  Public
+router.get('/:id/donors', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid campaign ID' });
+    }
+    const donations = await Donation.find({ campaign: req.params.id, status: 'succeeded' })
+      .sort({ completedAt: -1 })
+      .limit(DONOR_WALL_LIMIT);
+
+    res.json(donations.map(donation => ({
+      name: donation.anonymous ? 'Anonymous' : (donation.donorName || 'Guest'),
+      amount: donation.amount,
+      currency: donation.currency,
+      message: donation.message,
+      date: donation.completedAt
+    })));
+  } catch (error) {
+    console.error('Error fetching donor wall:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/campaigns/:id/donations
+// @desc    Every donation to the campaign, including pending and failed ones
+// @access  Private (the shelter running it)
+router.get('/:id/donations', auth, async (req, res) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    const donations = await Donation.find({ campaign: campaign._id }).sort({ createdAt: -1 });
+    res.json(donations);
+  } catch (error) {
+    console.error('Error fetching campaign donations:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/campaigns/:id/donations
+// @desc    Donate (body: amount, paymentMethod, anonymous, message; guests also
+//          donorName and donorEmail). The payment goes through the configured
+//          provider; pending payments are settled by its webhook. The response
+//          includes a receiptToken for downloading the receipt without an account.
+// @access  Public (signed-in donors are linked to the donation)
+router.post('/:id/donations', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid campaign ID' });
+    }
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+    if (!campaign.isOpen) {
+      return res.status(400).json({ message: 'This campaign is no longer taking donations' });
+    }
+
+    const amount = roundAmount(req.body.amount);
+    if (!Number.isFinite(amount) || amount < MIN_DONATION || amount > MAX_DONATION) {
+      return res.status(400).json({ message: `amount must be between ${MIN_DONATION} and ${MAX_DONATION}` });
+    }
+    const donorName = req.user ? req.user.name : req.body.donorName;
+    if (!donorName) {
+      return res.status(400).json({ message: 'donorName is required when donating without an account' });
+    }
+
+    const receiptToken = crypto.randomBytes(24).toString('hex');
+    const donation = await Donation.create({
+      campaign: campaign._id,
+      donor: req.user ? req.user._id : null,
+      donorName,
+      donorEmail: req.user ? req.user.email : req.body.donorEmail,
+      anonymous: req.body.anonymous === true || req.body.anonymous === 'true',
+      message: req.body.message,
+      amount,
+      currency: campaign.currency,
+      provider: paymentProvider.name,
+      receiptToken
+    });
+
+    let payment;
+    try {
+      payment = await paymentProvider.createPayment({
+        amount,
+        currency: campaign.currency,
+        paymentMethod: req.body.paymentMethod,
+        description: `Donation to ${campaign.title}`,
+        metadata: { donationId: donation._id.toString(), campaignId: campaign._id.toString() }
+      });
+    } catch (error) {
+      console.error('Payment provider error:', error);
+      await settleDonation(donation._id, { status: 'failed', failureReason: 'Payment provider unavailable' });
+      return res.status(502).json({ message: 'The payment could not be started. Please try again.' });
+    }
+
+    donation.providerPaymentId = payment.id;
+    await donation.save();
+    await settleDonation(donation._id, payment);
+
+    const result = await Donation.findById(donation._id);
+    const status = result.status === 'failed' ? 402 : 201;
+    res.status(status).json({ donation: result, receiptToken });
+  } catch (error) {
+    console.error('Error creating donation:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
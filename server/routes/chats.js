@@ -3,7 +3,8 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const Chat = require('../models/Chat');
 const AdoptionRequest = require('../models/AdoptionRequest');
-const Pet = require('../models/Pet');
+const { completeAgreedAdoption } = require('../utils/adoptionRequests');
+const { ensureAdoptionContract } = require('../utils/adoptionContracts');
 const mongoose = require('mongoose');
 
 // Get chat for an adoption request
@@ -172,29 +173,27 @@ router.post('/:chatId/accept', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to accept terms for this chat' });
     }
 
-    // Update acceptance status
-    if (isBuyer) {
-      chat.buyerAccepted = true;
-    } else {
-      chat.sellerAccepted = true;
+    // Update acceptance status, keeping when and from where it first happened
+    const side = isBuyer ? 'buyer' : 'seller';
+    if (!chat[`${side}Accepted`]) {
+      chat[`${side}Accepted`] = true;
+      chat[`${side}AcceptedAt`] = new Date();
+      chat[`${side}AcceptedIp`] = req.ip;
     }
 
     await chat.save();
 
-    // If both parties have accepted, approve the adoption
-    if (chat.buyerAccepted && chat.sellerAccepted) {
-      const adoptionRequest = await AdoptionRequest.findById(chat.adoptionRequest);
-      if (adoptionRequest) {
-        adoptionRequest.status = 'approved';
-        await adoptionRequest.save();
-
-        // Update pet status
-        const pet = await Pet.findById(adoptionRequest.petId);
-        if (pet) {
-          pet.status = 'adopted';
-          pet.adopter = chat.buyer;
-          await pet.save();
-        }
+    // If both parties have accepted, complete the adoption
+    if (chat.buyerAccepted && chat.sellerAccepted && chat.adoptionRequest) {
+      const { error, status } = await completeAgreedAdoption(chat.adoptionRequest, req.user._id);
+      if (error && status !== 404) {
+        return res.status(status).json({ message: error });
+      }
+      // The adoption stands even if the PDF fails; GET /api/contracts/chats/:chatId retries it
+      try {
+        await ensureAdoptionContract(chat);
+      } catch (contractError) {
+        console.error('Error generating adoption contract:', contractError);
       }
     }
 
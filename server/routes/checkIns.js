@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const CheckIn = require('../models/CheckIn');
+const CheckInSettings = require('../models/CheckInSettings');
+const Notification = require('../models/Notification');
+const { createUpload, authorizeUpload, removeUploads } = require('../middleware/upload');
+const { validateAnswers } = require('../utils/applicationForms');
+const {
+  CHECK_IN_STATES,
+  settingsFor,
+  settingsFieldsFrom,
+  opensAt,
+  checkInState,
+  checkInStateFilter,
+  complianceReport
+} = require('../utils/checkIns');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CHECK_IN_IMAGES = 5;
+const DEFAULT_REPORT_DAYS = 365;
+
+const uploadCheckInImages = createUpload({
+  folder: 'checkins',
+  prefix: 'checkin',
+  kind: 'checkin',
+  field: 'images',
+  maxCount: MAX_CHECK_IN_IMAGES
+});
+
+const requireBusiness = (req, res) => {
+  if (req.user.userType !== 'business') {
+    res.status(403).json({ message: 'Only shelters and businesses can manage check-ins' });
+    return false;
+  }
+  return true;
+};
+
+// A check-in as JSON with its current state
+const withState = (checkIn, now = new Date()) => ({ ...checkIn.toJSON(), state: checkInState(checkIn, now) });
+
+// Load the check-in in req.params.id if the current user is its adopter or
+// shelter, otherwise respond with 400/404 and return null
+const findCheckIn = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid check-in ID' });
+    return null;
+  }
+  const checkIn = await CheckIn.findById(req.params.id);
+  const userId = req.user._id.toString();
+  if (!checkIn || (checkIn.adopter.toString() !== userId && checkIn.business.toString() !== userId)) {
+    res.status(404).json({ message: 'Check-in not found' });
+    return null;
+  }
+  return checkIn;
+};
+
+// findCheckIn, limited to the adopter (who submits it)
+const findAdopterCheckIn = async (req, res) => {
+  const checkIn = await findCheckIn(req, res);
+  if (checkIn && checkIn.adopter.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Only the adopter can submit this check-in' });
+    return null;
+  }
+  return checkIn;
+};
+
+// Multipart bodies carry answers as a JSON string or as answers[<questionId>] fields
+const answersFrom = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// @route   GET /api/check-ins/settings
+// @desc    When the current business follows up after an adoption and what
+//          it asks (the defaults until it saves its own)
+// @access  Private (business users)
+router.get('/settings', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+    res.json(await settingsFor(req.user._id));
+  } catch (error) {
+    console.error('Error fetching check-in settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/check-ins/settings
+// @desc    Save the business's check-in schedule (body.offsets: [{ label, days }])
+//          and wellbeing questions. Only adoptions completed afterwards use them.
+// @access  Private (business users)
+router.put('/settings', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+    const { fields, error } = settingsFieldsFrom(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const settings = await CheckInSettings.findOneAndUpdate(
+      { business: req.user._id },
+      { ...fields, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json(settings);
+  } catch (error) {
+    console.error('Error saving check-in settings:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid check-in settings',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/check-ins/mine
+// @desc    The current adopter's check-ins, soonest due first. Cancelled ones
+//          are left out.
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const checkIns = await CheckIn.find({ adopter: req.user._id, status: { $ne: 'cancelled' } })
+      .populate('pet', 'name type breed images')
+      .populate('business', 'name businessName')
+      .sort({ dueAt: 1 });
+    const now = new Date();
+    res.json(checkIns.map(checkIn => withState(checkIn, now)));
+  } catch (error) {
+    console.error('Error fetching check-ins:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/check-ins/business
+// @desc    The current business's check-ins, soonest due first; ?state= one of
+//          upcoming, open, overdue, submitted, cancelled and ?petId= narrow it
+// @access  Private (business users)
+router.get('/business', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    const now = new Date();
+    const filter = { business: req.user._id };
+    if (req.query.petId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.petId)) {
+        return res.status(400).json({ message: 'Invalid pet ID' });
+      }
+      filter.pet = req.query.petId;
+    }
+    if (req.query.state) {
+      if (!CHECK_IN_STATES.includes(req.query.state)) {
+        return res.status(400).json({ message: `state must be one of: ${CHECK_IN_STATES.join(', ')}` });
+      }
+      Object.assign(filter, checkInStateFilter(req.query.state, now));
+    }
+
+    const checkIns = await CheckIn.find(filter)
+      .populate('pet', 'name type breed images')
+      .populate('adopter', 'name email phoneNumber')
+      .sort({ dueAt: 1 });
+    res.json(checkIns.map(checkIn => withState(checkIn, now)));
+  } catch (error) {
+    console.error('Error fetching business check-ins:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/check-ins/report
+// @desc    Follow-up compliance for check-ins due between ?from and ?to
+//          (default the past year): on time, late and overdue counts, per
+//          check-in and overall, plus the overdue check-ins
+// @access  Private (business users)
+router.get('/report', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ message: 'from and to must be valid dates with from before to' });
+    }
+
+    res.json(await complianceReport(req.user._id, { from, to }));
+  } catch (error) {
+    console.error('Error building check-in report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/check-ins/:id
+// @desc    A check-in with its questions and, once submitted, the update
+// @access  Private (the adopter or the shelter)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const checkIn = await findCheckIn(req, res);
+    if (!checkIn) return;
+    await checkIn.populate([
+      { path: 'pet', select: 'name type breed images' },
+      { path: 'adopter', select: 'name' },
+      { path: 'business', select: 'name businessName' }
+    ]);
+    res.json(withState(checkIn));
+  } catch (error) {
+    console.error('Error fetching check-in:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/check-ins/:id
+// @desc    Submit a check-in (multipart: text, answers keyed by question id,
+//          up to 5 "images"). It opens a few days before it is due and can
+//          still be sent once overdue.
+// @access  Private (the adopter)
+router.post('/:id', auth, authorizeUpload(findAdopterCheckIn), uploadCheckInImages, async (req, res) => {
+  try {
+    const checkIn = await findAdopterCheckIn(req, res);
+    if (!checkIn) {
+      await removeUploads(req);
+      return;
+    }
+    if (checkIn.status !== 'scheduled') {
+      await removeUploads(req);
+      return res.status(400).json({ message: `This check-in is already ${checkIn.status}` });
+    }
+    if (new Date() < opensAt(checkIn)) {
+      await removeUploads(req);
+      return res.status(400).json({ message: `This check-in opens on ${opensAt(checkIn).toISOString().slice(0, 10)}` });
+    }
+
+    const { answers, errors } = validateAnswers(checkIn, answersFrom(req.body.answers));
+    if (errors) {
+      await removeUploads(req);
+      return res.status(400).json({ message: 'Please check your answers', details: errors });
+    }
+    const images = req.files ? req.files.map(file => file.media._id) : [];
+    if (!req.body.text && images.length === 0) {
+      return res.status(400).json({ message: 'Add a short update or at least one photo' });
+    }
+
+    // Only a check-in that is still scheduled is taken, so a second submission fails
+    const submitted = await CheckIn.findOneAndUpdate(
+      { _id: checkIn._id, status: 'scheduled' },
+      { status: 'submitted', text: req.body.text, answers, images, submittedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+    if (!submitted) {
+      await removeUploads(req);
+      return res.status(409).json({ message: 'This check-in was submitted already' });
+    }
+
+    await submitted.populate('pet', 'name type breed images');
+    await Notification.create({
+      user: submitted.business,
+      type: 'check_in_submitted',
+      message: `${req.user.name} sent the ${submitted.label} check-in${submitted.pet ? ` for ${submitted.pet.name}` : ''}.`,
+      pet: submitted.pet ? submitted.pet._id : null
+    });
+
+    res.json(withState(submitted));
+  } catch (error) {
+    await removeUploads(req);
+    console.error('Error submitting check-in:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,41 +2,34 @@ const express = require('express');
 const router = express.Router();
 const communityController = require('../controllers/communityController');
 const auth = require('../middleware/auth');
-const multer = require('multer');
-const path = require('path');
+const Community = require('../models/Community');
+const { createUpload, authorizeUpload } = require('../middleware/upload');
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/communities');
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + path.extname(file.originalname));
-  }
-});
+const uploadCommunityImage = createUpload({ folder: 'communities', prefix: 'community', kind: 'community', field: 'image' });
+const uploadMessageImage = createUpload({ folder: 'communities', prefix: 'message', kind: 'message', field: 'image' });
 
-const upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
+// Only members may post; checked before a message image is processed
+const isMember = async (req, res) => {
+  const community = await Community.findById(req.params.id).select('members');
+  if (!community) {
+    res.status(404).json({ message: 'Community not found' });
+    return null;
+  }
+  if (!community.members.includes(req.user._id)) {
+    res.status(400).json({ message: 'Must be a member to send messages' });
+    return null;
   }
-});
+  return community;
+};
 
 // Community routes
-router.post('/', auth, upload.single('image'), communityController.createCommunity);
+router.post('/', auth, uploadCommunityImage, communityController.createCommunity);
 router.get('/', auth, communityController.getAllCommunities);
 router.post('/:id/join', auth, communityController.joinCommunity);
 router.post('/:id/leave', auth, communityController.leaveCommunity);
 
 // Message routes
 router.get('/:id/messages', auth, communityController.getMessages);
-router.post('/:id/messages', auth, upload.single('image'), communityController.sendMessage);
+router.post('/:id/messages', auth, authorizeUpload(isMember), uploadMessageImage, communityController.sendMessage);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const AdoptionContract = require('../models/AdoptionContract');
+const ContractTemplate = require('../models/ContractTemplate');
+const Chat = require('../models/Chat');
+const {
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_TEMPLATE,
+  ensureAdoptionContract,
+  readContractPdf
+} = require('../utils/adoptionContracts');
+
+const isParty = (contract, user) => [contract.seller.user, contract.adopter.user]
+  .some(party => party.toString() === user._id.toString());
+
+// Load the contract in req.params.id if the current user is one of its
+// parties, otherwise respond with 400/404 and return null
+const findOwnContract = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid contract ID' });
+    return null;
+  }
+  const contract = await AdoptionContract.findById(req.params.id);
+  if (!contract || !isParty(contract, req.user)) {
+    res.status(404).json({ message: 'Contract not found' });
+    return null;
+  }
+  return contract;
+};
+
+// @route   GET /api/contracts/template
+// @desc    The current business's contract template (the default one until
+//          it saves its own), with the placeholders the terms may use
+// @access  Private (business users)
+router.get('/template', auth, async (req, res) => {
+  try {
+    const template = await ContractTemplate.findOne({ business: req.user._id });
+    res.json({
+      title: template ? template.title : DEFAULT_TEMPLATE.title,
+      terms: template ? template.terms : DEFAULT_TEMPLATE.terms,
+      isDefault: !template,
+      placeholders: TEMPLATE_PLACEHOLDERS.map(name => `{{${name}}}`)
+    });
+  } catch (error) {
+    console.error('Error fetching contract template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/contracts/template
+// @desc    Save the business's contract template (body: title, terms). Only
+//          contracts generated afterwards use it.
+// @access  Private (business users)
+router.put('/template', auth, async (req, res) => {
+  try {
+    if (req.user.userType !== 'business') {
+      return res.status(403).json({ message: 'Only business users can customize contracts' });
+    }
+    const { title, terms } = req.body;
+    if (!title || !terms || typeof title !== 'string' || typeof terms !== 'string') {
+      return res.status(400).json({ message: 'title and terms are required' });
+    }
+    const unknown = [...terms.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+      .map(match => match[1])
+      .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+    if (unknown.length) {
+      return res.status(400).json({ message: `Unknown placeholders: ${[...new Set(unknown)].join(', ')}` });
+    }
+
+    const template = await ContractTemplate.findOneAndUpdate(
+      { business: req.user._id },
+      { title: title.trim(), terms: terms.trim(), updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json(template);
+  } catch (error) {
+    console.error('Error saving contract template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/contracts/mine
+// @desc    Contracts the current user is a party to, newest first
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const contracts = await AdoptionContract.find({
+      $or: [{ 'seller.user': req.user._id }, { 'adopter.user': req.user._id }]
+    }).sort({ createdAt: -1 });
+    res.json(contracts);
+  } catch (error) {
+    console.error('Error fetching contracts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/contracts/chats/:chatId
+// @desc    The contract of an adoption chat both sides accepted and whose
+//          adoption completed; generated now if it is missing
+// @access  Private (the chat's buyer or seller)
+router.get('/chats/:chatId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.chatId)) {
+      return res.status(400).json({ message: 'Invalid chat ID' });
+    }
+    const chat = await Chat.findById(req.params.chatId);
+    const userId = req.user._id.toString();
+    if (!chat || (chat.buyer.toString() !== userId && chat.seller.toString() !== userId)) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const contract = await ensureAdoptionContract(chat);
+    if (!contract) {
+      return res.status(404).json({ message: 'A contract is issued once both sides accept and the adoption is completed' });
+    }
+    res.json(contract);
+  } catch (error) {
+    console.error('Error fetching chat contract:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/contracts/:id
+// @desc    A contract's recorded details, including the PDF's SHA-256
+// @access  Private (the contract's parties)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const contract = await findOwnContract(req, res);
+    if (!contract) return;
+    res.json(contract);
+  } catch (error) {
+    console.error('Error fetching contract:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/contracts/:id/pdf
+// @desc    Download the contract PDF. It is checked against the recorded hash
+//          first and never served if it was altered in storage.
+// @access  Private (the contract's parties)
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    const contract = await findOwnContract(req, res);
+    if (!contract) return;
+
+    const { pdf, intact } = await readContractPdf(contract);
+    if (!intact) {
+      console.error('Adoption contract failed its integrity check:', contract._id);
+      return res.status(500).json({ message: 'The stored contract failed its integrity check' });
+    }
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="adoption-contract-${contract._id}.pdf"`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-SHA256': contract.file.sha256
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error downloading contract:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/contracts/:id/verify
+// @desc    Check the stored PDF against its recorded hash. Compare a copy's
+//          SHA-256 with `sha256` to check the copy.
+// @access  Private (the contract's parties)
+router.get('/:id/verify', auth, async (req, res) => {
+  try {
+    const contract = await findOwnContract(req, res);
+    if (!contract) return;
+
+    const { intact } = await readContractPdf(contract);
+    res.json({ sha256: contract.file.sha256, intact });
+  } catch (error) {
+    console.error('Error verifying contract:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const Donation = require('../models/Donation');
+const paymentProvider = require('../payments');
+const { settleDonation, receiptText } = require('../utils/donations');
+
+// @route   POST /api/donations/webhook
+// @desc    Payment results from the payment provider. The call is checked
+//          against the provider's signature before anything changes.
+// @access  Public (signed by the provider)
+router.post('/webhook', async (req, res) => {
+  try {
+    const event = paymentProvider.parseWebhook(req.rawBody, req.headers);
+    if (!event) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    const donation = await Donation.findOne({ provider: paymentProvider.name, providerPaymentId: event.paymentId });
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    await settleDonation(donation._id, event);
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/mine
+// @desc    The current user's donations, newest first
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const donations = await Donation.find({ donor: req.user._id })
+      .populate('campaign', 'title shelter status deadline')
+      .sort({ createdAt: -1 });
+    res.json(donations);
+  } catch (error) {
+    console.error('Error fetching donations:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/:id/receipt
+// @desc    Download the receipt of a succeeded donation. Available to the donor,
+//          the shelter, or anyone with the donation's ?token=
+// @access  Public (with token) / Private
+router.get('/:id/receipt', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid donation ID' });
+    }
+    const donation = await Donation.findById(req.params.id)
+      .select('+receiptToken')
+      .populate({ path: 'campaign', select: 'title shelter', populate: { path: 'shelter', select: 'name businessName' } });
+    if (!donation || !donation.campaign) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    const userId = req.user ? req.user._id.toString() : null;
+    const allowed = (userId && donation.donor && donation.donor.toString() === userId) ||
+      (userId && donation.campaign.shelter && donation.campaign.shelter._id.toString() === userId) ||
+      (req.query.token && req.query.token === donation.receiptToken);
+    if (!allowed) {
+      return res.status(403).json({ message: 'Not authorized to view this receipt' });
+    }
+    if (donation.status !== 'succeeded') {
+      return res.status(400).json({ message: 'Receipts are only issued for completed donations' });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="receipt-${donation.receiptNumber}.txt"`);
+    res.type('text/plain').send(receiptText(donation, donation.campaign, donation.campaign.shelter));
+  } catch (error) {
+    console.error('Error fetching donation receipt:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,419 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const User = require('../models/User');
+const Pet = require('../models/Pet');
+const FosterCarer = require('../models/FosterCarer');
+const FosterPlacement = require('../models/FosterPlacement');
+const FosterUpdate = require('../models/FosterUpdate');
+const Notification = require('../models/Notification');
+const { createUpload, authorizeUpload, removeUploads } = require('../middleware/upload');
+const { endFosterPlacement } = require('../utils/fostering');
+
+const { FOSTER_CARER_STATUSES } = FosterCarer;
+
+const MAX_UPDATE_IMAGES = 5;
+// Pets that can no longer be placed with a foster carer
+const UNPLACEABLE_STATUSES = ['adopted', 'sold', 'archived'];
+
+const uploadUpdateImages = createUpload({
+  folder: 'fosters',
+  prefix: 'foster',
+  kind: 'foster',
+  field: 'images',
+  maxCount: MAX_UPDATE_IMAGES
+});
+
+const requireBusiness = (req, res) => {
+  if (req.user.userType !== 'business') {
+    res.status(403).json({ message: 'Only shelters and businesses can manage foster carers' });
+    return false;
+  }
+  return true;
+};
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return { date: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: `${field} must be a valid date` };
+  return { date };
+};
+
+// Load the placement in req.params.id for its shelter or carer, otherwise
+// respond with 404/403 and return null
+const findPlacement = async (req, res, { shelterOnly = false, carerOnly = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid placement ID' });
+    return null;
+  }
+  const placement = await FosterPlacement.findById(req.params.id);
+  if (!placement) {
+    res.status(404).json({ message: 'Placement not found' });
+    return null;
+  }
+  const userId = req.user._id.toString();
+  const isShelter = placement.shelter.toString() === userId;
+  const isCarer = placement.carer.toString() === userId;
+  if ((shelterOnly && !isShelter) || (carerOnly && !isCarer) || (!isShelter && !isCarer)) {
+    res.status(403).json({ message: 'Not authorized for this placement' });
+    return null;
+  }
+  return placement;
+};
+
+const findCarerPlacement = (req, res) => findPlacement(req, res, { carerOnly: true });
+
+// @route   POST /api/fosters/applications
+// @desc    Apply to foster for a shelter (body: shelterId, message, experience, capacity)
+// @access  Private (regular users)
+router.post('/applications', auth, async (req, res) => {
+  try {
+    if (req.user.userType !== 'regular') {
+      return res.status(403).json({ message: 'Only regular users can apply to foster' });
+    }
+    const { shelterId, message, experience, capacity } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(shelterId)) {
+      return res.status(400).json({ message: 'Invalid shelter ID' });
+    }
+    const shelter = await User.findOne({ _id: shelterId, userType: 'business' }).select('name businessName');
+    if (!shelter) {
+      return res.status(404).json({ message: 'Shelter not found' });
+    }
+
+    const existing = await FosterCarer.findOne({ user: req.user._id, shelter: shelter._id });
+    if (existing && existing.status !== 'rejected') {
+      return res.status(400).json({ message: `You already have a ${existing.status} application with this shelter` });
+    }
+
+    // A rejected carer may apply again
+    const application = existing || new FosterCarer({ user: req.user._id, shelter: shelter._id });
+    application.set({
+      status: 'pending',
+      message,
+      experience,
+      capacity: capacity === undefined || capacity === '' ? null : capacity,
+      decidedAt: null,
+      createdAt: new Date()
+    });
+    await application.save();
+
+    await Notification.create({
+      user: shelter._id,
+      type: 'foster_application',
+      message: `${req.user.name} applied to foster for you.`
+    });
+
+    res.status(201).json(application);
+  } catch (error) {
+    console.error('Error applying to foster:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/fosters/applications/mine
+// @desc    The current user's foster applications
+// @access  Private
+router.get('/applications/mine', auth, async (req, res) => {
+  try {
+    const applications = await FosterCarer.find({ user: req.user._id })
+      .populate('shelter', 'name businessName address')
+      .sort({ createdAt: -1 });
+    res.json(applications);
+  } catch (error) {
+    console.error('Error fetching foster applications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/fosters/applications
+// @desc    Foster applications and carers of the current shelter (?status=)
+// @access  Private (business users)
+router.get('/applications', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    const filter = { shelter: req.user._id };
+    if (req.query.status) {
+      if (!FOSTER_CARER_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `status must be one of: ${FOSTER_CARER_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+
+    const applications = await FosterCarer.find(filter)
+      .populate('user', 'name email phoneNumber address')
+      .sort({ createdAt: -1 });
+    res.json(applications);
+  } catch (error) {
+    console.error('Error fetching foster applications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/fosters/applications/:id
+// @desc    Approve or reject an application, or mark a carer inactive (body.status)
+// @access  Private (the shelter applied to)
+router.put('/applications/:id', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    const { status } = req.body;
+    if (!['approved', 'rejected', 'inactive'].includes(status)) {
+      return res.status(400).json({ message: 'status must be approved, rejected or inactive' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid application ID' });
+    }
+    const application = await FosterCarer.findOne({ _id: req.params.id, shelter: req.user._id });
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    application.status = status;
+    application.decidedAt = new Date();
+    await application.save();
+
+    if (status !== 'inactive') {
+      await Notification.create({
+        user: application.user,
+        type: 'foster_application_decided',
+        message: `${req.user.businessName || req.user.name} ${status} your application to foster.`
+      });
+    }
+
+    res.json(application);
+  } catch (error) {
+    console.error('Error updating foster application:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/fosters/placements
+// @desc    Place one of the shelter's pets with an approved carer
+//          (body: petId, carerId, startDate (default now), endDate (planned), notes).
+//          The pet stays listed and shows as in foster care.
+// @access  Private (business users)
+router.post('/placements', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    const { petId, carerId, notes } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(petId) || !mongoose.Types.ObjectId.isValid(carerId)) {
+      return res.status(400).json({ message: 'Invalid pet or carer ID' });
+    }
+    const startDate = parseDate(req.body.startDate, 'startDate');
+    const endDate = parseDate(req.body.endDate, 'endDate');
+    const dateError = startDate.error || endDate.error;
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+    const start = startDate.date || new Date();
+    if (endDate.date && endDate.date <= start) {
+      return res.status(400).json({ message: 'endDate must be after startDate' });
+    }
+
+    const pet = await Pet.findOne({ _id: petId, seller: req.user._id });
+    if (!pet) {
+      return res.status(404).json({ message: 'Pet not found among your listings' });
+    }
+    if (UNPLACEABLE_STATUSES.includes(pet.status)) {
+      return res.status(400).json({ message: `A ${pet.status} pet cannot be placed in foster care` });
+    }
+    if (pet.fosterPlacement) {
+      return res.status(400).json({ message: 'This pet is already in foster care' });
+    }
+
+    const carer = await FosterCarer.findOne({ user: carerId, shelter: req.user._id, status: 'approved' });
+    if (!carer) {
+      return res.status(400).json({ message: 'This user is not an approved foster carer for you' });
+    }
+    if (carer.capacity) {
+      const current = await FosterPlacement.countDocuments({ carer: carerId, status: 'active' });
+      if (current >= carer.capacity) {
+        return res.status(400).json({ message: `This carer is already fostering ${current} of ${carer.capacity} pets` });
+      }
+    }
+
+    const placement = await FosterPlacement.create({
+      pet: pet._id,
+      shelter: req.user._id,
+      carer: carerId,
+      startDate: start,
+      endDate: endDate.date,
+      notes
+    });
+    pet.fosterPlacement = placement._id;
+    await pet.save();
+
+    await Notification.create({
+      user: carerId,
+      type: 'foster_placement',
+      message: `${pet.name} has been placed with you for fostering.`,
+      pet: pet._id
+    });
+
+    res.status(201).json(placement);
+  } catch (error) {
+    console.error('Error creating foster placement:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This pet is already in foster care' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/fosters/placements
+// @desc    The shelter's placements: current ones by default, ?status=ended or all
+// @access  Private (business users)
+router.get('/placements', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    const status = req.query.status || 'active';
+    if (!['active', 'ended', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'status must be active, ended or all' });
+    }
+    const filter = { shelter: req.user._id };
+    if (status !== 'all') filter.status = status;
+
+    const placements = await FosterPlacement.find(filter)
+      .populate('pet', 'name type breed images status')
+      .populate('carer', 'name email phoneNumber')
+      .sort({ startDate: -1 });
+    res.json(placements);
+  } catch (error) {
+    console.error('Error fetching foster placements:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/fosters/placements/mine
+// @desc    The current user's placements as a foster carer (?status= as above)
+// @access  Private
+router.get('/placements/mine', auth, async (req, res) => {
+  try {
+    const status = req.query.status || 'active';
+    if (!['active', 'ended', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'status must be active, ended or all' });
+    }
+    const filter = { carer: req.user._id };
+    if (status !== 'all') filter.status = status;
+
+    const placements = await FosterPlacement.find(filter)
+      .populate('pet', 'name type breed images status')
+      .populate('shelter', 'name businessName phoneNumber address')
+      .sort({ startDate: -1 });
+    res.json(placements);
+  } catch (error) {
+    console.error('Error fetching foster placements:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/fosters/placements/:id
+// @desc    A placement with its care updates, newest first
+// @access  Private (shelter or carer)
+router.get('/placements/:id', auth, async (req, res) => {
+  try {
+    const placement = await findPlacement(req, res);
+    if (!placement) return;
+
+    await placement.populate([
+      { path: 'pet', select: 'name type breed images status' },
+      { path: 'carer', select: 'name email phoneNumber' },
+      { path: 'shelter', select: 'name businessName phoneNumber address' }
+    ]);
+    const updates = await FosterUpdate.find({ placement: placement._id })
+      .populate('author', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ ...placement.toJSON(), updates });
+  } catch (error) {
+    console.error('Error fetching foster placement:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/fosters/placements/:id/end
+// @desc    End a placement (body: endDate (default now), reason)
+// @access  Private (shelter)
+router.post('/placements/:id/end', auth, async (req, res) => {
+  try {
+    const placement = await findPlacement(req, res, { shelterOnly: true });
+    if (!placement) return;
+
+    if (placement.status !== 'active') {
+      return res.status(400).json({ message: 'This placement has already ended' });
+    }
+    const endDate = parseDate(req.body.endDate, 'endDate');
+    if (endDate.error) {
+      return res.status(400).json({ message: endDate.error });
+    }
+
+    const pet = await Pet.findById(placement.pet);
+    if (pet) {
+      const ended = await endFosterPlacement(pet, { reason: req.body.reason, endDate: endDate.date || new Date() });
+      await pet.save();
+      return res.json(ended);
+    }
+
+    // The pet was deleted; just close the placement
+    placement.status = 'ended';
+    placement.endDate = endDate.date || new Date();
+    placement.endReason = req.body.reason;
+    await placement.save();
+    res.json(placement);
+  } catch (error) {
+    console.error('Error ending foster placement:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/fosters/placements/:id/updates
+// @desc    Post a care update for the shelter (body.text, up to 5 "images")
+// @access  Private (carer of an active placement)
+router.post('/placements/:id/updates', auth, authorizeUpload(findCarerPlacement), uploadUpdateImages, async (req, res) => {
+  try {
+    const placement = await findCarerPlacement(req, res);
+    if (!placement) {
+      await removeUploads(req);
+      return;
+    }
+
+    if (placement.status !== 'active') {
+      await removeUploads(req);
+      return res.status(400).json({ message: 'Updates can only be posted for active placements' });
+    }
+    const images = req.files ? req.files.map(file => file.media._id) : [];
+    if (!req.body.text && images.length === 0) {
+      return res.status(400).json({ message: 'Add some text or at least one photo' });
+    }
+
+    const update = await FosterUpdate.create({
+      placement: placement._id,
+      author: req.user._id,
+      text: req.body.text,
+      images
+    });
+
+    const pet = await Pet.findById(placement.pet).select('name').setOptions({ populateMedia: false });
+    await Notification.create({
+      user: placement.shelter,
+      type: 'foster_update',
+      message: `${req.user.name} posted a care update${pet ? ` for ${pet.name}` : ''}.`,
+      pet: placement.pet
+    });
+
+    res.status(201).json(await FosterUpdate.findById(update._id).populate('author', 'name'));
+  } catch (error) {
+    await removeUploads(req);
+    console.error('Error posting foster update:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
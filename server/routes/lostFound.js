@@ -0,0 +1,500 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const PetReport = require('../models/PetReport');
+const PetReportMatch = require('../models/PetReportMatch');
+const Pet = require('../models/Pet');
+const Media = require('../models/Media');
+const Notification = require('../models/Notification');
+const { createUpload, authorizeUpload, removeUploads } = require('../middleware/upload');
+const { lookupPostalCode, EARTH_RADIUS_KM } = require('../utils/geo');
+const { escapeRegex } = require('../utils/petQuery');
+const { expiryDateFrom, scoreMatch, matchReport, lostReportCandidates } = require('../utils/petReports');
+
+const { REPORT_KINDS, REPORT_STATUSES, REPORT_GENDERS } = PetReport;
+
+const MAX_REPORT_IMAGES = 5;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+// States a reporter can close a report with
+const RESOLUTION_STATUSES = ['reunited', 'closed'];
+
+const uploadReportImages = createUpload({
+  folder: 'reports',
+  prefix: 'report',
+  kind: 'report',
+  field: 'images',
+  maxCount: MAX_REPORT_IMAGES
+});
+
+const REPORTER_FIELDS = 'name businessName userType';
+
+// Accept both repeated fields and comma lists for colours
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Report fields from a request body. The last-seen location is a postal code
+ * or lat/lng. Returns { fields } or { errors }; with `partial` only the fields
+ * that were sent are returned.
+ */
+const reportFieldsFrom = (body, partial = false) => {
+  const fields = {};
+  const errors = [];
+
+  ['name', 'species', 'breed', 'description', 'lastSeenAddress', 'contactPhone'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (body.colors !== undefined) fields.colors = toList(body.colors);
+  if (body.gender !== undefined) {
+    if (!REPORT_GENDERS.includes(body.gender)) errors.push(`gender must be one of: ${REPORT_GENDERS.join(', ')}`);
+    else fields.gender = body.gender;
+  }
+
+  if (body.lastSeenAt !== undefined) {
+    const lastSeenAt = new Date(body.lastSeenAt);
+    if (Number.isNaN(lastSeenAt.getTime()) || lastSeenAt > new Date()) {
+      errors.push('lastSeenAt must be a valid date that is not in the future');
+    } else {
+      fields.lastSeenAt = lastSeenAt;
+    }
+  } else if (!partial) {
+    errors.push('lastSeenAt is required');
+  }
+
+  if (body.postalCode) {
+    const location = lookupPostalCode(body.postalCode);
+    if (!location) errors.push(`Unknown postal code: ${body.postalCode}`);
+    else fields.lastSeenLocation = location;
+  } else if (body.lat !== undefined || body.lng !== undefined) {
+    const lat = Number(body.lat);
+    const lng = Number(body.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      errors.push('lat and lng must be valid coordinates');
+    } else {
+      fields.lastSeenLocation = { type: 'Point', coordinates: [lng, lat] };
+    }
+  } else if (!partial) {
+    errors.push('Give the last-seen location as postalCode or lat and lng');
+  }
+
+  if (!partial && !fields.species) errors.push('species is required');
+
+  return errors.length ? { errors } : { fields };
+};
+
+// Load the report in req.params.id if the current user filed it, otherwise
+// respond with 404/403 and return null
+const findOwnReport = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid report ID' });
+    return null;
+  }
+  const report = await PetReport.findById(req.params.id);
+  if (!report) {
+    res.status(404).json({ message: 'Report not found' });
+    return null;
+  }
+  if (report.reporter.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to change this report' });
+    return null;
+  }
+  return report;
+};
+
+// @route   GET /api/lost-found
+// @desc    Browse reports. Query: kind (lost | found), species, status (default open),
+//          near (postal code) with radiusKm, limit
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const filter = { status: req.query.status || 'open' };
+    if (!REPORT_STATUSES.includes(filter.status)) {
+      return res.status(400).json({ message: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+    }
+    if (req.query.kind) {
+      if (!REPORT_KINDS.includes(req.query.kind)) {
+        return res.status(400).json({ message: `kind must be one of: ${REPORT_KINDS.join(', ')}` });
+      }
+      filter.kind = req.query.kind;
+    }
+    if (req.query.species) {
+      filter.species = new RegExp(`^${escapeRegex(String(req.query.species).trim())}$`, 'i');
+    }
+    if (req.query.near) {
+      const near = lookupPostalCode(req.query.near);
+      if (!near) {
+        return res.status(400).json({ message: `Unknown postal code: ${req.query.near}` });
+      }
+      const radiusKm = req.query.radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(req.query.radiusKm);
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+        return res.status(400).json({ message: 'radiusKm must be a positive number' });
+      }
+      filter.lastSeenLocation = {
+        $geoWithin: { $centerSphere: [near.coordinates, Math.min(radiusKm, MAX_RADIUS_KM) / EARTH_RADIUS_KM] }
+      };
+    }
+
+    const limit = Math.min(Number(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const reports = await PetReport.find(filter)
+      .populate('reporter', REPORTER_FIELDS)
+      .sort({ lastSeenAt: -1 })
+      .limit(limit);
+
+    res.json(reports);
+  } catch (error) {
+    console.error('Error fetching lost & found reports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/lost-found/mine
+// @desc    The current user's reports, newest first
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const reports = await PetReport.find({ reporter: req.user._id }).sort({ createdAt: -1 });
+    res.json(reports);
+  } catch (error) {
+    console.error('Error fetching own reports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/lost-found/pets/:petId/candidates
+// @desc    Open lost reports a listed pet could be, best match first, so a
+//          shelter can check new arrivals before marking a match
+// @access  Private (the pet's seller)
+router.get('/pets/:petId/candidates', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.petId)) {
+      return res.status(400).json({ message: 'Invalid pet ID' });
+    }
+    const pet = await Pet.findById(req.params.petId).setOptions({ populateMedia: false });
+    if (!pet) {
+      return res.status(404).json({ message: 'Pet not found' });
+    }
+    if (pet.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the seller can check this pet against lost reports' });
+    }
+
+    res.json(await lostReportCandidates(pet));
+  } catch (error) {
+    console.error('Error fetching lost report candidates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/lost-found/:id
+// @desc    Get a report
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid report ID' });
+    }
+    const report = await PetReport.findById(req.params.id).populate('reporter', REPORTER_FIELDS);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/lost-found
+// @desc    File a lost or found report (multipart, up to 5 "images").
+//          Matching reports of the other kind are looked for straight away.
+// @access  Private
+router.post('/', auth, uploadReportImages, async (req, res) => {
+  try {
+    if (!REPORT_KINDS.includes(req.body.kind)) {
+      await removeUploads(req);
+      return res.status(400).json({ message: `kind must be one of: ${REPORT_KINDS.join(', ')}` });
+    }
+    const { fields, errors } = reportFieldsFrom(req.body);
+    if (errors) {
+      await removeUploads(req);
+      return res.status(400).json({ message: 'Invalid report', details: errors });
+    }
+
+    const report = new PetReport({
+      ...fields,
+      kind: req.body.kind,
+      reporter: req.user._id,
+      images: req.files ? req.files.map(file => file.media._id) : [],
+      expiresAt: expiryDateFrom()
+    });
+    try {
+      await report.save();
+    } catch (error) {
+      // Nothing points at the uploads until the report is saved
+      await removeUploads(req);
+      throw error;
+    }
+
+    const matches = await matchReport(report);
+    res.status(201).json({ report, matches: matches.length });
+  } catch (error) {
+    console.error('Error creating report:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/lost-found/:id
+// @desc    Update an open report; uploaded images are added to the existing ones
+// @access  Private (reporter)
+router.put('/:id', auth, authorizeUpload(findOwnReport), uploadReportImages, async (req, res) => {
+  try {
+    const report = await findOwnReport(req, res);
+    if (!report) {
+      await removeUploads(req);
+      return;
+    }
+
+    if (report.status !== 'open') {
+      await removeUploads(req);
+      return res.status(400).json({ message: 'Only open reports can be changed' });
+    }
+    const { fields, errors } = reportFieldsFrom(req.body, true);
+    if (errors) {
+      await removeUploads(req);
+      return res.status(400).json({ message: 'Invalid report', details: errors });
+    }
+    const uploaded = req.files ? req.files.map(file => file.media._id) : [];
+    if (report.images.length + uploaded.length > MAX_REPORT_IMAGES) {
+      await removeUploads(req);
+      return res.status(400).json({ message: `A report can have at most ${MAX_REPORT_IMAGES} images` });
+    }
+
+    report.set(fields);
+    report.images.push(...uploaded);
+    try {
+      await report.save();
+    } catch (error) {
+      await removeUploads(req);
+      throw error;
+    }
+    await matchReport(report);
+
+    res.json(await PetReport.findById(report._id));
+  } catch (error) {
+    console.error('Error updating report:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/lost-found/:id/resolve
+// @desc    Close a report: body.status reunited or closed, optional note
+// @access  Private (reporter)
+router.post('/:id/resolve', auth, async (req, res) => {
+  try {
+    const report = await findOwnReport(req, res);
+    if (!report) return;
+
+    if (!RESOLUTION_STATUSES.includes(req.body.status)) {
+      return res.status(400).json({ message: `status must be one of: ${RESOLUTION_STATUSES.join(', ')}` });
+    }
+    if (report.status !== 'open') {
+      return res.status(400).json({ message: 'Only open reports can be resolved' });
+    }
+
+    report.status = req.body.status;
+    report.resolutionNote = req.body.note;
+    report.resolvedAt = new Date();
+    await report.save();
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error resolving report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/lost-found/:id/renew
+// @desc    Keep an open or expired report up for another expiry period
+// @access  Private (reporter)
+router.post('/:id/renew', auth, async (req, res) => {
+  try {
+    const report = await findOwnReport(req, res);
+    if (!report) return;
+
+    if (!['open', 'expired'].includes(report.status)) {
+      return res.status(400).json({ message: 'Only open or expired reports can be renewed' });
+    }
+
+    const wasExpired = report.status === 'expired';
+    report.status = 'open';
+    report.resolvedAt = null;
+    report.expiresAt = expiryDateFrom();
+    await report.save();
+    if (wasExpired) {
+      await matchReport(report);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error renewing report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/lost-found/:id
+// @desc    Delete a report with its images and matches
+// @access  Private (reporter)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const report = await findOwnReport(req, res);
+    if (!report) return;
+
+    await PetReportMatch.deleteMany({ $or: [{ lostReport: report._id }, { foundReport: report._id }] });
+    await Media.removeWithFiles(report.images);
+    await report.deleteOne();
+
+    res.json({ message: 'Report deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/lost-found/:id/matches
+// @desc    Possible matches for a report, best first
+// @access  Private (reporter)
+router.get('/:id/matches', auth, async (req, res) => {
+  try {
+    const report = await findOwnReport(req, res);
+    if (!report) return;
+
+    const matches = await PetReportMatch.find({
+      [report.kind === 'lost' ? 'lostReport' : 'foundReport']: report._id
+    })
+      .populate({ path: 'lostReport', populate: { path: 'reporter', select: REPORTER_FIELDS } })
+      .populate({ path: 'foundReport', populate: { path: 'reporter', select: REPORTER_FIELDS } })
+      .populate({ path: 'pet', select: 'name type breed images status seller', populate: { path: 'seller', select: 'name businessName' } })
+      .sort({ score: -1, createdAt: -1 });
+
+    res.json(matches);
+  } catch (error) {
+    console.error('Error fetching report matches:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/lost-found/:id/matches
+// @desc    Mark one of your listed pets (body.petId) as a possible match for an
+//          open lost report; the owner is notified
+// @access  Private (business users, the pet's seller)
+router.post('/:id/matches', auth, async (req, res) => {
+  try {
+    if (req.user.userType !== 'business') {
+      return res.status(403).json({ message: 'Only shelters and businesses can mark listed pets as matches' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.body.petId)) {
+      return res.status(400).json({ message: 'Invalid report or pet ID' });
+    }
+
+    const report = await PetReport.findById(req.params.id).setOptions({ populateMedia: false });
+    if (!report || report.kind !== 'lost' || report.status !== 'open') {
+      return res.status(404).json({ message: 'Open lost report not found' });
+    }
+    const pet = await Pet.findOne({ _id: req.body.petId, seller: req.user._id }).setOptions({ populateMedia: false });
+    if (!pet) {
+      return res.status(404).json({ message: 'Pet not found among your listings' });
+    }
+    if (await PetReportMatch.exists({ lostReport: report._id, pet: pet._id })) {
+      return res.status(400).json({ message: 'This pet is already marked as a match for the report' });
+    }
+
+    // Scored when the pet is within the matcher's limits; shelters may still
+    // mark a pet the matcher would have ruled out
+    const result = scoreMatch(report, pet);
+    const match = await PetReportMatch.create({
+      lostReport: report._id,
+      pet: pet._id,
+      score: result ? result.score : undefined,
+      signals: result ? result.signals : undefined,
+      source: 'shelter',
+      markedBy: req.user._id,
+      note: req.body.note
+    });
+    await Notification.create({
+      user: report.reporter,
+      type: 'report_match',
+      message: `${req.user.businessName || req.user.name} thinks ${pet.name} may be your lost ${report.species}.`,
+      report: report._id,
+      pet: pet._id
+    });
+
+    res.status(201).json(match);
+  } catch (error) {
+    console.error('Error marking report match:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/lost-found/:id/matches/:matchId
+// @desc    Confirm or dismiss a possible match (body.status confirmed | dismissed).
+//          Confirming marks the lost report, and a matched found report, as reunited.
+// @access  Private (reporter of the lost report)
+router.put('/:id/matches/:matchId', auth, async (req, res) => {
+  try {
+    const report = await findOwnReport(req, res);
+    if (!report) return;
+
+    if (!['confirmed', 'dismissed'].includes(req.body.status)) {
+      return res.status(400).json({ message: 'status must be confirmed or dismissed' });
+    }
+    if (report.kind !== 'lost') {
+      return res.status(400).json({ message: 'Matches are confirmed from the lost report' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.matchId)) {
+      return res.status(400).json({ message: 'Invalid match ID' });
+    }
+    const match = await PetReportMatch.findOne({ _id: req.params.matchId, lostReport: report._id });
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    match.status = req.body.status;
+    await match.save();
+
+    if (match.status === 'confirmed') {
+      const now = new Date();
+      const resolve = (item) => {
+        item.status = 'reunited';
+        item.resolvedAt = now;
+        item.resolutionNote = item.resolutionNote || 'Matched on PawsHearts';
+        return item.save();
+      };
+      if (report.status === 'open') await resolve(report);
+      if (match.foundReport) {
+        const found = await PetReport.findById(match.foundReport);
+        if (found && found.status === 'open') await resolve(found);
+      }
+    }
+
+    res.json(match);
+  } catch (error) {
+    console.error('Error updating report match:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Media = require('../models/Media');
+
+// @route   GET /api/media/:id
+// @desc    Get an image's URLs, dimensions and alt text
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid media ID' });
+    }
+
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+
+    res.json(media);
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/media/:id
+// @desc    Update the alt text of an image you uploaded
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid media ID' });
+    }
+
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+
+    if (!media.owner || media.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this image' });
+    }
+
+    if (typeof req.body.altText !== 'string') {
+      return res.status(400).json({ message: 'altText must be a string' });
+    }
+
+    media.altText = req.body.altText;
+    await media.save();
+    res.json(media);
+  } catch (error) {
+    console.error('Error updating media:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Notification = require('../models/Notification');
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications (?unread=true for unread only)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+
+    const notifications = await Notification.find(filter)
+      .populate('pet', 'name type breed images status')
+      .populate('report', 'kind name species status')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(notifications);
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ user: req.user._id, read: false }, { read: true });
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { read: true },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
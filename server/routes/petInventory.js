@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const Pet = require('../models/Pet');
+const { publishPet } = require('../utils/listingLifecycle');
+const { notifySavedSearches } = require('../utils/savedSearchAlerts');
+const { petToRow, toCsv, parseInventory, rowToPetFields } = require('../utils/petInventory');
+
+const MAX_IMPORT_ROWS = 1000;
+// Statuses a newly imported pet may start in
+const IMPORT_STATUSES = ['draft', 'available', 'scheduled'];
+
+const parseInventoryFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+}).single('file');
+
+const uploadInventoryFile = (req, res, next) => {
+  parseInventoryFile(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
+
+const requireBusiness = (req, res) => {
+  if (req.user.userType !== 'business') {
+    res.status(403).json({ message: 'Only business users can import or export pets' });
+    return false;
+  }
+  return true;
+};
+
+// Apply one inventory row to a new or existing pet and collect its problems
+const applyRow = (row, pet, isNew) => {
+  const { fields, medical, errors } = rowToPetFields(row, row.type || pet.type);
+
+  if (isNew) {
+    const status = fields.status || 'available';
+    if (!IMPORT_STATUSES.includes(status)) {
+      errors.push(`status must be one of ${IMPORT_STATUSES.join(', ')} for new pets`);
+    }
+    if (status === 'scheduled' && !(fields.publishAt > new Date())) {
+      errors.push('scheduled pets need a publishAt in the future');
+    }
+    if (status !== 'scheduled') delete fields.publishAt;
+    fields.status = status;
+  } else {
+    if (fields.status && fields.status !== pet.status) {
+      errors.push(`status cannot be changed by import (currently ${pet.status}); use the listing endpoints`);
+    }
+    delete fields.status;
+    if (pet.status !== 'scheduled') delete fields.publishAt;
+  }
+
+  pet.set(fields);
+  Object.entries(medical).forEach(([field, value]) => {
+    pet.medical[field] = value;
+  });
+  if (isNew) {
+    const context = { actor: pet.seller, reason: 'Imported from inventory file' };
+    if (pet.status === 'available') publishPet(pet, new Date(), context);
+    else pet.setStatus(pet.status, context);
+  }
+
+  const validation = pet.validateSync();
+  if (validation) {
+    errors.push(...Object.values(validation.errors).map(err => err.message));
+  }
+  if (pet.status !== 'draft' && !pet.birthDate) {
+    errors.push('birthDate is required');
+  }
+  return errors;
+};
+
+// @route   POST /api/pets/import
+// @desc    Create or update pets from a CSV or JSON inventory (multipart field
+//          "file", or a JSON body { pets: [...] }) in the GET /api/pets/seller/export
+//          column format. Rows with an id update that pet.
+//          ?dryRun=true only validates and returns the per-row report.
+//          If any row is invalid nothing is saved, unless ?skipInvalid=true,
+//          which saves just the valid rows. Saved rows are committed in one
+//          transaction (needs MongoDB running as a replica set).
+// @access  Private (business users)
+router.post('/import', auth, uploadInventoryFile, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    let parsed;
+    let format = 'json';
+    if (req.file) {
+      const isJson = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname);
+      format = isJson ? 'json' : 'csv';
+      parsed = parseInventory(req.file.buffer.toString('utf8'), format);
+    } else if (Array.isArray(req.body) || Array.isArray(req.body.pets)) {
+      parsed = parseInventory(req.body, 'json');
+    } else {
+      return res.status(400).json({ message: 'Upload a CSV or JSON file as "file", or send { pets: [...] }' });
+    }
+
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const { rows } = parsed;
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'The file has no rows' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+    }
+
+    const ids = rows.map(row => row.id).filter(id => id && mongoose.Types.ObjectId.isValid(id));
+    const existing = await Pet.find({ _id: { $in: ids }, seller: req.user._id })
+      .select('+medical.microchipNumber')
+      .setOptions({ populateMedia: false });
+    const existingById = new Map(existing.map(pet => [pet._id.toString(), pet]));
+
+    // CSV rows are reported by line number (the header is line 1), JSON rows by position
+    const firstRow = format === 'csv' ? 2 : 1;
+    const seenIds = new Set();
+    const report = [];
+    const validPets = [];
+
+    rows.forEach((row, index) => {
+      const entry = {
+        row: index + firstRow,
+        id: row.id || null,
+        name: row.name || null,
+        action: row.id ? 'update' : 'create',
+        errors: []
+      };
+      report.push(entry);
+
+      let pet;
+      if (row.id) {
+        pet = existingById.get(row.id);
+        if (!pet) {
+          entry.errors.push('No pet with this id among your listings');
+          return;
+        }
+        if (seenIds.has(row.id)) {
+          entry.errors.push('This id appears more than once in the file');
+          return;
+        }
+        seenIds.add(row.id);
+      } else {
+        pet = new Pet({
+          seller: req.user._id,
+          location: req.user.location && req.user.location.coordinates ? req.user.location : undefined
+        });
+      }
+
+      entry.errors = applyRow(row, pet, !row.id);
+      if (entry.errors.length === 0) {
+        validPets.push(pet);
+      }
+    });
+
+    const invalid = report.filter(entry => entry.errors.length > 0).length;
+    const summary = {
+      dryRun: req.query.dryRun === 'true',
+      total: rows.length,
+      valid: validPets.length,
+      invalid,
+      rows: report
+    };
+
+    if (summary.dryRun) {
+      return res.json(summary);
+    }
+    if (invalid > 0 && req.query.skipInvalid !== 'true') {
+      return res.status(400).json({ message: 'Some rows are invalid; nothing was imported', ...summary });
+    }
+
+    // All valid rows are saved, or none are
+    await mongoose.connection.transaction(async (session) => {
+      for (const pet of validPets) {
+        await pet.save({ session });
+      }
+    });
+
+    for (const pet of validPets) {
+      await notifySavedSearches(pet);
+    }
+
+    res.status(201).json({
+      ...summary,
+      created: report.filter(entry => entry.action === 'create' && entry.errors.length === 0).length,
+      updated: report.filter(entry => entry.action === 'update' && entry.errors.length === 0).length
+    });
+  } catch (error) {
+    console.error('Error importing pets:', error);
+    res.status(500).json({ message: 'Server error', details: error.message });
+  }
+});
+
+// @route   GET /api/pets/seller/export
+// @desc    Download the seller's pets in the import column format
+//          (?format=csv (default) or json; ?status= as for GET /api/pets/seller)
+// @access  Private (business users)
+router.get('/seller/export', auth, async (req, res) => {
+  try {
+    if (!requireBusiness(req, res)) return;
+
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'format must be csv or json' });
+    }
+
+    const filter = { seller: req.user._id };
+    if (req.query.status) {
+      filter.status = { $in: String(req.query.status).split(',').map(s => s.trim()) };
+    }
+    const pets = await Pet.find(filter)
+      .select('+medical.microchipNumber')
+      .setOptions({ populateMedia: false })
+      .sort({ createdAt: -1 });
+    const rows = pets.map(petToRow);
+
+    res.set('Content-Disposition', `attachment; filename="pets.${format}"`);
+    if (format === 'json') {
+      return res.json(rows);
+    }
+    res.type('text/csv').send(toCsv(rows));
+  } catch (error) {
+    console.error('Error exporting pets:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const Pet = require('../models/Pet');
+const { privateStorage } = require('../storage');
+const { createDocumentUpload, authorizeUpload } = require('../middleware/upload');
+const {
+  EDITABLE_MEDICAL_FIELDS,
+  medicalAccess,
+  canSeeDocument,
+  medicalView
+} = require('../utils/petMedical');
+
+const uploadDocument = createDocumentUpload({ folder: 'medical', prefix: 'vetdoc', field: 'document' });
+
+// Load the pet and the current user's access to its records. Responds with
+// 404 (unknown pet, or an unpublished listing of someone else) and returns null.
+const loadPet = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid pet ID' });
+    return null;
+  }
+
+  const pet = await Pet.findById(req.params.id)
+    .select('+medical.microchipNumber')
+    .setOptions({ populateMedia: false });
+  if (!pet) {
+    res.status(404).json({ message: 'Pet not found' });
+    return null;
+  }
+
+  const access = await medicalAccess(pet, req.user);
+  if (!Pet.PUBLIC_STATUSES.includes(pet.status) && access !== 'owner') {
+    res.status(404).json({ message: 'Pet not found' });
+    return null;
+  }
+  return { pet, access };
+};
+
+const requireOwner = (access, res) => {
+  if (access !== 'owner') {
+    res.status(403).json({ message: 'Only the seller, or the adopter once adopted, can change medical records' });
+    return false;
+  }
+  return true;
+};
+
+// loadPet for changes: also responds 403 unless the user may change the records
+const loadOwnPet = async (req, res) => {
+  const loaded = await loadPet(req, res);
+  if (!loaded || !requireOwner(loaded.access, res)) return null;
+  return loaded;
+};
+
+// @route   GET /api/pets/:id/medical
+// @desc    Get a pet's medical records. The microchip number and non-public
+//          documents are only included for those allowed to see them.
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const loaded = await loadPet(req, res);
+    if (!loaded) return;
+
+    res.json({ access: loaded.access, medical: medicalView(loaded.pet, loaded.access) });
+  } catch (error) {
+    console.error('Error fetching medical records:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/pets/:id/medical
+// @desc    Update vaccinations, spay/neuter status, microchip, conditions or medications.
+//          List fields replace the whole list.
+// @access  Private (seller, or adopter once adopted)
+router.put('/', auth, async (req, res) => {
+  try {
+    const loaded = await loadPet(req, res);
+    if (!loaded) return;
+    if (!requireOwner(loaded.access, res)) return;
+
+    const { pet } = loaded;
+    EDITABLE_MEDICAL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        pet.medical[field] = req.body[field];
+      }
+    });
+
+    await pet.save();
+    res.json({ access: loaded.access, medical: medicalView(pet, loaded.access) });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid medical records',
+        details: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+      });
+    }
+    console.error('Error updating medical records:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/pets/:id/medical/documents
+// @desc    Upload a vet document (multipart field "document", PDF or image)
+//          with a title and visibility (public | applicants | private)
+// @access  Private (seller, or adopter once adopted)
+router.post('/documents', auth, authorizeUpload(loadOwnPet), uploadDocument, async (req, res) => {
+  const discardUpload = () => (req.file ? privateStorage.delete(req.file.key) : null);
+  try {
+    const loaded = await loadOwnPet(req, res);
+    if (!loaded) return discardUpload();
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No document uploaded' });
+    }
+    const visibility = req.body.visibility || 'private';
+    if (!Pet.DOCUMENT_VISIBILITIES.includes(visibility)) {
+      await discardUpload();
+      return res.status(400).json({ message: `visibility must be one of: ${Pet.DOCUMENT_VISIBILITIES.join(', ')}` });
+    }
+
+    const { pet } = loaded;
+    pet.medical.documents.push({
+      title: req.body.title || req.file.originalname,
+      key: req.file.key,
+      filename: req.file.originalname,
+      contentType: req.file.contentType,
+      size: req.file.size,
+      visibility,
+      uploadedBy: req.user._id
+    });
+    await pet.save();
+
+    res.status(201).json(pet.medical.documents[pet.medical.documents.length - 1]);
+  } catch (error) {
+    console.error('Error uploading medical document:', error);
+    await discardUpload();
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/pets/:id/medical/documents/:documentId
+// @desc    Download a vet document, if its visibility allows it
+// @access  Public (depending on visibility)
+router.get('/documents/:documentId', optionalAuth, async (req, res) => {
+  try {
+    const loaded = await loadPet(req, res);
+    if (!loaded) return;
+
+    const document = loaded.pet.medical.documents.id(req.params.documentId);
+    if (!document || !canSeeDocument(document, loaded.access)) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const file = await privateStorage.get(document.key);
+    const extension = document.contentType === 'application/pdf' ? 'pdf' : 'jpg';
+    const downloadName = `${document.title.replace(/[^\w.-]+/g, '_')}.${extension}`;
+    res.set({
+      'Content-Type': document.contentType,
+      'Content-Disposition': `attachment; filename="${downloadName}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(file);
+  } catch (error) {
+    console.error('Error downloading medical document:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/pets/:id/medical/documents/:documentId
+// @desc    Change a vet document's title or visibility
+// @access  Private (seller, or adopter once adopted)
+router.put('/documents/:documentId', auth, async (req, res) => {
+  try {
+    const loaded = await loadPet(req, res);
+    if (!loaded) return;
+    if (!requireOwner(loaded.access, res)) return;
+
+    const document = loaded.pet.medical.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (req.body.title !== undefined) document.title = req.body.title;
+    if (req.body.visibility !== undefined) document.visibility = req.body.visibility;
+    await loaded.pet.save();
+
+    res.json(document);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid document',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Error updating medical document:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/pets/:id/medical/documents/:documentId
+// @desc    Delete a vet document and its file
+// @access  Private (seller, or adopter once adopted)
+router.delete('/documents/:documentId', auth, async (req, res) => {
+  try {
+    const loaded = await loadPet(req, res);
+    if (!loaded) return;
+    if (!requireOwner(loaded.access, res)) return;
+
+    const document = loaded.pet.medical.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const { key } = document;
+    document.deleteOne();
+    await loaded.pet.save();
+    await privateStorage.delete(key);
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting medical document:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
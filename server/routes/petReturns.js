@@ -0,0 +1,340 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const AdoptionRequest = require('../models/AdoptionRequest');
+const Notification = require('../models/Notification');
+const Pet = require('../models/Pet');
+const PetReturn = require('../models/PetReturn');
+const { stillWithAdopter, changeReturnStatus } = require('../utils/petReturns');
+
+const { RETURN_TYPES, RETURN_STATUSES, OPEN_RETURN_STATUSES } = PetReturn;
+
+const PET_FIELDS = 'name type breed gender birthDate images status';
+// What people browsing rehomed pets see; who else asked stays private
+const LISTING_FIELDS = 'type pet adopter shelter details createdAt';
+
+const isParty = (record, user) => [record.adopter, record.shelter]
+  .some(party => (party._id || party).toString() === user._id.toString());
+
+// Load the case in req.params.id if the current user is its adopter or
+// shelter, otherwise respond with 400/404 and return null
+const findOwnReturn = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid return ID' });
+    return null;
+  }
+  const record = await PetReturn.findById(req.params.id);
+  if (!record || !isParty(record, req.user)) {
+    res.status(404).json({ message: 'Return not found' });
+    return null;
+  }
+  return record;
+};
+
+// Load the listed rehoming in req.params.id, otherwise respond with 400/404
+// and return null
+const findListedRehoming = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid return ID' });
+    return null;
+  }
+  const record = await PetReturn.findById(req.params.id);
+  if (!record || record.type !== 'rehoming' || record.status !== 'listed') {
+    res.status(404).json({ message: 'Rehoming not found' });
+    return null;
+  }
+  return record;
+};
+
+// @route   POST /api/returns
+// @desc    Ask to give up an adopted pet (body: petId, type, reason, details).
+//          type "return" hands it back to the shelter; "rehoming" lists it
+//          for a new home once the shelter approves.
+// @access  Private (the pet's adopter)
+router.post('/', auth, async (req, res) => {
+  try {
+    const { petId, type = 'return', reason, details } = req.body;
+    if (!RETURN_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${RETURN_TYPES.join(', ')}` });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ message: 'Please give a reason' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(petId)) {
+      return res.status(400).json({ message: 'Invalid pet ID' });
+    }
+
+    const pet = await Pet.findById(petId).select('name status seller adopter').setOptions({ populateMedia: false });
+    if (!pet) {
+      return res.status(404).json({ message: 'Pet not found' });
+    }
+    if (!stillWithAdopter(pet, { adopter: req.user._id })) {
+      return res.status(403).json({ message: 'Only the adopter of this pet can return or rehome it' });
+    }
+    if (await PetReturn.exists({ pet: pet._id, status: { $in: OPEN_RETURN_STATUSES } })) {
+      return res.status(409).json({ message: 'This pet already has a return or rehoming in progress' });
+    }
+
+    const adoption = await AdoptionRequest.findOne({ petId: pet._id, userId: req.user._id, status: 'completed' })
+      .sort({ updatedAt: -1 })
+      .select('_id');
+    let record;
+    try {
+      record = await PetReturn.create({
+        type,
+        pet: pet._id,
+        adopter: req.user._id,
+        shelter: pet.seller,
+        adoptionRequest: adoption ? adoption._id : null,
+        reason: reason.trim(),
+        details,
+        history: [{ status: 'requested', actor: req.user._id, note: reason.trim() }]
+      });
+    } catch (error) {
+      // Another case for the pet was opened at the same time
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'This pet already has a return or rehoming in progress' });
+      }
+      throw error;
+    }
+
+    await Notification.create({
+      user: pet.seller,
+      type: 'pet_return',
+      message: type === 'return'
+        ? `${req.user.name} would like to return ${pet.name}.`
+        : `${req.user.name} would like to rehome ${pet.name} and needs your approval.`,
+      pet: pet._id,
+      petReturn: record._id
+    });
+
+    res.status(201).json(record);
+  } catch (error) {
+    console.error('Error creating return:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/returns/mine
+// @desc    The current user's returns and rehomings, newest first
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const records = await PetReturn.find({ adopter: req.user._id })
+      .populate('pet', PET_FIELDS)
+      .populate('shelter', 'name businessName')
+      .populate('interests.user', 'name')
+      .sort({ createdAt: -1 });
+    res.json(records);
+  } catch (error) {
+    console.error('Error fetching returns:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/returns/business
+// @desc    Returns and rehomings of the current shelter's pets, newest first;
+//          ?status= and ?type= narrow them
+// @access  Private
+router.get('/business', auth, async (req, res) => {
+  try {
+    const filter = { shelter: req.user._id };
+    if (req.query.status) {
+      if (!RETURN_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `status must be one of: ${RETURN_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.type) {
+      if (!RETURN_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ message: `type must be one of: ${RETURN_TYPES.join(', ')}` });
+      }
+      filter.type = req.query.type;
+    }
+
+    const records = await PetReturn.find(filter)
+      .populate('pet', PET_FIELDS)
+      .populate('adopter', 'name email phoneNumber')
+      .populate('newAdopter', 'name email phoneNumber')
+      .sort({ createdAt: -1 });
+    res.json(records);
+  } catch (error) {
+    console.error('Error fetching shelter returns:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/returns/rehoming
+// @desc    Pets their adopters are rehoming with the shelter's approval
+// @access  Private
+router.get('/rehoming', auth, async (req, res) => {
+  try {
+    const records = await PetReturn.find({ type: 'rehoming', status: 'listed' })
+      .select(LISTING_FIELDS)
+      .populate('pet', PET_FIELDS)
+      .populate('adopter', 'name city state')
+      .populate('shelter', 'name businessName')
+      .sort({ createdAt: -1 });
+    res.json(records);
+  } catch (error) {
+    console.error('Error fetching rehoming listings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/returns/pets/:petId
+// @desc    Every return and rehoming of a pet, oldest first: the pet's past
+//          adopters and how each adoption ended
+// @access  Private (the pet's seller)
+router.get('/pets/:petId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.petId)) {
+      return res.status(400).json({ message: 'Invalid pet ID' });
+    }
+    const pet = await Pet.findById(req.params.petId).select('seller').setOptions({ populateMedia: false });
+    if (!pet) {
+      return res.status(404).json({ message: 'Pet not found' });
+    }
+    if (pet.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view this pet\'s returns' });
+    }
+
+    const records = await PetReturn.find({ pet: pet._id })
+      .populate('adopter', 'name email')
+      .populate('newAdopter', 'name email')
+      .sort({ createdAt: 1 });
+    res.json(records);
+  } catch (error) {
+    console.error('Error fetching pet returns:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/returns/:id
+// @desc    A return or rehoming with its history and, for a rehoming, who asked
+// @access  Private (the adopter or the shelter)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const record = await findOwnReturn(req, res);
+    if (!record) return;
+    await record.populate([
+      { path: 'pet', select: PET_FIELDS },
+      { path: 'adopter', select: 'name email phoneNumber' },
+      { path: 'shelter', select: 'name businessName email phoneNumber' },
+      { path: 'interests.user', select: 'name email' },
+      { path: 'newAdopter', select: 'name email' }
+    ]);
+    res.json(record);
+  } catch (error) {
+    console.error('Error fetching return:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/returns/:id
+// @desc    Move a return or rehoming on (body: status, note). The shelter
+//          completes (takes the pet back or approves the handover), lists a
+//          rehoming or declines; the adopter cancels. See RETURN_TRANSITIONS.
+// @access  Private (the adopter or the shelter)
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid return ID' });
+    }
+    const { status, note } = req.body;
+    const result = await changeReturnStatus(req.params.id, status, { user: req.user, note });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+    res.json(result.record);
+  } catch (error) {
+    console.error('Error updating return:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/returns/:id/interest
+// @desc    Offer a listed rehoming pet a home (body: message)
+// @access  Private
+router.post('/:id/interest', auth, async (req, res) => {
+  try {
+    const record = await findListedRehoming(req, res);
+    if (!record) return;
+    if (isParty(record, req.user)) {
+      return res.status(400).json({ message: 'You cannot offer a home for this pet' });
+    }
+
+    // Only added if this user has not asked already
+    const updated = await PetReturn.findOneAndUpdate(
+      { _id: record._id, status: 'listed', 'interests.user': { $ne: req.user._id } },
+      { $push: { interests: { user: req.user._id, message: req.body.message } } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: 'You have already offered a home for this pet' });
+    }
+
+    const pet = await Pet.findById(record.pet).select('name').setOptions({ populateMedia: false });
+    await Notification.create({
+      user: record.adopter,
+      type: 'pet_return',
+      message: `${req.user.name} would like to give ${pet ? pet.name : 'your pet'} a home.`,
+      pet: record.pet,
+      petReturn: record._id
+    });
+
+    res.status(201).json({ message: 'Your offer was sent to the adopter' });
+  } catch (error) {
+    console.error('Error offering a home:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/returns/:id/new-adopter
+// @desc    Choose who takes over a listed rehoming pet (body: userId, one of
+//          the people who offered a home). The shelter then completes it.
+// @access  Private (the adopter)
+router.put('/:id/new-adopter', auth, async (req, res) => {
+  try {
+    const record = await findListedRehoming(req, res);
+    if (!record) return;
+    if (record.adopter.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the adopter can choose the new home' });
+    }
+    const { userId } = req.body;
+    if (!record.interests.some(interest => interest.user.toString() === String(userId))) {
+      return res.status(400).json({ message: 'userId must be someone who offered a home for this pet' });
+    }
+
+    record.newAdopter = userId;
+    record.updatedAt = new Date();
+    await record.save();
+
+    const pet = await Pet.findById(record.pet).select('name').setOptions({ populateMedia: false });
+    const name = pet ? pet.name : 'the pet';
+    await Notification.insertMany([
+      {
+        user: record.shelter,
+        type: 'pet_return',
+        message: `The adopter of ${name} has chosen a new home and needs your approval.`,
+        pet: record.pet,
+        petReturn: record._id
+      },
+      {
+        user: record.newAdopter,
+        type: 'pet_return',
+        message: `You have been chosen to give ${name} a home. The shelter will confirm the handover.`,
+        pet: record.pet,
+        petReturn: record._id
+      }
+    ]);
+
+    res.json(record);
+  } catch (error) {
+    console.error('Error choosing new adopter:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,52 +1,125 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Pet = require('../models/Pet');
+const Favorite = require('../models/Favorite');
+const PetStatusChange = require('../models/PetStatusChange');
+const ApplicationForm = require('../models/ApplicationForm');
 const auth = require('../middleware/auth');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Configure multer for image upload
-const storage = multer.diskStorage({
-  destination: function(req, file, cb) {
-    const uploadPath = path.join(__dirname, '../uploads/pets');
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: function(req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'pet-' + uniqueSuffix + path.extname(file.originalname));
-  }
+const optionalAuth = require('../middleware/optionalAuth');
+const Media = require('../models/Media');
+const { privateStorage } = require('../storage');
+const { createUpload, authorizeUpload, removeUploads } = require('../middleware/upload');
+const { parsePetQuery, findPets } = require('../utils/petQuery');
+const { resolveAgeFields } = require('../utils/petAge');
+const { notifySavedSearches } = require('../utils/savedSearchAlerts');
+const { publishPet, renewPet, publishProblems } = require('../utils/listingLifecycle');
+const { recordListingEvent, recordPetView } = require('../utils/listingAnalytics');
+const { endFosterPlacement } = require('../utils/fostering');
+const { findSimilarPets, clearSimilarPetsCache, MAX_RESULTS: MAX_SIMILAR_PETS } = require('../utils/petRecommendations');
+
+const { PUBLIC_STATUSES } = Pet;
+
+// Fields PUT /:id may change. Everything else has its own endpoint: the status
+// and lifecycle dates (publish, renew, adoption requests), medical records
+// (/:id/medical), application forms (/:id/application-form), foster
+// placements (/api/fosters) and the adopter (completing an adoption request).
+const EDITABLE_FIELDS = [
+  'name', 'type', 'breed', 'age', 'gender', 'price', 'description', 'healthInfo', 'requirements'
+];
+
+const MAX_PET_IMAGES = 5;
+
+const uploadPetImages = createUpload({
+  folder: 'pets',
+  prefix: 'pet',
+  kind: 'pet',
+  field: 'images',
+  maxCount: MAX_PET_IMAGES
 });
 
-const upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (extname && mimetype) {
-      return cb(null, true);
-    } else {
-      cb('Error: Images only (jpeg, jpg, png, webp)!');
-    }
+// Load the pet in req.params.id if the current user is its seller, otherwise
+// respond with 400/404/403 and return null
+const findOwnPet = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid pet ID' });
+    return null;
   }
-});
+  const pet = await Pet.findById(req.params.id);
+  if (!pet) {
+    res.status(404).json({ message: 'Pet not found' });
+    return null;
+  }
+  if (pet.seller.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to update this pet' });
+    return null;
+  }
+  return pet;
+};
+
+// Only businesses list pets; checked before their images are processed
+const isBusiness = (req, res) => {
+  if (req.user.userType !== 'business') {
+    res.status(403).json({ message: 'Only business users can add pets' });
+    return false;
+  }
+  return true;
+};
+
+// Parse an optional publishAt; returns { date } (null when absent) or { error }
+const parsePublishAt = (value) => {
+  if (value === undefined || value === null || value === '') return { date: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: 'publishAt must be a valid date' };
+  }
+  return { date };
+};
 
-// Get all pets
+const imageIds = (pet) => pet.images.map(image => (image._id || image).toString());
+
+// Get pets, with optional filters, sort order and cursor pagination
+// Query: type, breed, gender, status, minPrice, maxPrice, sellerBusinessType,
+//        minAgeMonths, maxAgeMonths, lifeStage (baby|young|adult|senior),
+//        near (ZIP code), radiusKm (default 25),
+//        vaccinated, spayedNeutered, microchipped (true|false),
+//        sort (newest|oldest|price_asc|price_desc|name|distance), limit, cursor
+// With any of these the response is { pets, total, facets, pageInfo, near }.
+// Without query parameters it stays the original bare array of every public
+// listing, newest first, so existing clients keep working.
 router.get('/', async (req, res) => {
   try {
-    const pets = await Pet.find()
-      .populate('seller', 'name businessName email phoneNumber address')
-      .sort({ createdAt: -1 });
-    res.json(pets);
+    if (Object.keys(req.query).length === 0) {
+      const pets = await Pet.find({ status: { $in: PUBLIC_STATUSES } })
+        .populate('seller', 'name businessName businessType email phoneNumber address')
+        .sort({ createdAt: -1 });
+      return res.json(pets);
+    }
+
+    const parsed = await parsePetQuery(req.query);
+    if (parsed.errors) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        details: parsed.errors
+      });
+    }
+
+    const result = await findPets(Pet, parsed, {
+      populate: { path: 'seller', select: 'name businessName businessType email phoneNumber address' }
+    });
+
+    res.json({
+      pets: result.pets,
+      total: result.total,
+      facets: result.facets,
+      pageInfo: {
+        sort: parsed.sortKey,
+        limit: parsed.limit,
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor
+      },
+      ...(parsed.near && { near: { postalCode: req.query.near, radiusKm: parsed.radiusKm } })
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -72,7 +145,8 @@ router.get('/adopted', auth, async (req, res) => {
   }
 });
 
-// Get pets listed by a seller/business
+// Get pets listed by a seller/business, including drafts, scheduled and archived listings
+// Query: status (comma list) to only return listings in those statuses
 router.get('/seller', auth, async (req, res) => {
   try {
     // Ensure the user is a business
@@ -83,34 +157,140 @@ router.get('/seller', auth, async (req, res) => {
     const userId = req.user._id;
     
     // Find all pets where this user is the seller
-    const sellerPets = await Pet.find({ seller: userId })
+    const filter = { seller: userId };
+    if (req.query.status) {
+      filter.status = { $in: String(req.query.status).split(',').map(s => s.trim()) };
+    }
+    const sellerPets = await Pet.find(filter)
       .sort({ createdAt: -1 });
     
     console.log(`Found ${sellerPets.length} pets listed by seller:`, userId);
+
+    // Attach how many users have favorited each listing
+    const favoriteCounts = await Favorite.aggregate([
+      { $match: { pet: { $in: sellerPets.map(pet => pet._id) } } },
+      { $group: { _id: '$pet', count: { $sum: 1 } } }
+    ]);
+    const countByPet = new Map(favoriteCounts.map(c => [c._id.toString(), c.count]));
     
-    res.json(sellerPets);
+    res.json(sellerPets.map(pet => ({
+      ...pet.toJSON(),
+      favoriteCount: countByPet.get(pet._id.toString()) || 0
+    })));
   } catch (error) {
     console.error('Error fetching seller pets:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get a specific pet
-router.get('/:id', async (req, res) => {
+// Get the current user's favorite pets
+// Query: changed=true to only return pets whose status has changed since they were saved
+router.get('/favorites', auth, async (req, res) => {
+  try {
+    const favorites = await Favorite.find({ user: req.user._id })
+      .populate({
+        path: 'pet',
+        populate: { path: 'seller', select: 'name businessName email phoneNumber address' }
+      })
+      .sort({ createdAt: -1 });
+
+    let items = favorites
+      .filter(favorite => favorite.pet)
+      .map(favorite => ({
+        _id: favorite._id,
+        pet: favorite.pet,
+        savedAt: favorite.createdAt,
+        statusAtSave: favorite.statusAtSave,
+        currentStatus: favorite.pet.status,
+        statusChanged: favorite.pet.status !== favorite.statusAtSave
+      }));
+
+    if (req.query.changed === 'true') {
+      items = items.filter(item => item.statusChanged);
+    }
+
+    res.json(items);
+  } catch (error) {
+    console.error('Error fetching favorites:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a specific pet. Drafts, scheduled and archived listings are only shown to their seller.
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const pet = await Pet.findById(req.params.id)
       .populate('seller', 'name businessName email phoneNumber address');
-    if (!pet) {
+    const isSeller = pet && req.user && pet.seller._id.toString() === req.user._id.toString();
+    if (!pet || (!PUBLIC_STATUSES.includes(pet.status) && !isSeller)) {
       return res.status(404).json({ message: 'Pet not found' });
     }
+    // Sellers looking at their own listings are not counted as views
+    if (!isSeller) {
+      await recordPetView(pet, req);
+    }
     res.json(pet);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Status history of a pet, oldest first (seller and adopter only). Returns and
+// rehomings show up with their return record, which keeps the previous adopter.
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const pet = await Pet.findById(req.params.id).setOptions({ populateMedia: false });
+    if (!pet) {
+      return res.status(404).json({ message: 'Pet not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const isSeller = pet.seller.toString() === userId;
+    const isAdopter = pet.adopter && pet.adopter.toString() === userId;
+    if (!isSeller && !isAdopter) {
+      return res.status(403).json({ message: 'Only the seller and adopter can view this history' });
+    }
+
+    const history = await PetStatusChange.find({ pet: pet._id })
+      .populate('actor', 'name businessName')
+      .populate('adoptionRequest', 'status userId createdAt')
+      .populate('returnRecord', 'type adopter newAdopter reason completedAt')
+      .sort({ createdAt: 1 });
+
+    res.json({ pet: { _id: pet._id, name: pet.name, status: pet.status }, history });
+  } catch (error) {
+    console.error('Error fetching pet status history:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Available pets similar to this one, best match first (?limit=, default 6).
+// Mostly useful once a pet is pending or adopted, so it is shown for those too.
+// Scoring weights are set with the SIMILAR_PETS_WEIGHT_* environment variables.
+router.get('/:id/similar', optionalAuth, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 6 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SIMILAR_PETS) {
+      return res.status(400).json({ message: `limit must be a whole number from 1 to ${MAX_SIMILAR_PETS}` });
+    }
+
+    const pet = await Pet.findById(req.params.id).setOptions({ populateMedia: false });
+    const isSeller = pet && req.user && pet.seller.toString() === req.user._id.toString();
+    if (!pet || (!PUBLIC_STATUSES.includes(pet.status) && !isSeller)) {
+      return res.status(404).json({ message: 'Pet not found' });
+    }
+
+    res.json(await findSimilarPets(pet, limit));
+  } catch (error) {
+    console.error('Error fetching similar pets:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Add a new pet (business users only)
-router.post('/', auth, upload.array('images', 5), async (req, res) => {
+// Body status=draft saves an incomplete draft (only name is required);
+// publishAt schedules a complete listing to go live later
+router.post('/', auth, authorizeUpload(isBusiness), uploadPetImages, async (req, res) => {
   try {
     console.log('Received request to create pet:', {
       user: req.user,
@@ -118,56 +298,69 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
       files: req.files ? req.files.length : 0
     });
 
-    // Check if user is a business
-    if (req.user.userType !== 'business') {
-      // Delete uploaded files if they exist
-      if (req.files) {
-        req.files.forEach(file => {
-          fs.unlinkSync(file.path);
-        });
-      }
-      return res.status(403).json({ message: 'Only business users can add pets' });
+    const isDraft = req.body.status === 'draft';
+    const publishAt = parsePublishAt(req.body.publishAt);
+    if (publishAt.error) {
+      await removeUploads(req);
+      return res.status(400).json({ message: publishAt.error });
     }
 
     // Validate required fields
-    const requiredFields = ['name', 'type', 'breed', 'age', 'gender', 'price', 'description', 'healthInfo', 'requirements'];
+    const requiredFields = isDraft
+      ? ['name']
+      : ['name', 'type', 'breed', 'gender', 'price', 'description', 'healthInfo', 'requirements'];
     const missingFields = requiredFields.filter(field => !req.body[field]);
+
+    // Age can be given as birthDate, ageMonths or free text
+    const ageFields = resolveAgeFields(req.body, req.body.type);
+    if (!ageFields && !isDraft) missingFields.push('birthDate');
     
     if (missingFields.length > 0) {
+      await removeUploads(req);
       return res.status(400).json({ 
         message: 'Missing required fields',
         fields: missingFields
       });
     }
 
+    if (ageFields && ageFields.error) {
+      await removeUploads(req);
+      return res.status(400).json({ message: ageFields.error });
+    }
+
     // Create pet data with seller ID from authenticated user
     const petData = {
       name: req.body.name,
       type: req.body.type,
       breed: req.body.breed,
-      age: req.body.age,
+      ...ageFields,
       gender: req.body.gender,
-      price: parseFloat(req.body.price),
+      price: req.body.price ? parseFloat(req.body.price) : undefined,
       description: req.body.description,
       healthInfo: req.body.healthInfo,
       requirements: req.body.requirements,
       seller: req.user._id,
-      images: req.files ? req.files.map(file => file.filename) : [],
-      status: 'available'
+      images: req.files ? req.files.map(file => file.media._id) : [],
+      location: req.user.location && req.user.location.coordinates ? req.user.location : undefined,
+      status: isDraft ? 'draft' : 'scheduled',
+      publishAt: isDraft ? null : publishAt.date
     };
 
     console.log('Creating pet with data:', { ...petData, images: petData.images.length });
     const pet = new Pet(petData);
+    if (!isDraft && !(publishAt.date > new Date())) {
+      publishPet(pet, new Date(), { actor: req.user._id });
+    } else {
+      pet.setStatus(pet.status, { actor: req.user._id, reason: 'Listing created' });
+    }
     await pet.save();
+    await pet.populate('images');
+    await notifySavedSearches(pet);
     res.status(201).json(pet);
   } catch (error) {
     console.error('Error creating pet:', error);
     // Delete uploaded files if they exist
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlinkSync(file.path);
-      });
-    }
+    await removeUploads(req);
     res.status(400).json({ 
       message: error.message,
       details: error.errors ? Object.values(error.errors).map(err => err.message) : []
@@ -176,28 +369,51 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
 });
 
 // Update a pet
-router.put('/:id', auth, upload.array('images'), async (req, res) => {
+router.put('/:id', auth, authorizeUpload(findOwnPet), uploadPetImages, async (req, res) => {
   try {
     const petId = req.params.id;
-    const updateData = { ...req.body };
+    const updateData = {};
+    EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { updateData[field] = req.body[field]; });
     
-    // Keep the original seller ID from the pet
+    // Load the pet being updated
     const pet = await Pet.findById(petId);
     if (!pet) {
+      await removeUploads(req);
       return res.status(404).json({ message: 'Pet not found' });
     }
 
     // Verify that the user is the owner of the pet
     if (pet.seller.toString() !== req.user._id.toString()) {
+      await removeUploads(req);
       return res.status(403).json({ message: 'Not authorized to update this pet' });
     }
 
-    // Handle image uploads
+    // Normalise age input into birthDate
+    const ageFields = resolveAgeFields(req.body, req.body.type || pet.type);
+    if (ageFields && ageFields.error) {
+      await removeUploads(req);
+      return res.status(400).json({ message: ageFields.error });
+    }
+    if (ageFields) {
+      Object.assign(updateData, ageFields);
+    }
+
+    // Pending and adopted follow the pet's adoption requests, and drafts,
+    // scheduled and archived listings the publish and renew endpoints
+    if (req.body.status !== undefined && req.body.status !== pet.status) {
+      await removeUploads(req);
+      return res.status(400).json({
+        message: 'A pet\'s status changes through its adoption requests and the publish and renew endpoints'
+      });
+    }
+
+    // Uploaded images replace the existing ones, whose files are removed below.
+    // Use the /:id/images endpoints to add or remove single images.
+    const replacedImages = req.files && req.files.length > 0 ? pet.images : [];
     if (req.files && req.files.length > 0) {
-      updateData.images = req.files.map(file => file.filename);
-    } else {
-      // Keep existing images if no new ones are uploaded
-      delete updateData.images;
+      updateData.images = req.files.map(file => file.media._id);
     }
 
     // Update the pet
@@ -206,6 +422,9 @@ router.put('/:id', auth, upload.array('images'), async (req, res) => {
       { ...updateData, updatedAt: Date.now() },
       { new: true }
     );
+    await Media.removeWithFiles(replacedImages);
+    await notifySavedSearches(updatedPet);
+    clearSimilarPetsCache(updatedPet._id);
 
     res.json(updatedPet);
   } catch (error) {
@@ -227,14 +446,14 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this pet' });
     }
 
-    // Delete pet images
-    pet.images.forEach(image => {
-      const imagePath = path.join(__dirname, '../uploads/pets', image);
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
-    });
+    // Delete pet images and vet documents
+    await Media.removeWithFiles(pet.images);
+    if (pet.medical.documents.length > 0) {
+      await privateStorage.delete(pet.medical.documents.map(document => document.key));
+    }
 
+    await endFosterPlacement(pet, { reason: 'Listing deleted' });
+    await Favorite.deleteMany({ pet: pet._id });
     await pet.deleteOne();
     res.json({ message: 'Pet deleted successfully' });
   } catch (error) {
@@ -242,40 +461,304 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Adopt a pet (regular users only) - DEPRECATED - Use adoption-requests API instead
-// This route is kept for backwards compatibility but should not be used for new code
-router.post('/:id/adopt', auth, async (req, res) => {
+// Publish a draft or scheduled listing (seller only), now or at body.publishAt.
+// The listing must be complete; missing fields are reported in details.
+router.post('/:id/publish', auth, async (req, res) => {
+  try {
+    const pet = await findOwnPet(req, res);
+    if (!pet) return;
+
+    if (!['draft', 'scheduled'].includes(pet.status)) {
+      return res.status(400).json({ message: 'Only draft or scheduled listings can be published' });
+    }
+
+    const publishAt = parsePublishAt(req.body.publishAt);
+    if (publishAt.error) {
+      return res.status(400).json({ message: publishAt.error });
+    }
+
+    const problems = publishProblems(pet);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: 'Listing is incomplete', details: problems });
+    }
+
+    if (publishAt.date > new Date()) {
+      pet.setStatus('scheduled', { actor: req.user._id, reason: 'Listing scheduled' });
+      pet.publishAt = publishAt.date;
+    } else {
+      publishPet(pet, new Date(), { actor: req.user._id });
+    }
+    await pet.save();
+    if (pet.status === 'available') {
+      await notifySavedSearches(pet);
+    }
+
+    res.json(pet);
+  } catch (error) {
+    console.error('Error publishing pet:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// The application form applicants answer for this pet; null when it has none
+router.get('/:id/application-form', optionalAuth, async (req, res) => {
+  try {
+    const pet = await Pet.findById(req.params.id).setOptions({ populateMedia: false });
+    const isSeller = pet && req.user && pet.seller.toString() === req.user._id.toString();
+    if (!pet || (!PUBLIC_STATUSES.includes(pet.status) && !isSeller)) {
+      return res.status(404).json({ message: 'Pet not found' });
+    }
+
+    const form = pet.applicationForm
+      ? await ApplicationForm.findById(pet.applicationForm).select('name description questions')
+      : null;
+    res.json(form);
+  } catch (error) {
+    console.error('Error fetching pet application form:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Attach one of the seller's application forms to a pet (body.formId), or
+// detach it with formId null (seller only)
+router.put('/:id/application-form', auth, async (req, res) => {
+  try {
+    const pet = await findOwnPet(req, res);
+    if (!pet) return;
+
+    const { formId } = req.body;
+    if (formId) {
+      if (!mongoose.Types.ObjectId.isValid(formId) ||
+          !(await ApplicationForm.exists({ _id: formId, seller: req.user._id }))) {
+        return res.status(400).json({ message: 'formId must be one of your application forms' });
+      }
+    } else if (formId !== null) {
+      return res.status(400).json({ message: 'formId is required (null removes the form)' });
+    }
+
+    pet.applicationForm = formId || null;
+    await pet.save();
+    res.json(pet);
+  } catch (error) {
+    console.error('Error setting pet application form:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Renew an available or archived listing for another expiry period (seller only)
+router.post('/:id/renew', auth, async (req, res) => {
+  try {
+    const pet = await findOwnPet(req, res);
+    if (!pet) return;
+
+    if (!['available', 'archived'].includes(pet.status)) {
+      return res.status(400).json({ message: 'Only available or archived listings can be renewed' });
+    }
+
+    const wasArchived = pet.status === 'archived';
+    renewPet(pet, new Date(), { actor: req.user._id });
+    await pet.save();
+    if (wasArchived) {
+      await notifySavedSearches(pet);
+    }
+
+    res.json(pet);
+  } catch (error) {
+    console.error('Error renewing pet:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Append images to a pet (seller only), up to MAX_PET_IMAGES in total
+router.post('/:id/images', auth, authorizeUpload(findOwnPet), uploadPetImages, async (req, res) => {
+  try {
+    const pet = await findOwnPet(req, res);
+    if (!pet) return removeUploads(req);
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No images uploaded' });
+    }
+
+    if (pet.images.length + req.files.length > MAX_PET_IMAGES) {
+      await removeUploads(req);
+      return res.status(400).json({
+        message: `A pet can have at most ${MAX_PET_IMAGES} images`,
+        details: `It already has ${pet.images.length}`
+      });
+    }
+
+    pet.images = [...imageIds(pet), ...req.files.map(file => file.media._id)];
+    await pet.save();
+    await pet.populate('images');
+    res.status(201).json(pet);
+  } catch (error) {
+    console.error('Error adding pet images:', error);
+    await removeUploads(req);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reorder a pet's images (seller only)
+// Body: { images: [imageId, ...] } listing every current image exactly once
+router.put('/:id/images/order', auth, async (req, res) => {
+  try {
+    const pet = await findOwnPet(req, res);
+    if (!pet) return;
+
+    const current = imageIds(pet);
+    const order = Array.isArray(req.body.images) ? req.body.images.map(String) : [];
+    const isPermutation = order.length === current.length &&
+      new Set(order).size === order.length &&
+      order.every(id => current.includes(id));
+    if (!isPermutation) {
+      return res.status(400).json({ message: 'images must list every image of the pet exactly once' });
+    }
+
+    pet.images = order;
+    await pet.save();
+    await pet.populate('images');
+    res.json(pet);
+  } catch (error) {
+    console.error('Error reordering pet images:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Make an image the pet's cover by moving it to the front (seller only)
+router.put('/:id/images/:imageId/cover', auth, async (req, res) => {
+  try {
+    const pet = await findOwnPet(req, res);
+    if (!pet) return;
+
+    const current = imageIds(pet);
+    if (!current.includes(req.params.imageId)) {
+      return res.status(404).json({ message: 'Image not found on this pet' });
+    }
+
+    pet.images = [req.params.imageId, ...current.filter(id => id !== req.params.imageId)];
+    await pet.save();
+    await pet.populate('images');
+    res.json(pet);
+  } catch (error) {
+    console.error('Error setting pet cover image:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Set an image's caption and/or alt text (seller only)
+router.put('/:id/images/:imageId', auth, async (req, res) => {
+  try {
+    const pet = await findOwnPet(req, res);
+    if (!pet) return;
+
+    if (!imageIds(pet).includes(req.params.imageId)) {
+      return res.status(404).json({ message: 'Image not found on this pet' });
+    }
+
+    const update = {};
+    ['caption', 'altText'].forEach(field => {
+      if (req.body[field] !== undefined) update[field] = String(req.body[field]);
+    });
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update; send caption and/or altText' });
+    }
+
+    const image = await Media.findByIdAndUpdate(req.params.imageId, update, { new: true, runValidators: true });
+    res.json(image);
+  } catch (error) {
+    console.error('Error updating pet image:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove a single image from a pet and delete its files (seller only)
+router.delete('/:id/images/:imageId', auth, async (req, res) => {
+  try {
+    const pet = await findOwnPet(req, res);
+    if (!pet) return;
+
+    const current = imageIds(pet);
+    if (!current.includes(req.params.imageId)) {
+      return res.status(404).json({ message: 'Image not found on this pet' });
+    }
+
+    pet.images = current.filter(id => id !== req.params.imageId);
+    await pet.save();
+    await Media.removeWithFiles(req.params.imageId);
+    await pet.populate('images');
+    res.json(pet);
+  } catch (error) {
+    console.error('Error deleting pet image:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Favorite a pet (regular users only)
+router.post('/:id/favorite', auth, async (req, res) => {
   try {
-    console.log('WARNING: Using deprecated adopt endpoint. Use adoption-requests API instead.');
-    
-    // Check if user is a regular user
     if (req.user.userType !== 'regular') {
-      return res.status(403).json({ message: 'Only regular users can adopt pets' });
+      return res.status(403).json({ message: 'Only regular users can favorite pets' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid pet ID' });
     }
 
     const pet = await Pet.findById(req.params.id);
-    if (!pet) {
+    if (!pet || !PUBLIC_STATUSES.includes(pet.status)) {
       return res.status(404).json({ message: 'Pet not found' });
     }
 
-    // Check if pet is available
-    if (pet.status !== 'available') {
-      return res.status(400).json({ message: 'This pet is not available for adoption' });
+    const existing = await Favorite.findOne({ user: req.user._id, pet: pet._id });
+    if (existing) {
+      return res.json(existing);
     }
 
-    // Update pet status to pending
-    pet.status = 'pending';
-    pet.adopter = req.user._id;
-    await pet.save();
+    const favorite = new Favorite({
+      user: req.user._id,
+      pet: pet._id,
+      statusAtSave: pet.status
+    });
+    try {
+      await favorite.save();
+    } catch (error) {
+      // Saved by another request at the same time
+      if (error.code === 11000) {
+        return res.json(await Favorite.findOne({ user: req.user._id, pet: pet._id }));
+      }
+      throw error;
+    }
+    await recordListingEvent(pet, 'favorite');
 
-    // Log warning message
-    console.log(`Pet ${pet._id} marked as pending using deprecated route. No adoption request was created.`);
-    
-    res.json({ message: 'Adoption request submitted successfully', pet });
+    res.status(201).json(favorite);
   } catch (error) {
-    console.error('Adoption error:', error);
+    console.error('Error favoriting pet:', error);
     res.status(500).json({ message: error.message });
   }
 });
 
+// Remove a pet from the current user's favorites
+router.delete('/:id/favorite', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid pet ID' });
+    }
+    const result = await Favorite.deleteOne({ user: req.user._id, pet: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Pet is not in your favorites' });
+    }
+
+    res.json({ message: 'Pet removed from favorites' });
+  } catch (error) {
+    console.error('Error unfavoriting pet:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Adopting straight from the pet used to mark it pending without an adoption
+// request, which nothing could then complete or cancel. Old clients are told
+// where to go instead.
+router.post('/:id/adopt', auth, (req, res) => {
+  res.status(410).json({ message: 'This endpoint was removed. Send an adoption request through /api/adoption-requests' });
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const Post = require('../models/Post');
 const auth = require('../middleware/auth');
-const upload = require('../middleware/upload');
+const { createUpload } = require('../middleware/upload');
+
+const uploadPostImages = createUpload({ folder: '', prefix: 'post', kind: 'post', field: 'images', maxCount: 5 });
 
 // Get all posts
 router.get('/', auth, async (req, res) => {
@@ -21,13 +23,13 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Create a new post
-router.post('/', auth, upload.array('images', 5), async (req, res) => {
+router.post('/', auth, uploadPostImages, async (req, res) => {
   try {
     console.log('Creating new post:', req.body);
     const { title, content, tags } = req.body;
     
     // Process uploaded images
-    const images = req.files ? req.files.map(file => `/uploads/${file.filename}`) : [];
+    const images = req.files ? req.files.map(file => file.media._id) : [];
     
     // Parse tags if they're sent as a string
     const parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags || [];
@@ -41,7 +43,7 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
     });
 
     const newPost = await post.save();
-    await newPost.populate('author', 'name profilePicture');
+    await newPost.populate([{ path: 'author', select: 'name profilePicture' }, { path: 'images' }]);
     console.log('Post created successfully:', newPost._id);
     res.status(201).json(newPost);
   } catch (err) {
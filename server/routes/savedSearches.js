@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const SavedSearch = require('../models/SavedSearch');
+const SearchAlert = require('../models/SearchAlert');
+const Pet = require('../models/Pet');
+const { parsePetQuery, findPets } = require('../utils/petQuery');
+
+const CRITERIA_FIELDS = [
+  'type', 'breed', 'gender', 'status', 'minPrice', 'maxPrice', 'sellerBusinessType',
+  'minAgeMonths', 'maxAgeMonths', 'lifeStage', 'near', 'radiusKm',
+  'vaccinated', 'spayedNeutered', 'microchipped'
+];
+const LIST_FIELDS = ['type', 'breed', 'gender', 'status', 'sellerBusinessType', 'lifeStage'];
+const FLAG_FIELDS = ['vaccinated', 'spayedNeutered', 'microchipped'];
+
+// Pick and normalise criteria from the request body, validating them the same
+// way GET /api/pets validates its query string
+const parseCriteria = async (input) => {
+  const criteria = {};
+  CRITERIA_FIELDS.forEach(field => {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') return;
+    if (LIST_FIELDS.includes(field)) {
+      const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map(v => String(v).trim())
+        .filter(Boolean);
+      criteria[field] = ['type', 'breed'].includes(field) ? list : list.map(v => v.toLowerCase());
+    } else if (field === 'near') {
+      criteria.near = String(value).trim();
+    } else if (FLAG_FIELDS.includes(field)) {
+      criteria[field] = typeof value === 'boolean' ? value : String(value).toLowerCase();
+    } else {
+      criteria[field] = Number(value);
+    }
+  });
+
+  const parsed = await parsePetQuery(criteria);
+  return parsed.errors ? { errors: parsed.errors } : { criteria };
+};
+
+const findOwnSearch = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid saved search ID' });
+    return null;
+  }
+  const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+  if (!search) {
+    res.status(404).json({ message: 'Saved search not found' });
+    return null;
+  }
+  return search;
+};
+
+// @route   GET /api/saved-searches
+// @desc    Get the current user's saved searches
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(searches);
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a set of pet search criteria
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, criteria: input, alertsEnabled } = req.body;
+    if (!name) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const { criteria, errors } = await parseCriteria(input || {});
+    if (errors) {
+      return res.status(400).json({ message: 'Invalid search criteria', details: errors });
+    }
+
+    const search = new SavedSearch({
+      user: req.user._id,
+      name,
+      criteria,
+      alertsEnabled: alertsEnabled !== undefined ? alertsEnabled === true || alertsEnabled === 'true' : true
+    });
+    await search.save();
+
+    res.status(201).json(search);
+  } catch (error) {
+    console.error('Error creating saved search:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/saved-searches/alerts
+// @desc    Get match alerts for the current user (?includeDismissed=true for all)
+// @access  Private
+router.get('/alerts', auth, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.includeDismissed !== 'true') {
+      filter.dismissed = false;
+    }
+
+    const alerts = await SearchAlert.find(filter)
+      .populate('savedSearch', 'name')
+      .populate('pet', 'name type breed birthDate ageIsEstimate gender price images status')
+      .sort({ createdAt: -1 });
+
+    // Drop alerts whose pet has since been deleted
+    res.json(alerts.filter(alert => alert.pet));
+  } catch (error) {
+    console.error('Error fetching search alerts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/saved-searches/alerts/:alertId/dismiss
+// @desc    Dismiss a match alert
+// @access  Private
+router.post('/alerts/:alertId/dismiss', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.alertId)) {
+      return res.status(400).json({ message: 'Invalid alert ID' });
+    }
+
+    const alert = await SearchAlert.findOneAndUpdate(
+      { _id: req.params.alertId, user: req.user._id },
+      { dismissed: true },
+      { new: true }
+    );
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    res.json(alert);
+  } catch (error) {
+    console.error('Error dismissing search alert:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/saved-searches/:id
+// @desc    Get a saved search
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+    res.json(search);
+  } catch (error) {
+    console.error('Error fetching saved search:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/saved-searches/:id/results
+// @desc    Run a saved search now (accepts sort, limit and cursor like GET /api/pets)
+// @access  Private
+router.get('/:id/results', auth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    // Like alerts, a search without a status only looks at available pets
+    const criteria = search.criteria.toObject();
+    if (!criteria.status || !criteria.status.length) criteria.status = ['available'];
+
+    const { sort, limit, cursor } = req.query;
+    const parsed = await parsePetQuery({ ...criteria, sort, limit, cursor });
+    if (parsed.errors) {
+      return res.status(400).json({ message: 'Invalid query parameters', details: parsed.errors });
+    }
+
+    const result = await findPets(Pet, parsed, {
+      populate: { path: 'seller', select: 'name businessName businessType email phoneNumber address' }
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error running saved search:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Update a saved search's name, criteria or alert setting
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    const { name, criteria: input, alertsEnabled } = req.body;
+    if (input !== undefined) {
+      const { criteria, errors } = await parseCriteria(input || {});
+      if (errors) {
+        return res.status(400).json({ message: 'Invalid search criteria', details: errors });
+      }
+      search.criteria = criteria;
+    }
+    if (name !== undefined) search.name = name;
+    if (alertsEnabled !== undefined) search.alertsEnabled = alertsEnabled === true || alertsEnabled === 'true';
+
+    await search.save();
+    res.json(search);
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search and its alerts
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    await SearchAlert.deleteMany({ savedSearch: search._id });
+    await search.deleteOne();
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
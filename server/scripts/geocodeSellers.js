@@ -0,0 +1,47 @@
+// Backfill locations for business users and copy them onto their pets.
+// Usage: npm run geocode:sellers
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Pet = require('../models/Pet');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pawshearts');
+
+  // Build the 2dsphere indexes before anything queries them
+  await User.syncIndexes();
+  await Pet.syncIndexes();
+
+  const sellers = await User.find({ userType: 'business' });
+  const failed = [];
+  let geocoded = 0;
+
+  for (const seller of sellers) {
+    const found = seller.updateLocation();
+    await User.updateOne(
+      { _id: seller._id },
+      found ? { $set: { location: seller.location } } : { $unset: { location: 1 } }
+    );
+    await Pet.syncSellerLocation(seller._id, found ? seller.location : null);
+
+    if (found) {
+      geocoded++;
+    } else {
+      failed.push({ id: seller._id.toString(), name: seller.businessName, zipCode: seller.zipCode, address: seller.address });
+    }
+  }
+
+  console.log(`Geocoded ${geocoded} of ${sellers.length} business users`);
+  if (failed.length) {
+    console.log('Could not geocode:');
+    failed.forEach(f => console.log(`  ${f.id} ${f.name} (zip: ${f.zipCode || '-'}, address: ${f.address || '-'})`));
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Geocoding failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
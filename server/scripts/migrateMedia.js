@@ -0,0 +1,160 @@
+// One-off migration: replace the legacy image paths/URLs stored on documents
+// with references to Media documents.
+// Usage: npm run migrate:media [-- --dry-run]
+//
+// Before this, pets and blogs stored bare filenames, posts "/uploads/<file>"
+// (or a full URL), profiles absolute "http://localhost:5000/uploads/..." URLs,
+// and communities and messages bare filenames under communities/. Values that
+// are already ObjectIds are left alone, so the migration can be re-run.
+// References whose file no longer exists in storage are dropped and reported.
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+
+const Media = require('../models/Media');
+const storage = require('../storage');
+const { storageKey } = require('../middleware/upload');
+const { MEDIA_REFERENCES } = require('../utils/mediaReferences');
+const {
+  IMAGE_SIZES,
+  IMAGE_FORMATS,
+  variantFilenames,
+  decodeImage
+} = require('../utils/imagePipeline');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Placeholders that used to be stored instead of "no picture"
+const DEFAULT_PICTURES = ['default-profile.jpg', 'default-profile.png'];
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// Turn a stored filename, "/uploads/..." path or URL into a storage key
+const keyFromReference = (value, folder) => {
+  const publicBase = storage.url('');
+  let reference = value.trim();
+  if (reference.startsWith(publicBase)) {
+    reference = reference.slice(publicBase.length);
+  } else if (/^https?:\/\//.test(reference) || reference.startsWith('/uploads/')) {
+    const match = reference.match(/\/uploads\/(.+)$/);
+    if (!match) return null;
+    reference = match[1];
+  } else {
+    reference = storageKey(folder, reference);
+  }
+  return decodeURIComponent(reference.replace(/^\/+/, ''));
+};
+
+const sizeAndFormat = (key) => {
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    for (const format of Object.keys(IMAGE_FORMATS)) {
+      const extension = IMAGE_FORMATS[format].extension || format;
+      if (key.endsWith(`-${size}.${extension}`)) return { size, format };
+    }
+  }
+  return null;
+};
+
+// Find or create the Media document for a storage key; null if the file is gone
+const mediaForKey = async (key, { kind, owner }) => {
+  const existing = await Media.findOne({ key });
+  if (existing) return existing;
+  if (!(await storage.exists(key))) return null;
+
+  const dir = path.posix.dirname(key);
+  const siblings = variantFilenames(path.posix.basename(key))
+    .map(name => (dir === '.' ? name : `${dir}/${name}`));
+  const variants = [];
+  if (siblings.length > 1) {
+    for (const variantKey of siblings) {
+      if (await storage.exists(variantKey)) {
+        variants.push({ ...sizeAndFormat(variantKey), key: variantKey });
+      }
+    }
+  }
+
+  let dimensions = {};
+  try {
+    const image = await decodeImage(await storage.get(key));
+    dimensions = { width: image.bitmap.width, height: image.bitmap.height };
+  } catch (error) {
+    console.warn(`  could not read dimensions of ${key}: ${error.message}`);
+  }
+
+  const media = new Media({
+    owner: owner || null,
+    kind,
+    key,
+    contentType: CONTENT_TYPES[path.posix.extname(key).toLowerCase()],
+    ...dimensions,
+    variants
+  });
+  if (!dryRun) await media.save();
+  return media;
+};
+
+const migrateReference = async (reference, stats) => {
+  const collection = mongoose.connection.collection(reference.collection);
+  const cursor = collection.find({ [reference.field]: { $type: 'string' } });
+  let documents = 0;
+
+  for await (const doc of cursor) {
+    const values = reference.many ? doc[reference.field] : [doc[reference.field]];
+    const ids = [];
+
+    for (const value of values) {
+      if (typeof value !== 'string') {
+        if (value) ids.push(value);
+        continue;
+      }
+      if (!value.trim() || DEFAULT_PICTURES.some(name => value.endsWith(name))) continue;
+
+      const key = keyFromReference(value, reference.folder);
+      const media = key && await mediaForKey(key, { kind: reference.kind, owner: doc[reference.owner] });
+      if (media) {
+        ids.push(media._id);
+        stats.media++;
+      } else {
+        stats.missing.push(`${reference.collection} ${doc._id} ${reference.field}: ${value}`);
+      }
+    }
+
+    if (!dryRun) {
+      await collection.updateOne(
+        { _id: doc._id },
+        { $set: { [reference.field]: reference.many ? ids : (ids[0] || null) } }
+      );
+    }
+    documents++;
+  }
+
+  console.log(`${reference.collection}.${reference.field}: ${documents} documents`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pawshearts');
+
+  const stats = { media: 0, missing: [] };
+  for (const reference of MEDIA_REFERENCES) {
+    await migrateReference(reference, stats);
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Linked ${stats.media} images to Media documents`);
+  if (stats.missing.length) {
+    console.log(`Dropped ${stats.missing.length} references to files that are not in storage:`);
+    stats.missing.forEach(line => console.log(`  ${line}`));
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
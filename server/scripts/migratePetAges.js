@@ -0,0 +1,49 @@
+// One-off migration: parse the legacy free-text Pet.age into birthDate.
+// Usage: npm run migrate:pet-ages [-- --dry-run]
+// A dry run lists how each age was read, so it can be checked before migrating.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Pet = require('../models/Pet');
+const { parseAgeText, birthDateFromMonths } = require('../utils/petAge');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pawshearts');
+
+  const pets = await Pet.find({ birthDate: { $exists: false } })
+    .select('name type age createdAt');
+  const unparsed = [];
+  let migrated = 0;
+
+  for (const pet of pets) {
+    const parsed = parseAgeText(pet.age, pet.type);
+    if (!parsed) {
+      unparsed.push(pet);
+      continue;
+    }
+
+    // The age was written when the listing was created, so count from then
+    const birthDate = birthDateFromMonths(parsed.months, pet.createdAt || new Date());
+    if (dryRun) {
+      console.log(`  ${pet._id} ${pet.name}: "${pet.age}" → ${parsed.months} months`);
+    } else {
+      await Pet.updateOne({ _id: pet._id }, { $set: { birthDate, ageIsEstimate: true } });
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Migrated ${migrated} of ${pets.length} pets without a birth date`);
+  if (unparsed.length) {
+    console.log(`Could not parse ${unparsed.length} ages; set birthDate or ageMonths on these by hand:`);
+    unparsed.forEach(pet => console.log(`  ${pet._id} ${pet.name} (${pet.type}): "${pet.age || ''}"`));
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
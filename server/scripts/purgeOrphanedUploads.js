@@ -0,0 +1,77 @@
+// Maintenance: delete uploaded files that no document references.
+// Usage: npm run purge:uploads [-- --dry-run] [-- --grace-hours=24]
+//
+// Removes Media documents no pet, blog, post, user, community or message
+// points at, then any stored file that does not belong to a Media document.
+// Anything younger than the grace period is kept, because an upload is stored
+// before the document referencing it is saved.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Media = require('../models/Media');
+const storage = require('../storage');
+const { MEDIA_REFERENCES } = require('../utils/mediaReferences');
+
+const dryRun = process.argv.includes('--dry-run');
+const graceArg = process.argv.find(arg => arg.startsWith('--grace-hours='));
+const graceHours = graceArg ? Number(graceArg.split('=')[1]) : 24;
+
+// Files served without a Media document
+const KEEP_KEYS = ['profiles/default-profile.png'];
+
+// Upload filenames embed their Date.now() timestamp ("pet-1700000000000-123-full.jpg")
+const uploadedAt = (key) => {
+  const match = key.match(/-(\d{13})-\d+-/);
+  return match ? new Date(Number(match[1])) : null;
+};
+
+const referencedMediaIds = async () => {
+  const ids = new Set();
+  for (const reference of MEDIA_REFERENCES) {
+    const values = await mongoose.connection.collection(reference.collection).distinct(reference.field);
+    values.filter(Boolean).forEach(id => ids.add(id.toString()));
+  }
+  return ids;
+};
+
+const run = async () => {
+  if (!Number.isFinite(graceHours) || graceHours < 0) {
+    throw new Error('--grace-hours must be a non-negative number');
+  }
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pawshearts');
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+
+  const referenced = await referencedMediaIds();
+  const media = await Media.find();
+  const orphaned = media.filter(item => !referenced.has(item._id.toString()) && item.createdAt < cutoff);
+  if (!dryRun) {
+    await Media.removeWithFiles(orphaned);
+  }
+
+  const orphanedIds = new Set(orphaned.map(item => item._id.toString()));
+  const knownKeys = new Set(KEEP_KEYS);
+  media
+    .filter(item => !orphanedIds.has(item._id.toString()))
+    .forEach(item => item.storageKeys().forEach(key => knownKeys.add(key)));
+
+  const strayKeys = (await storage.list('')).filter(key => {
+    if (knownKeys.has(key)) return false;
+    const date = uploadedAt(key);
+    return !date || date < cutoff;
+  });
+  if (!dryRun && strayKeys.length) {
+    await storage.delete(strayKeys);
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Removed ${orphaned.length} unreferenced media documents and their files`);
+  orphaned.forEach(item => console.log(`  ${item._id} ${item.kind} ${item.key}`));
+  console.log(`${dryRun ? '[dry run] ' : ''}Removed ${strayKeys.length} files without a media document`);
+  strayKeys.forEach(key => console.log(`  ${key}`));
+};
+
+run()
+  .catch(err => {
+    console.error('Purge failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,21 @@
+// Run one pass of the listing lifecycle job (publish scheduled listings, warn
+// about and archive expiring ones), e.g. from cron instead of the server.
+// Usage: npm run listings:lifecycle
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const { runListingLifecycle } = require('../utils/listingLifecycle');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pawshearts');
+
+  const result = await runListingLifecycle();
+  console.log(`Published ${result.published}, warned ${result.warned}, archived ${result.archived} listings`);
+};
+
+run()
+  .catch(err => {
+    console.error('Listing lifecycle failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
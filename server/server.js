@@ -7,6 +7,11 @@ const jwt = require('jsonwebtoken');
 const path = require('path');
 
 const User = require('./models/User');
+const storage = require('./storage');
+const { startListingLifecycleJob } = require('./utils/listingLifecycle');
+const { startReportExpiryJob } = require('./utils/petReports');
+const { startAdoptionOfferJob, checkTransactionSupport } = require('./utils/adoptionRequests');
+const { startCheckInJob } = require('./utils/checkIns');
 
 const app = express();
 
@@ -15,22 +20,52 @@ app.use(cors({
   origin: "http://localhost:3000",
   credentials: true
 }));
-app.use(express.json());
-app.use('/uploads', express.static('uploads'));
+// The raw body is kept for checking payment webhook signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+// Local media is served by this process; other drivers serve their own URLs
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.root));
+}
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pawshearts')
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    checkTransactionSupport().catch(err => console.error('Could not check MongoDB transaction support:', err));
+    startListingLifecycleJob();
+    startReportExpiryJob();
+    startAdoptionOfferJob();
+    startCheckInJob();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/users', require('./routes/users'));
 app.use('/api/blogs', require('./routes/blogs'));
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/pets/:id/medical', require('./routes/petMedical'));
+app.use('/api/pets', require('./routes/petInventory'));
 app.use('/api/pets', require('./routes/pets'));
 app.use('/api/adoption-requests', require('./routes/adoptionRequests'));
 app.use('/api/chats', require('./routes/chats'));
 app.use('/api/communities', require('./routes/communities'));
+app.use('/api/saved-searches', require('./routes/savedSearches'));
+app.use('/api/media', require('./routes/media'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/lost-found', require('./routes/lostFound'));
+app.use('/api/fosters', require('./routes/fosters'));
+app.use('/api/campaigns', require('./routes/campaigns'));
+app.use('/api/donations', require('./routes/donations'));
+app.use('/api/application-forms', require('./routes/applicationForms'));
+app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/contracts', require('./routes/contracts'));
+app.use('/api/check-ins', require('./routes/checkIns'));
+app.use('/api/returns', require('./routes/petReturns'));
 
 const PORT = process.env.PORT || 5000;
 
@@ -0,0 +1,66 @@
+const path = require('path');
+require('dotenv').config();
+
+const createLocalDriver = require('./localDriver');
+const createS3Driver = require('./s3Driver');
+
+// Media file names are unique, so public files can be cached for good
+const PUBLIC_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+const PRIVATE_CACHE_CONTROL = 'private, no-store';
+
+// Media storage shared by every upload route. Pick the backend with
+// STORAGE_DRIVER=local (default) or STORAGE_DRIVER=s3.
+// MEDIA_PUBLIC_BASE_URL sets the base of every asset URL in API responses
+// (e.g. a CDN); each driver has its own default. cacheControl is the
+// Cache-Control stored with each S3 object unless put() is given another.
+const createStorage = (env = process.env, { cacheControl = PUBLIC_CACHE_CONTROL } = {}) => {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+  const publicBaseUrl = env.MEDIA_PUBLIC_BASE_URL ? env.MEDIA_PUBLIC_BASE_URL.replace(/\/$/, '') : null;
+
+  if (driver === 's3') {
+    return createS3Driver({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: publicBaseUrl,
+      cacheControl
+    });
+  }
+
+  if (driver === 'local') {
+    return createLocalDriver({
+      root: path.resolve(env.LOCAL_STORAGE_DIR || path.join(__dirname, '../uploads')),
+      baseUrl: publicBaseUrl || `http://localhost:${env.PORT || 5000}/uploads`
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+};
+
+// Storage for private files such as vet documents and adoption contracts.
+// They are never served directly: routes check access and stream them. Local
+// files are kept outside the public uploads folder; on S3 they need their own
+// bucket, S3_PRIVATE_BUCKET, without public read access.
+const createPrivateStorage = (env = process.env) => {
+  if ((env.STORAGE_DRIVER || 'local').toLowerCase() === 's3') {
+    if (!env.S3_PRIVATE_BUCKET) {
+      throw new Error('S3_PRIVATE_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+    if (env.S3_PRIVATE_BUCKET === env.S3_BUCKET) {
+      throw new Error('S3_PRIVATE_BUCKET must not be the public media bucket S3_BUCKET');
+    }
+  }
+  return createStorage({
+    ...env,
+    LOCAL_STORAGE_DIR: env.PRIVATE_STORAGE_DIR || path.join(__dirname, '../private-uploads'),
+    S3_BUCKET: env.S3_PRIVATE_BUCKET,
+    MEDIA_PUBLIC_BASE_URL: ''
+  }, { cacheControl: PRIVATE_CACHE_CONTROL });
+};
+
+module.exports = createStorage();
+module.exports.createStorage = createStorage;
+module.exports.privateStorage = createPrivateStorage();
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stores objects as files under a root directory, served by express.static.
+ * Keys use forward slashes ("pets/pet-123-full.jpg") on every platform.
+ */
+const createLocalDriver = ({ root, baseUrl }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, ...key.split('/'));
+    // Never let a key escape the storage root
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async delete(keys) {
+      await Promise.all([].concat(keys).map(async key => {
+        try {
+          await fs.promises.unlink(resolveKey(key));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }));
+    },
+
+    // List every key under a prefix ("" for everything), recursively
+    async list(prefix = '') {
+      const keys = [];
+      const walk = async (dir, keyPrefix) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+        for (const entry of entries) {
+          const key = keyPrefix + entry.name;
+          if (entry.isDirectory()) {
+            await walk(path.join(dir, entry.name), `${key}/`);
+          } else if (key.startsWith(prefix)) {
+            keys.push(key);
+          }
+        }
+      };
+      await walk(root, '');
+      return keys;
+    },
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = createLocalDriver;
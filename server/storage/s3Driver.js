@@ -0,0 +1,96 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Stores objects in an S3-compatible bucket (AWS S3, MinIO, ...).
+ * For MinIO set endpoint (e.g. http://localhost:9000) and forcePathStyle.
+ * cacheControl is stored with every object unless put() is given another.
+ */
+const createS3Driver = ({
+  bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl, cacheControl
+}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Objects are served straight from the bucket (or a CDN in front of it)
+  const baseUrl = (publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType, options = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: options.cacheControl || cacheControl
+      }));
+    },
+
+    async get(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async delete(keys) {
+      const list = [].concat(keys);
+      // DeleteObjects accepts at most 1000 keys per call
+      for (let i = 0; i < list.length; i += 1000) {
+        await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: list.slice(i, i + 1000).map(Key => ({ Key })), Quiet: true }
+        }));
+      }
+    },
+
+    async list(prefix = '') {
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const result = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken
+        }));
+        (result.Contents || []).forEach(object => keys.push(object.Key));
+        ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return keys;
+    },
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const AdoptionContract = require('../models/AdoptionContract');
+const AdoptionRequest = require('../models/AdoptionRequest');
+const ContractTemplate = require('../models/ContractTemplate');
+const Pet = require('../models/Pet');
+const User = require('../models/User');
+const { privateStorage } = require('../storage');
+
+const ADOPTION_FEE_CURRENCY = (process.env.ADOPTION_FEE_CURRENCY || 'USD').toUpperCase();
+
+// Placeholders a template's terms may use
+const TEMPLATE_PLACEHOLDERS = ['petName', 'petType', 'petBreed', 'adopterName', 'shelterName', 'fee', 'date'];
+
+const DEFAULT_TEMPLATE = {
+  title: 'Pet Adoption Agreement',
+  terms: [
+    '{{shelterName}} transfers ownership of {{petName}} ({{petType}}, {{petBreed}}) to {{adopterName}} on {{date}} for an adoption fee of {{fee}}.',
+    '{{adopterName}} agrees to provide {{petName}} with proper food, water, shelter, exercise and veterinary care, and to keep {{petName}} as a companion animal.',
+    '{{adopterName}} will not sell, give away or abandon {{petName}}. If {{adopterName}} can no longer keep {{petName}}, {{shelterName}} will be contacted first.',
+    '{{shelterName}} has shared everything it knows about the health and temperament of {{petName}}, and may follow up on the adoption.'
+  ].join('\n\n')
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const formatFee = (amount, currency) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+// Fill {{placeholder}}s in; unknown ones are left as they are
+const renderTerms = (terms, values) =>
+  terms.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+
+// The business's template, or the default one
+const templateFor = async (businessId) =>
+  (await ContractTemplate.findOne({ business: businessId })) || DEFAULT_TEMPLATE;
+
+const partyDetails = (user) => ({
+  user: user._id,
+  name: user.name,
+  businessName: user.businessName,
+  email: user.email,
+  address: [user.address, user.city, user.state, user.zipCode].filter(Boolean).join(', ')
+});
+
+// Render a contract's recorded details as a PDF; resolves to a Buffer
+const renderContractPdf = (contract) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: contract.title, Author: 'PawsHearts', CreationDate: contract.createdAt }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const heading = (text) => doc.moveDown().font('Helvetica-Bold').fontSize(12).text(text).font('Helvetica').fontSize(10);
+  const line = (label, value) => doc.text(`${label}: ${value || '-'}`);
+  const { seller, adopter, petDetails } = contract;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(contract.title, { align: 'center' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Contract ${contract._id} - ${contract.createdAt.toISOString().slice(0, 10)}`, { align: 'center' });
+
+  heading('Shelter');
+  line('Name', seller.businessName || seller.name);
+  line('Email', seller.email);
+  line('Address', seller.address);
+
+  heading('Adopter');
+  line('Name', adopter.name);
+  line('Email', adopter.email);
+  line('Address', adopter.address);
+
+  heading('Pet');
+  line('Name', petDetails.name);
+  line('Type', petDetails.type);
+  line('Breed', petDetails.breed);
+  line('Gender', petDetails.gender);
+  line('Date of birth', petDetails.birthDate && petDetails.birthDate.toISOString().slice(0, 10));
+  line('Microchip', petDetails.microchipNumber);
+
+  heading('Adoption fee');
+  doc.text(formatFee(contract.fee, contract.currency));
+
+  heading('Terms');
+  doc.text(contract.terms, { align: 'justify' });
+
+  heading('Acceptance');
+  contract.acceptances.forEach(acceptance => {
+    const party = acceptance.party === 'seller' ? seller.businessName || seller.name : adopter.name;
+    doc.text(`Accepted by ${party} (${acceptance.party}) at ${acceptance.acceptedAt.toISOString()} from IP ${acceptance.ip || 'unknown'}`);
+  });
+
+  doc.end();
+});
+
+/**
+ * The adoption contract for a chat whose two sides have both accepted,
+ * generating and storing it the first time. Returns null while either side
+ * has yet to accept, or unless the adoption request completed and the pet
+ * was adopted by the chat's buyer.
+ */
+const ensureAdoptionContract = async (chat) => {
+  if (!chat.buyerAccepted || !chat.sellerAccepted) return null;
+
+  const existing = await AdoptionContract.findOne({ adoptionRequest: chat.adoptionRequest });
+  if (existing) return existing;
+
+  // Only an adoption that actually completed, to this chat's buyer, gets a contract
+  const request = await AdoptionRequest.findById(chat.adoptionRequest);
+  if (!request || request.status !== 'completed') return null;
+  const pet = await Pet.findById(request.petId)
+    .select('+medical.microchipNumber')
+    .setOptions({ populateMedia: false });
+  if (!pet || !pet.adopter || pet.adopter.toString() !== chat.buyer.toString()) return null;
+  const [seller, adopter] = await Promise.all([User.findById(chat.seller), User.findById(chat.buyer)]);
+  const template = await templateFor(chat.seller);
+
+  const now = new Date();
+  const contract = new AdoptionContract({
+    adoptionRequest: request._id,
+    chat: chat._id,
+    pet: pet._id,
+    seller: partyDetails(seller),
+    adopter: partyDetails(adopter),
+    petDetails: {
+      name: pet.name,
+      type: pet.type,
+      breed: pet.breed,
+      gender: pet.gender,
+      birthDate: pet.birthDate,
+      microchipNumber: pet.medical && pet.medical.microchipNumber
+    },
+    fee: pet.price || 0,
+    currency: ADOPTION_FEE_CURRENCY,
+    title: template.title,
+    terms: renderTerms(template.terms, {
+      petName: pet.name,
+      petType: pet.type,
+      petBreed: pet.breed,
+      adopterName: adopter.name,
+      shelterName: seller.businessName || seller.name,
+      fee: formatFee(pet.price, ADOPTION_FEE_CURRENCY),
+      date: now.toISOString().slice(0, 10)
+    }),
+    acceptances: [
+      { party: 'seller', acceptedAt: chat.sellerAcceptedAt || now, ip: chat.sellerAcceptedIp },
+      { party: 'adopter', acceptedAt: chat.buyerAcceptedAt || now, ip: chat.buyerAcceptedIp }
+    ].sort((a, b) => a.acceptedAt - b.acceptedAt),
+    createdAt: now
+  });
+
+  const pdf = await renderContractPdf(contract);
+  const key = `contracts/contract-${contract._id}.pdf`;
+  await privateStorage.put(key, pdf, 'application/pdf');
+  contract.file = { key, size: pdf.length, sha256: sha256(pdf) };
+
+  try {
+    await contract.save();
+  } catch (error) {
+    await privateStorage.delete(key);
+    // Both acceptances landed at once and the other request saved first
+    if (error.code === 11000) {
+      return AdoptionContract.findOne({ adoptionRequest: chat.adoptionRequest });
+    }
+    throw error;
+  }
+  return contract;
+};
+
+/**
+ * Read a contract's PDF from storage and check it against the recorded hash.
+ * Returns { pdf, intact }.
+ */
+const readContractPdf = async (contract) => {
+  const pdf = await privateStorage.get(contract.file.key);
+  return { pdf, intact: sha256(pdf) === contract.file.sha256 };
+};
+
+module.exports = {
+  ADOPTION_FEE_CURRENCY,
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_TEMPLATE,
+  sha256,
+  renderTerms,
+  renderContractPdf,
+  ensureAdoptionContract,
+  readContractPdf
+};
@@ -0,0 +1,373 @@
+const mongoose = require('mongoose');
+const AdoptionRequest = require('../models/AdoptionRequest');
+const Pet = require('../models/Pet');
+const Notification = require('../models/Notification');
+const { transferMedicalRecords } = require('./petMedical');
+const { endFosterPlacement } = require('./fostering');
+const { recordListingEvent } = require('./listingAnalytics');
+const { scheduleCheckIns } = require('./checkIns');
+const { processEach } = require('./jobs');
+
+const { OPEN_REQUEST_STATUSES, ACTIVE_REQUEST_STATUSES } = AdoptionRequest;
+
+// Hours the next applicant in line has to confirm an offered pet
+const ADOPTION_OFFER_HOURS = Number(process.env.ADOPTION_OFFER_HOURS) || 48;
+const ADOPTION_OFFER_JOB_INTERVAL_MINUTES = Number(process.env.ADOPTION_OFFER_JOB_INTERVAL_MINUTES) || 15;
+
+// What approving a request does to the pet's other open requests
+const COMPETING_ACTIONS = ['keep', 'waitlist', 'reject'];
+
+// What the applicant is told when the seller moves their request
+const APPLICANT_MESSAGES = {
+  under_review: name => `Your adoption request for ${name} is being reviewed.`,
+  approved: name => `Your adoption request for ${name} has been approved!`,
+  waitlisted: name => `You are on the waitlist for ${name}.`,
+  rejected: name => `Your adoption request for ${name} was not successful.`,
+  completed: name => `The adoption of ${name} is complete. Congratulations!`,
+  expired: name => `Your offer to adopt ${name} expired before it was confirmed.`
+};
+
+/**
+ * Run `work(session)` in a transaction. `work` returns { error, status } to
+ * give up, which rolls back anything it already wrote.
+ */
+const inTransaction = async (work) => {
+  let result;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      result = await work(session);
+      if (result && result.error) {
+        throw Object.assign(new Error(result.error), { result });
+      }
+    });
+  } catch (error) {
+    if (error.result) return error.result;
+    throw error;
+  }
+  return result;
+};
+
+/**
+ * Transactions need MongoDB to run as a replica set (or a sharded cluster).
+ * Checked once connected, so a standalone server is reported at startup
+ * rather than on the first request that needs a transaction.
+ */
+const checkTransactionSupport = async (connection = mongoose.connection) => {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  if (hello.setName || hello.msg === 'isdbgrid') return true;
+  console.error(
+    'MongoDB is not running as a replica set, so accepting, completing and queueing adoption ' +
+    'requests, pet returns and inventory imports will fail. Start mongod with --replSet rs0, run ' +
+    'rs.initiate() once and add ?replicaSet=rs0 to MONGODB_URI (see .env.example).'
+  );
+  return false;
+};
+
+const notify = (entries, session) =>
+  entries.length ? Notification.insertMany(entries, { session }) : null;
+
+const logChange = (request, status, actor, note, now) => {
+  request.status = status;
+  request.updatedAt = now;
+  request.history.push({ status, actor, note, at: now });
+};
+
+// Move the pet's other open requests to `status` and tell their applicants
+const settleCompetingRequests = async (request, pet, status, { actor, note, now }, session) => {
+  const competing = await AdoptionRequest.find({
+    petId: request.petId,
+    _id: { $ne: request._id },
+    status: { $in: OPEN_REQUEST_STATUSES.filter(open => open !== status) }
+  }).session(session);
+
+  for (const other of competing) {
+    logChange(other, status, actor, note, now);
+    await other.save();
+  }
+  await notify(competing.map(other => ({
+    user: other.userId,
+    type: 'adoption_request',
+    message: APPLICANT_MESSAGES[status](pet.name),
+    pet: pet._id,
+    adoptionRequest: other._id
+  })), session);
+};
+
+/**
+ * The pet's open requests in queue order: the seller's ranking first, then
+ * the order they were made in
+ */
+const petQueue = async (petId, session = null) => {
+  const requests = await AdoptionRequest.find({ petId, status: { $in: OPEN_REQUEST_STATUSES } })
+    .session(session);
+  const rank = request => (request.queuePosition === null ? Infinity : request.queuePosition);
+  return requests.sort((a, b) => rank(a) - rank(b) || a.createdAt - b.createdAt);
+};
+
+// Queue position for a new request on the pet: after everyone already in line
+const nextQueuePosition = async (petId) => {
+  const last = await AdoptionRequest.findOne({ petId, queuePosition: { $ne: null } })
+    .sort({ queuePosition: -1 })
+    .select('queuePosition');
+  return last ? last.queuePosition + 1 : 1;
+};
+
+// Offer the pet to the first request in its queue, if there is one
+const offerNextInQueue = async (pet, { actor, now }, session) => {
+  const [next] = await petQueue(pet._id, session);
+  if (!next) return null;
+
+  logChange(next, 'offered', actor, 'Next in the queue', now);
+  next.offerExpiresAt = new Date(now.getTime() + ADOPTION_OFFER_HOURS * 60 * 60 * 1000);
+  await next.save();
+  await notify([{
+    user: next.userId,
+    type: 'adoption_request',
+    message: `${pet.name} is now available to you! Confirm your adoption request by ${next.offerExpiresAt.toUTCString()}.`,
+    pet: pet._id,
+    adoptionRequest: next._id
+  }], session);
+  return next;
+};
+
+/**
+ * Apply one status change to a request loaded in `session`, with its effect on
+ * the pet and the pet's other requests. Nothing is written unless the change
+ * is possible; returns { error, status } otherwise.
+ */
+const applyTransition = async (request, pet, to, { actor, note, competing = 'keep' }, session) => {
+  const from = request.status;
+  const now = new Date();
+  const context = { actor, adoptionRequest: request._id };
+  // An offered pet is already held (pending) for the request
+  const holdsPet = ['approved', 'offered'].includes(from);
+
+  let petStatus = null;
+  if (to === 'approved' && from === 'offered') {
+    if (pet.status !== 'pending') return { error: 'This offer is no longer available', status: 409 };
+  } else if (to === 'approved') {
+    if (pet.status === 'pending') {
+      return { error: 'Another request for this pet has already been approved', status: 409 };
+    }
+    petStatus = 'pending';
+  } else if (to === 'completed') {
+    petStatus = 'adopted';
+  }
+  if (petStatus) {
+    const statusError = Pet.statusTransitionError(pet.status, petStatus);
+    if (statusError) {
+      const message = ['adopted', 'sold'].includes(pet.status)
+        ? `This pet has already been ${pet.status}`
+        : statusError;
+      return { error: message, status: 409 };
+    }
+  }
+
+  logChange(request, to, actor, note, now);
+  if (from === 'offered') request.offerExpiresAt = null;
+  await request.save();
+
+  if (to === 'approved') {
+    if (petStatus) {
+      pet.setStatus('pending', { ...context, reason: 'Adoption request approved' });
+    }
+    if (competing !== 'keep') {
+      const status = competing === 'waitlist' ? 'waitlisted' : 'rejected';
+      await settleCompetingRequests(request, pet, status, {
+        actor, note: 'Another applicant was approved', now
+      }, session);
+    }
+  } else if (to === 'completed') {
+    pet.setStatus('adopted', { ...context, reason: note || 'Adoption completed' });
+    pet.adopter = request.userId;
+    transferMedicalRecords(pet, request.userId, now);
+    await endFosterPlacement(pet, { reason: 'Adopted', session });
+    await settleCompetingRequests(request, pet, 'rejected', { actor, note: 'The pet has been adopted', now }, session);
+    await scheduleCheckIns({
+      pet: pet._id,
+      adopter: request.userId,
+      business: request.sellerId,
+      adoptionRequest: request._id,
+      adoptedAt: now
+    }, session);
+  } else if (holdsPet && pet.status === 'pending') {
+    // The applicant dropped out: offer the pet to the next in line, or free it
+    const offered = await offerNextInQueue(pet, { actor, now }, session);
+    if (!offered) {
+      const reason = {
+        withdrawn: 'The approved applicant withdrew',
+        expired: 'The adoption offer expired'
+      }[to] || 'The approved adoption fell through';
+      pet.setStatus('available', { ...context, reason });
+      petStatus = 'available';
+    }
+  }
+  if (petStatus) {
+    await pet.save();
+  }
+
+  if (to === 'withdrawn') {
+    await notify([{
+      user: request.sellerId,
+      type: 'adoption_request',
+      message: `An applicant withdrew their adoption request for ${pet.name}.`,
+      pet: pet._id,
+      adoptionRequest: request._id
+    }], session);
+  } else if (APPLICANT_MESSAGES[to]) {
+    await notify([{
+      user: request.userId,
+      type: 'adoption_request',
+      message: APPLICANT_MESSAGES[to](pet.name),
+      pet: pet._id,
+      adoptionRequest: request._id
+    }], session);
+  }
+  return { request };
+};
+
+// Listing analytics for a change that went through
+const recordTransitionEvents = async (request, from) => {
+  const listing = { _id: request.petId, seller: request.sellerId };
+  if (request.status === 'approved' || (request.status === 'completed' && from !== 'approved')) {
+    await recordListingEvent(listing, 'approval');
+  }
+  if (request.status === 'completed') {
+    await recordListingEvent(listing, 'adoption');
+  }
+};
+
+const loadForTransition = async (requestId, session) => {
+  const request = await AdoptionRequest.findById(requestId).session(session);
+  if (!request) return { error: 'Request not found', status: 404 };
+  const pet = await Pet.findById(request.petId).session(session).setOptions({ populateMedia: false });
+  if (!pet) return { error: 'Pet not found', status: 404 };
+  return { request, pet };
+};
+
+/**
+ * Move an adoption request to `status` on behalf of `user`, in one
+ * transaction with everything it affects:
+ * - approving moves the pet to pending; competing = waitlist | reject also
+ *   waitlists or rejects the pet's other open requests (keep leaves them)
+ * - rejecting or withdrawing an approved request makes the pet available again
+ * - completing marks the pet adopted by the applicant and rejects the others
+ * Only the party named in REQUEST_TRANSITIONS may make each move. Returns
+ * { request } or { error, status } with the HTTP status to answer with.
+ */
+const changeRequestStatus = async (requestId, status, { user, note, competing = 'keep' }) => {
+  if (!AdoptionRequest.REQUEST_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${AdoptionRequest.REQUEST_STATUSES.join(', ')}`, status: 400 };
+  }
+  if (!COMPETING_ACTIONS.includes(competing)) {
+    return { error: `competing must be one of: ${COMPETING_ACTIONS.join(', ')}`, status: 400 };
+  }
+
+  let from;
+  const result = await inTransaction(async (session) => {
+    const { request, pet, ...failure } = await loadForTransition(requestId, session);
+    if (failure.error) return failure;
+
+    const userId = user._id.toString();
+    const role = request.sellerId.toString() === userId ? 'seller'
+      : request.userId.toString() === userId ? 'applicant'
+        : null;
+    if (!role) return { error: 'Not authorized to update this request', status: 403 };
+
+    const party = AdoptionRequest.transitionParty(request.status, status);
+    if (!party) return { error: `A ${request.status} request cannot be moved to ${status}`, status: 409 };
+    if (party !== role) return { error: `Only the ${party} can move this request to ${status}`, status: 403 };
+
+    from = request.status;
+    return applyTransition(request, pet, status, { actor: user._id, note, competing }, session);
+  });
+
+  if (result.request) {
+    await recordTransitionEvents(result.request, from);
+  }
+  return result;
+};
+
+/**
+ * Complete the adoption of a request both parties agreed to in its chat,
+ * approving it on the way if the seller had not yet. Returns { request } or
+ * { error, status }.
+ */
+const completeAgreedAdoption = async (requestId, actor) => {
+  let from;
+  const result = await inTransaction(async (session) => {
+    const { request, pet, ...failure } = await loadForTransition(requestId, session);
+    if (failure.error) return failure;
+
+    from = request.status;
+    if (from === 'completed') return { request };
+    if (!ACTIVE_REQUEST_STATUSES.includes(from)) {
+      return { error: `This adoption request was ${from}`, status: 409 };
+    }
+
+    const context = { actor, note: 'Both parties accepted the adoption terms' };
+    if (from !== 'approved') {
+      const approval = await applyTransition(request, pet, 'approved', context, session);
+      if (approval.error) return approval;
+    }
+    return applyTransition(request, pet, 'completed', context, session);
+  });
+
+  if (result.request && from !== 'completed') {
+    await recordTransitionEvents(result.request, from);
+  }
+  return result;
+};
+
+/**
+ * Expire offers nobody confirmed in time and pass each pet on to the next
+ * applicant in its queue. Each offer is expired in its own transaction that
+ * checks it again first, so when several server instances run the job only
+ * one of them commits (the others' transactions conflict, are retried and
+ * find it already expired). Returns how many offers expired.
+ */
+const expireAdoptionOffers = async (now = new Date()) => {
+  const due = await AdoptionRequest.find({ status: 'offered', offerExpiresAt: { $lte: now } }).select('_id');
+  return processEach(due, 'Expiring adoption offer', async ({ _id }) => {
+    const result = await inTransaction(async (session) => {
+      const { request, pet, ...failure } = await loadForTransition(_id, session);
+      if (failure.error) return failure;
+      // Confirmed or withdrawn since it was found
+      if (request.status !== 'offered' || request.offerExpiresAt > now) return { request: null };
+      return applyTransition(request, pet, 'expired', { actor: null, note: 'Not confirmed in time' }, session);
+    });
+    return Boolean(result.request);
+  });
+};
+
+// Expire offers now and then every ADOPTION_OFFER_JOB_INTERVAL_MINUTES in this process
+const startAdoptionOfferJob = () => {
+  const run = async () => {
+    try {
+      const expired = await expireAdoptionOffers();
+      if (expired) {
+        console.log('Adoption offers expired:', expired);
+      }
+    } catch (error) {
+      console.error('Adoption offer job error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, ADOPTION_OFFER_JOB_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ADOPTION_OFFER_HOURS,
+  COMPETING_ACTIONS,
+  inTransaction,
+  checkTransactionSupport,
+  petQueue,
+  nextQueuePosition,
+  changeRequestStatus,
+  completeAgreedAdoption,
+  expireAdoptionOffers,
+  startAdoptionOfferJob
+};
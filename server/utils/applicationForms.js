@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const { QUESTION_TYPES } = require('../models/ApplicationForm');
+const { escapeRegex } = require('./petQuery');
+
+const MAX_QUESTIONS = 50;
+const MAX_TEXT_ANSWER = 2000;
+
+const YES_VALUES = [true, 'true', 'yes'];
+const NO_VALUES = [false, 'false', 'no'];
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Questions from a request body, checked. Returns { questions } or { error }.
+ * Questions sent back with their _id keep it, so answers already given to
+ * them stay linked when a form is edited.
+ */
+const questionsFrom = (list) => {
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'questions must be a non-empty list' };
+  }
+  if (list.length > MAX_QUESTIONS) {
+    return { error: `A form can have at most ${MAX_QUESTIONS} questions` };
+  }
+
+  const seen = new Set();
+  const questions = [];
+  for (const [index, input] of list.entries()) {
+    const at = `questions[${index}]`;
+    if (!input || typeof input !== 'object') return { error: `${at} must be an object` };
+    if (!input.label || typeof input.label !== 'string' || !input.label.trim()) {
+      return { error: `${at}.label is required` };
+    }
+    if (!QUESTION_TYPES.includes(input.type)) {
+      return { error: `${at}.type must be one of: ${QUESTION_TYPES.join(', ')}` };
+    }
+
+    const question = {
+      label: input.label.trim(),
+      type: input.type,
+      required: input.required === true || input.required === 'true',
+      helpText: input.helpText
+    };
+    if (input._id !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(input._id) || seen.has(String(input._id))) {
+        return { error: `${at}._id is invalid` };
+      }
+      seen.add(String(input._id));
+      question._id = input._id;
+    }
+
+    if (input.type === 'choice') {
+      const options = Array.isArray(input.options)
+        ? [...new Set(input.options.map(option => String(option).trim()).filter(Boolean))]
+        : [];
+      if (options.length < 2) return { error: `${at}.options needs at least two choices` };
+      question.options = options;
+      question.multiple = input.multiple === true || input.multiple === 'true';
+    }
+    if (input.type === 'number') {
+      for (const limit of ['min', 'max']) {
+        if (isBlank(input[limit])) continue;
+        const value = Number(input[limit]);
+        if (!Number.isFinite(value)) return { error: `${at}.${limit} must be a number` };
+        question[limit] = value;
+      }
+      if (question.min !== undefined && question.max !== undefined && question.min > question.max) {
+        return { error: `${at}.min cannot be greater than max` };
+      }
+    }
+    questions.push(question);
+  }
+  return { questions };
+};
+
+// Form fields from a request body, checked. Returns { fields } or { error }.
+const formFieldsFrom = (body) => {
+  if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+    return { error: 'name is required' };
+  }
+  const { questions, error } = questionsFrom(body.questions);
+  if (error) return { error };
+
+  return { fields: { name: body.name.trim(), description: body.description, questions } };
+};
+
+// Normalised value of one answer, or { error }
+const answerValue = (question, value) => {
+  switch (question.type) {
+    case 'yes_no': {
+      const normalised = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (YES_VALUES.includes(normalised)) return { value: true };
+      if (NO_VALUES.includes(normalised)) return { value: false };
+      return { error: 'must be yes or no' };
+    }
+    case 'choice': {
+      const picked = Array.isArray(value) ? value.map(String) : [String(value)];
+      if (!question.multiple && picked.length > 1) return { error: 'only one option may be chosen' };
+      const unknown = picked.find(option => !question.options.includes(option));
+      if (unknown !== undefined) return { error: `"${unknown}" is not one of the options` };
+      return { value: question.multiple ? [...new Set(picked)] : picked[0] };
+    }
+    case 'number': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number)) return { error: 'must be a number' };
+      if (question.min !== undefined && question.min !== null && number < question.min) {
+        return { error: `must be at least ${question.min}` };
+      }
+      if (question.max !== undefined && question.max !== null && number > question.max) {
+        return { error: `must be at most ${question.max}` };
+      }
+      return { value: number };
+    }
+    default: {
+      if (typeof value !== 'string') return { error: 'must be text' };
+      const text = value.trim();
+      if (text.length > MAX_TEXT_ANSWER) return { error: `must be at most ${MAX_TEXT_ANSWER} characters` };
+      return { value: text };
+    }
+  }
+};
+
+/**
+ * Check an applicant's answers against a form. `input` is either an object
+ * keyed by question id or a list of { question, value }. Returns { answers }
+ * ready to store on the adoption request, or { errors } listing each problem
+ * as { question, label, message }.
+ */
+const validateAnswers = (form, input) => {
+  let byQuestion = {};
+  if (Array.isArray(input)) {
+    input.forEach(answer => {
+      if (answer && answer.question !== undefined) byQuestion[String(answer.question)] = answer.value;
+    });
+  } else if (input && typeof input === 'object') {
+    byQuestion = input;
+  } else if (!isBlank(input)) {
+    return { errors: [{ message: 'answers must be an object keyed by question id' }] };
+  }
+
+  const errors = [];
+  const answers = [];
+  const known = new Set(form.questions.map(question => question._id.toString()));
+  Object.keys(byQuestion)
+    .filter(key => !known.has(key))
+    .forEach(key => errors.push({ question: key, message: 'is not a question on this form' }));
+
+  form.questions.forEach(question => {
+    const value = byQuestion[question._id.toString()];
+    if (isBlank(value)) {
+      if (question.required) {
+        errors.push({ question: question._id, label: question.label, message: 'is required' });
+      }
+      return;
+    }
+    const result = answerValue(question, value);
+    if (result.error) {
+      errors.push({ question: question._id, label: question.label, message: result.error });
+      return;
+    }
+    // Whitespace-only text counts as no answer
+    if (question.type === 'text' && !result.value) {
+      if (question.required) {
+        errors.push({ question: question._id, label: question.label, message: 'is required' });
+      }
+      return;
+    }
+    answers.push({ question: question._id, label: question.label, type: question.type, value: result.value });
+  });
+
+  return errors.length ? { errors } : { answers };
+};
+
+/**
+ * Mongo conditions for filtering adoption requests by answers, from a query
+ * like ?answers[<questionId>]=yes. Number questions also take
+ * answers[<questionId>][min] and [max]; text questions match on a
+ * case-insensitive substring. `questions` maps question ids to the questions.
+ * Returns { conditions } or { error }.
+ */
+const answerFilters = (query, questions) => {
+  const conditions = [];
+  for (const [questionId, wanted] of Object.entries(query || {})) {
+    const question = questions.get(questionId);
+    if (!question) return { error: `Unknown question ${questionId}` };
+    const match = { question: question._id };
+
+    if (question.type === 'number' && wanted && typeof wanted === 'object' && !Array.isArray(wanted)) {
+      const range = {};
+      for (const [limit, operator] of [['min', '$gte'], ['max', '$lte']]) {
+        if (isBlank(wanted[limit])) continue;
+        const value = Number(wanted[limit]);
+        if (!Number.isFinite(value)) return { error: `answers[${questionId}][${limit}] must be a number` };
+        range[operator] = value;
+      }
+      if (Object.keys(range).length === 0) return { error: `answers[${questionId}] needs a min or max` };
+      match.value = range;
+    } else if (question.type === 'text') {
+      match.value = { $regex: escapeRegex(String(wanted)), $options: 'i' };
+    } else {
+      // One option at a time; a multiple-choice answer matches if it includes it
+      const result = answerValue({ type: question.type, options: question.options, multiple: false }, wanted);
+      if (result.error) return { error: `answers[${questionId}] ${result.error}` };
+      match.value = result.value;
+    }
+    conditions.push({ answers: { $elemMatch: match } });
+  }
+  return { conditions };
+};
+
+module.exports = {
+  MAX_QUESTIONS,
+  questionsFrom,
+  formFieldsFrom,
+  validateAnswers,
+  answerFilters
+};
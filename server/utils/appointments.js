@@ -0,0 +1,211 @@
+const SlotReservation = require('../models/SlotReservation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLOT_FIELDS = ['weekday', 'startTime', 'durationMinutes', 'capacity', 'timezone', 'validFrom', 'validUntil', 'location'];
+const CALENDAR_HOST = 'pawshearts';
+
+const isTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds the time zone is ahead of UTC at the given instant
+const zoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  const local = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a local date and time happen in a time zone. Checked a second
+// time so dates across a daylight saving change get the right offset.
+const zonedTime = (year, month, day, hours, minutes, timezone) => {
+  const guess = Date.UTC(year, month, day, hours, minutes);
+  const offset = zoneOffset(new Date(guess), timezone);
+  const corrected = zoneOffset(new Date(guess - offset), timezone);
+  return new Date(guess - corrected);
+};
+
+// The local calendar date of an instant in a time zone, as a UTC midnight
+const localDate = (date, timezone) => {
+  const shifted = new Date(date.getTime() + zoneOffset(date, timezone));
+  return Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate());
+};
+
+/**
+ * Occurrences of a weekly slot that start in [from, to), oldest first, as
+ * { startsAt, endsAt }. The slot's validFrom/validUntil limit them further.
+ */
+const slotOccurrences = (slot, from, to) => {
+  const [hours, minutes] = slot.startTime.split(':').map(Number);
+  const occurrences = [];
+  // A day either side covers time zones ahead of or behind UTC
+  for (let day = localDate(from, slot.timezone) - DAY_MS; day <= to.getTime() + DAY_MS; day += DAY_MS) {
+    const date = new Date(day);
+    if (date.getUTCDay() !== slot.weekday) continue;
+
+    const startsAt = zonedTime(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, minutes, slot.timezone);
+    if (startsAt < from || startsAt >= to) continue;
+    if (slot.validFrom && startsAt < slot.validFrom) continue;
+    if (slot.validUntil && startsAt > slot.validUntil) continue;
+    occurrences.push({ startsAt, endsAt: new Date(startsAt.getTime() + slot.durationMinutes * 60 * 1000) });
+  }
+  return occurrences;
+};
+
+// The occurrence of a slot starting exactly at `startsAt`, or null
+const findOccurrence = (slot, startsAt) => {
+  const from = new Date(startsAt.getTime());
+  const [occurrence] = slotOccurrences(slot, from, new Date(from.getTime() + 1));
+  return occurrence || null;
+};
+
+/**
+ * Slot fields from a request body, checked. Returns { fields } or { error };
+ * with `partial` only the fields that were sent are returned.
+ */
+const slotFieldsFrom = (body, partial = false) => {
+  const fields = {};
+  SLOT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (!partial) {
+    const missing = ['weekday', 'startTime', 'durationMinutes'].filter(field => fields[field] === undefined);
+    if (missing.length) return { error: `Missing required fields: ${missing.join(', ')}` };
+  }
+  for (const field of ['weekday', 'durationMinutes', 'capacity']) {
+    if (fields[field] === undefined) continue;
+    fields[field] = Number(fields[field]);
+    if (!Number.isInteger(fields[field])) return { error: `${field} must be a whole number` };
+  }
+  if (fields.timezone !== undefined && !isTimeZone(fields.timezone)) {
+    return { error: 'timezone must be an IANA time zone such as Europe/London' };
+  }
+  for (const field of ['validFrom', 'validUntil']) {
+    if (!fields[field]) {
+      if (fields[field] !== undefined) fields[field] = null;
+      continue;
+    }
+    fields[field] = new Date(fields[field]);
+    if (Number.isNaN(fields[field].getTime())) return { error: `${field} must be a valid date` };
+  }
+  if (fields.validFrom && fields.validUntil && fields.validFrom > fields.validUntil) {
+    return { error: 'validFrom must be before validUntil' };
+  }
+  return { fields };
+};
+
+/**
+ * Take one place in a slot occurrence. Returns false when it is full. The
+ * reservation document is created on first use; a race to create it is
+ * settled by its unique index.
+ */
+const reservePlace = async (slot, startsAt) => {
+  try {
+    await SlotReservation.updateOne(
+      { slot: slot._id, startsAt },
+      { $setOnInsert: { booked: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+  const reservation = await SlotReservation.findOneAndUpdate(
+    { slot: slot._id, startsAt, booked: { $lt: slot.capacity } },
+    { $inc: { booked: 1 } },
+    { new: true }
+  );
+  return Boolean(reservation);
+};
+
+// Give back a place taken with reservePlace
+const releasePlace = (slotId, startsAt) => SlotReservation.updateOne(
+  { slot: slotId, startsAt, booked: { $gt: 0 } },
+  { $inc: { booked: -1 } }
+);
+
+// Places already taken in each occurrence, keyed by slot id and start time
+const bookedPlaces = async (slotIds, from, to) => {
+  const reservations = await SlotReservation.find({ slot: { $in: slotIds }, startsAt: { $gte: from, $lt: to } });
+  return new Map(reservations.map(reservation =>
+    [`${reservation.slot}:${reservation.startsAt.toISOString()}`, reservation.booked]));
+};
+
+// iCalendar text value: backslashes, commas, semicolons and newlines escaped
+const icsText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 characters continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  for (let rest = line; rest.length > 0; rest = rest.slice(75)) {
+    parts.push(rest.slice(0, 75));
+  }
+  return parts.join('\r\n ');
+};
+
+/**
+ * VEVENT lines for an appointment with its pet, business and applicant
+ * populated. Cancelled appointments are sent as cancelled so calendar apps
+ * remove them.
+ */
+const appointmentEvent = (appointment) => {
+  const { pet, business, applicant } = appointment;
+  const businessName = business.businessName || business.name;
+  return [
+    'BEGIN:VEVENT',
+    `UID:appointment-${appointment._id}@${CALENDAR_HOST}`,
+    `SEQUENCE:${appointment.sequence}`,
+    `DTSTAMP:${icsDate(appointment.updatedAt)}`,
+    `DTSTART:${icsDate(appointment.startsAt)}`,
+    `DTEND:${icsDate(appointment.endsAt)}`,
+    `SUMMARY:${icsText(`Meet ${pet.name} at ${businessName}`)}`,
+    `DESCRIPTION:${icsText(`Meet-and-greet with ${pet.name} for ${applicant.name}.${appointment.notes ? `\n${appointment.notes}` : ''}`)}`,
+    `LOCATION:${icsText(appointment.location || business.address)}`,
+    `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+};
+
+// A whole VCALENDAR document for a list of populated appointments
+const icsCalendar = (appointments, name) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//PawsHearts//Appointments//EN',
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${icsText(name)}`,
+  ...appointments.flatMap(appointmentEvent),
+  'END:VCALENDAR',
+  ''
+].map(foldLine).join('\r\n');
+
+module.exports = {
+  isTimeZone,
+  slotOccurrences,
+  findOccurrence,
+  slotFieldsFrom,
+  reservePlace,
+  releasePlace,
+  bookedPlaces,
+  icsCalendar
+};
@@ -0,0 +1,266 @@
+const CheckIn = require('../models/CheckIn');
+const CheckInSettings = require('../models/CheckInSettings');
+const Notification = require('../models/Notification');
+const { questionsFrom } = require('./applicationForms');
+const { saveIfStill, processEach } = require('./jobs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days after the due date before a missing check-in is flagged to the shelter
+const CHECK_IN_GRACE_DAYS = Number(process.env.CHECK_IN_GRACE_DAYS) || 7;
+const CHECK_IN_JOB_INTERVAL_MINUTES = Number(process.env.CHECK_IN_JOB_INTERVAL_MINUTES) || 60;
+// Adopters may send a check-in this many days before it is due
+const CHECK_IN_OPENS_DAYS_BEFORE = 3;
+const MAX_OFFSETS = 10;
+
+const DEFAULT_OFFSETS = [
+  { label: '1 week', days: 7 },
+  { label: '1 month', days: 30 },
+  { label: '6 months', days: 182 }
+];
+const DEFAULT_QUESTIONS = [
+  { label: 'Has your pet settled in well?', type: 'yes_no', required: true },
+  { label: 'How is your pet\'s health?', type: 'choice', options: ['Good', 'Fair', 'Poor'], required: true },
+  { label: 'Has your pet seen a vet since the adoption?', type: 'yes_no', required: false },
+  { label: 'Anything the shelter should know?', type: 'text', required: false }
+];
+
+// The shelter's offsets and questions, or the defaults
+const settingsFor = async (businessId, session = null) => {
+  const settings = await CheckInSettings.findOne({ business: businessId }).session(session);
+  return {
+    offsets: settings && settings.offsets.length ? settings.offsets : DEFAULT_OFFSETS,
+    questions: settings && settings.questions.length ? settings.questions : DEFAULT_QUESTIONS,
+    isDefault: !settings
+  };
+};
+
+/**
+ * Settings fields from a request body, checked. Returns { fields } or
+ * { error }; offsets come back sorted by days.
+ */
+const settingsFieldsFrom = (body) => {
+  const { offsets } = body;
+  if (!Array.isArray(offsets) || offsets.length === 0 || offsets.length > MAX_OFFSETS) {
+    return { error: `offsets must list 1 to ${MAX_OFFSETS} check-ins` };
+  }
+  const checked = [];
+  for (const [index, offset] of offsets.entries()) {
+    const days = Number(offset && offset.days);
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+      return { error: `offsets[${index}].days must be a whole number from 1 to 3650` };
+    }
+    if (checked.some(other => other.days === days)) {
+      return { error: `offsets[${index}] repeats ${days} days` };
+    }
+    const label = typeof offset.label === 'string' && offset.label.trim() ? offset.label.trim() : `${days} days`;
+    checked.push({ label, days });
+  }
+
+  const { questions, error } = questionsFrom(body.questions);
+  if (error) return { error };
+
+  return { fields: { offsets: checked.sort((a, b) => a.days - b.days), questions } };
+};
+
+/**
+ * Schedule the shelter's check-ins for an adoption completed at adoptedAt.
+ * Pass a session to take part in a transaction.
+ */
+const scheduleCheckIns = async ({ pet, adopter, business, adoptionRequest, adoptedAt }, session = null) => {
+  const { offsets, questions } = await settingsFor(business, session);
+  const snapshot = questions.map(question => (question.toObject ? question.toObject() : question));
+  return CheckIn.insertMany(offsets.map(offset => ({
+    pet,
+    adopter,
+    business,
+    adoptionRequest,
+    label: offset.label,
+    offsetDays: offset.days,
+    dueAt: new Date(adoptedAt.getTime() + offset.days * DAY_MS),
+    questions: snapshot
+  })), { session });
+};
+
+// Cancel a pet's outstanding check-ins, e.g. once it has been returned
+const cancelCheckIns = (petId, session = null) => CheckIn.updateMany(
+  { pet: petId, status: 'scheduled' },
+  { status: 'cancelled' },
+  { session }
+);
+
+const opensAt = (checkIn) => new Date(checkIn.dueAt.getTime() - CHECK_IN_OPENS_DAYS_BEFORE * DAY_MS);
+const overdueFrom = (checkIn) => new Date(checkIn.dueAt.getTime() + CHECK_IN_GRACE_DAYS * DAY_MS);
+
+// Where a check-in stands: upcoming, open, overdue, submitted or cancelled
+const CHECK_IN_STATES = ['upcoming', 'open', 'overdue', 'submitted', 'cancelled'];
+
+const checkInState = (checkIn, now = new Date()) => {
+  if (checkIn.status !== 'scheduled') return checkIn.status;
+  if (now >= overdueFrom(checkIn)) return 'overdue';
+  return now >= opensAt(checkIn) ? 'open' : 'upcoming';
+};
+
+// Query conditions matching the check-ins in one of CHECK_IN_STATES
+const checkInStateFilter = (state, now = new Date()) => {
+  const overdueBefore = new Date(now.getTime() - CHECK_IN_GRACE_DAYS * DAY_MS);
+  const openBefore = new Date(now.getTime() + CHECK_IN_OPENS_DAYS_BEFORE * DAY_MS);
+  switch (state) {
+    case 'overdue':
+      return { status: 'scheduled', dueAt: { $lte: overdueBefore } };
+    case 'open':
+      return { status: 'scheduled', dueAt: { $gt: overdueBefore, $lte: openBefore } };
+    case 'upcoming':
+      return { status: 'scheduled', dueAt: { $gt: openBefore } };
+    default:
+      return { status: state };
+  }
+};
+
+/**
+ * Remind adopters of check-ins that have come due and flag those still
+ * missing after the grace period to the shelter. Each is only sent once,
+ * even with several server instances running the job.
+ * Returns { reminded, flagged }.
+ */
+const processDueCheckIns = async (now = new Date()) => {
+  const due = await CheckIn.find({ status: 'scheduled', reminderSentAt: null, dueAt: { $lte: now } })
+    .populate('pet', 'name')
+    .setOptions({ populateMedia: false });
+  const reminded = await processEach(due, 'Check-in reminder', async (checkIn) => {
+    checkIn.reminderSentAt = now;
+    if (!await saveIfStill(checkIn, { status: 'scheduled', reminderSentAt: null })) return false;
+    await Notification.create({
+      user: checkIn.adopter,
+      type: 'check_in_due',
+      message: `Time for the ${checkIn.label} check-in: let the shelter know how ${checkIn.pet ? checkIn.pet.name : 'your pet'} is doing.`,
+      pet: checkIn.pet ? checkIn.pet._id : null
+    });
+    return true;
+  });
+
+  const overdue = await CheckIn.find({
+    status: 'scheduled',
+    overdueAt: null,
+    dueAt: { $lte: new Date(now.getTime() - CHECK_IN_GRACE_DAYS * DAY_MS) }
+  })
+    .populate('pet', 'name')
+    .populate('adopter', 'name')
+    .setOptions({ populateMedia: false });
+  const flagged = await processEach(overdue, 'Overdue check-in', async (checkIn) => {
+    checkIn.overdueAt = now;
+    if (!await saveIfStill(checkIn, { status: 'scheduled', overdueAt: null })) return false;
+    await Notification.create({
+      user: checkIn.business,
+      type: 'check_in_overdue',
+      message: `The ${checkIn.label} check-in for ${checkIn.pet ? checkIn.pet.name : 'an adopted pet'}` +
+        `${checkIn.adopter ? ` from ${checkIn.adopter.name}` : ''} is overdue.`,
+      pet: checkIn.pet ? checkIn.pet._id : null
+    });
+    return true;
+  });
+
+  return { reminded, flagged };
+};
+
+// Process check-ins now and then every CHECK_IN_JOB_INTERVAL_MINUTES in this process
+const startCheckInJob = () => {
+  const run = async () => {
+    try {
+      const { reminded, flagged } = await processDueCheckIns();
+      if (reminded || flagged) {
+        console.log('Check-ins processed:', { reminded, flagged });
+      }
+    } catch (error) {
+      console.error('Check-in job error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_IN_JOB_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+const emptyTally = () => ({ due: 0, submittedOnTime: 0, submittedLate: 0, overdue: 0, awaiting: 0, complianceRate: null });
+
+const addToTally = (tally, checkIn, now) => {
+  tally.due += 1;
+  if (checkIn.status === 'submitted') {
+    if (checkIn.submittedAt <= overdueFrom(checkIn)) tally.submittedOnTime += 1;
+    else tally.submittedLate += 1;
+  } else if (checkInState(checkIn, now) === 'overdue') {
+    tally.overdue += 1;
+  } else {
+    tally.awaiting += 1;
+  }
+};
+
+// Share of settled check-ins (submitted or overdue) that were submitted on time
+const finishTally = (tally) => {
+  const settled = tally.submittedOnTime + tally.submittedLate + tally.overdue;
+  tally.complianceRate = settled ? Math.round((tally.submittedOnTime / settled) * 1000) / 1000 : null;
+  return tally;
+};
+
+/**
+ * Follow-up compliance of a shelter's adopters for check-ins due between
+ * from and to: totals, a breakdown by check-in (e.g. "1 month") and the
+ * check-ins that are overdue now. Cancelled check-ins are left out.
+ */
+const complianceReport = async (businessId, { from, to }, now = new Date()) => {
+  const until = new Date(Math.min(to.getTime(), now.getTime()));
+  const checkIns = await CheckIn.find({
+    business: businessId,
+    status: { $ne: 'cancelled' },
+    dueAt: { $gte: from, $lte: until }
+  })
+    .populate('pet', 'name')
+    .populate('adopter', 'name email')
+    .setOptions({ populateMedia: false })
+    .sort({ dueAt: 1 });
+
+  const totals = emptyTally();
+  const byOffset = new Map();
+  const overdue = [];
+  checkIns.forEach(checkIn => {
+    addToTally(totals, checkIn, now);
+    if (!byOffset.has(checkIn.offsetDays)) {
+      byOffset.set(checkIn.offsetDays, { label: checkIn.label, days: checkIn.offsetDays, ...emptyTally() });
+    }
+    addToTally(byOffset.get(checkIn.offsetDays), checkIn, now);
+    if (checkInState(checkIn, now) === 'overdue') {
+      overdue.push({
+        _id: checkIn._id,
+        label: checkIn.label,
+        dueAt: checkIn.dueAt,
+        pet: checkIn.pet,
+        adopter: checkIn.adopter
+      });
+    }
+  });
+
+  return {
+    range: { from, to: until },
+    graceDays: CHECK_IN_GRACE_DAYS,
+    totals: finishTally(totals),
+    byOffset: [...byOffset.values()].sort((a, b) => a.days - b.days).map(finishTally),
+    overdue
+  };
+};
+
+module.exports = {
+  CHECK_IN_GRACE_DAYS,
+  DEFAULT_OFFSETS,
+  DEFAULT_QUESTIONS,
+  settingsFor,
+  settingsFieldsFrom,
+  scheduleCheckIns,
+  cancelCheckIns,
+  CHECK_IN_STATES,
+  opensAt,
+  checkInState,
+  checkInStateFilter,
+  processDueCheckIns,
+  startCheckInJob,
+  complianceReport
+};
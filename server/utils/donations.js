@@ -0,0 +1,70 @@
+const Campaign = require('../models/Campaign');
+const Donation = require('../models/Donation');
+const Notification = require('../models/Notification');
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toFixed(2)}`;
+
+// "PH-2026-1A2B3C4D": year plus the end of the donation id
+const receiptNumberFor = (donationId, date) =>
+  `PH-${date.getUTCFullYear()}-${donationId.toString().slice(-8).toUpperCase()}`;
+
+/**
+ * Record the outcome of a donation's payment. Only pending donations change,
+ * so repeated webhook calls are harmless. A success adds the amount to the
+ * campaign totals and tells the shelter. Returns the updated donation, or
+ * null when it was already settled.
+ */
+const settleDonation = async (donationId, { status, failureReason }) => {
+  if (status === 'pending') return null;
+
+  const now = new Date();
+  const update = status === 'succeeded'
+    ? { status, completedAt: now, receiptNumber: receiptNumberFor(donationId, now) }
+    : { status: 'failed', failureReason: failureReason || 'Payment failed', completedAt: now };
+
+  const donation = await Donation.findOneAndUpdate(
+    { _id: donationId, status: 'pending' },
+    update,
+    { new: true }
+  );
+  if (!donation) return null;
+
+  if (donation.status === 'succeeded') {
+    const campaign = await Campaign.findByIdAndUpdate(
+      donation.campaign,
+      { $inc: { raisedAmount: donation.amount, donationCount: 1 } },
+      { new: true }
+    );
+    if (campaign) {
+      const from = donation.anonymous ? 'An anonymous donor' : (donation.donorName || 'Someone');
+      await Notification.create({
+        user: campaign.shelter,
+        type: 'donation_received',
+        message: `${from} donated ${formatAmount(donation.amount, donation.currency)} to "${campaign.title}".`
+      });
+    }
+  }
+  return donation;
+};
+
+// Plain-text receipt for a succeeded donation
+const receiptText = (donation, campaign, shelter) => [
+  'PawsHearts donation receipt',
+  '',
+  `Receipt number: ${donation.receiptNumber}`,
+  `Date: ${donation.completedAt.toISOString().slice(0, 10)}`,
+  `Donor: ${donation.donorName || 'Guest'}${donation.donorEmail ? ` <${donation.donorEmail}>` : ''}`,
+  `Amount: ${formatAmount(donation.amount, donation.currency)}`,
+  `Campaign: ${campaign.title}`,
+  `Recipient: ${shelter ? (shelter.businessName || shelter.name) : 'Shelter'}`,
+  `Payment reference: ${donation.provider} ${donation.providerPaymentId}`,
+  '',
+  'Thank you for supporting animals in need.',
+  ''
+].join('\n');
+
+module.exports = {
+  formatAmount,
+  settleDonation,
+  receiptText
+};
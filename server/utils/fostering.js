@@ -0,0 +1,32 @@
+const FosterPlacement = require('../models/FosterPlacement');
+const Notification = require('../models/Notification');
+
+/**
+ * End a pet's active foster placement, if it has one, and clear it from the
+ * pet. The caller saves the pet. Pass a session to take part in a transaction.
+ * Returns the ended placement or null.
+ */
+const endFosterPlacement = async (pet, { reason, endDate = new Date(), session = null } = {}) => {
+  if (!pet.fosterPlacement) return null;
+
+  const placement = await FosterPlacement.findOne({ _id: pet.fosterPlacement, status: 'active' }).session(session);
+  pet.fosterPlacement = null;
+  if (!placement) return null;
+
+  placement.status = 'ended';
+  placement.endDate = endDate;
+  placement.endReason = reason;
+  await placement.save();
+
+  await Notification.create([{
+    user: placement.carer,
+    type: 'foster_placement',
+    message: `Your foster placement for ${pet.name} has ended${reason ? `: ${reason}` : ''}.`,
+    pet: pet._id
+  }], { session });
+  return placement;
+};
+
+module.exports = {
+  endFosterPlacement
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline US ZIP code centroids (US Census Bureau ZCTA gazetteer, public domain)
+const CENTROIDS_FILE = path.join(__dirname, '../data/us-zip-centroids.csv');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+let centroids = null;
+
+// Load the dataset on first use; it is ~34k rows and only needed for geo features
+const loadCentroids = () => {
+  if (centroids) return centroids;
+
+  centroids = new Map();
+  const lines = fs.readFileSync(CENTROIDS_FILE, 'utf8').split('\n');
+  lines.slice(1).forEach(line => {
+    const [zip, lat, lng] = line.split(',');
+    if (zip) {
+      centroids.set(zip, { lat: parseFloat(lat), lng: parseFloat(lng) });
+    }
+  });
+  return centroids;
+};
+
+// Reduce "12345-6789" or " 12345 " to "12345"
+const normalizePostalCode = (value) => {
+  if (!value) return null;
+  const match = String(value).trim().match(/^(\d{5})(?:-\d{4})?$/);
+  return match ? match[1] : null;
+};
+
+// Pull a trailing ZIP code out of a free-text address line
+const postalCodeFromAddress = (address) => {
+  if (!address) return null;
+  const match = String(address).match(/\b(\d{5})(?:-\d{4})?\s*$/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Look up the centroid of a postal code as a GeoJSON Point, or null when unknown.
+ */
+const lookupPostalCode = (value) => {
+  const zip = normalizePostalCode(value);
+  if (!zip) return null;
+
+  const centroid = loadCentroids().get(zip);
+  if (!centroid) return null;
+
+  return { type: 'Point', coordinates: [centroid.lng, centroid.lat] };
+};
+
+/**
+ * Geocode a user's address fields. The zipCode field wins; a ZIP at the end
+ * of the address line is used as a fallback.
+ */
+const geocodeAddress = ({ zipCode, address }) => {
+  return lookupPostalCode(zipCode) || lookupPostalCode(postalCodeFromAddress(address));
+};
+
+// Great-circle distance between two GeoJSON points, in kilometres
+const distanceKm = (from, to) => {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  normalizePostalCode,
+  lookupPostalCode,
+  geocodeAddress,
+  distanceKm
+};
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { Jimp } = require('jimp');
+
+// Standard sizes produced for every uploaded image
+const IMAGE_SIZES = {
+  thumbnail: { width: 200, height: 200, crop: true },
+  card: { width: 480, height: 480 },
+  full: { width: 1600, height: 1600 }
+};
+
+const IMAGE_FORMATS = {
+  webp: { contentType: 'image/webp', quality: 80 },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', quality: 82 }
+};
+
+// The full-size JPEG is an image's primary file; the other variants are
+// named after it by swapping the suffix
+const PRIMARY_SIZE = 'full';
+const PRIMARY_FORMAT = 'jpeg';
+
+const extensionFor = (format) => IMAGE_FORMATS[format].extension || format;
+
+const variantFilename = (baseName, size, format) => `${baseName}-${size}.${extensionFor(format)}`;
+
+const PRIMARY_SUFFIX = `-${PRIMARY_SIZE}.${extensionFor(PRIMARY_FORMAT)}`;
+
+// Largest image accepted, in pixels. A decoded image takes 4 bytes per pixel,
+// so a small but highly compressed file could otherwise exhaust memory.
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS, 10) || 40e6;
+
+// Uploads are processed by this many worker threads so the API stays responsive
+const IMAGE_WORKERS = parseInt(process.env.IMAGE_WORKERS, 10) || Math.max(1, os.cpus().length - 1);
+
+// The WebP codec is WebAssembly shipped as ESM, so load it once on first use.
+// The .wasm files are compiled from disk because Node's fetch cannot read file:// URLs.
+let webpCodec = null;
+const loadWebpCodec = () => {
+  if (!webpCodec) {
+    webpCodec = (async () => {
+      const codecDir = path.dirname(require.resolve('@jsquash/webp/package.json'));
+      const compile = file => WebAssembly.compile(fs.readFileSync(path.join(codecDir, file)));
+      const [encoder, decoder] = await Promise.all([
+        import('@jsquash/webp/encode.js'),
+        import('@jsquash/webp/decode.js')
+      ]);
+      await encoder.init(await compile('codec/enc/webp_enc_simd.wasm'));
+      await decoder.init(await compile('codec/dec/webp_dec.wasm'));
+      return { encode: encoder.default, decode: decoder.default };
+    })();
+  }
+  return webpCodec;
+};
+
+const isWebp = (buffer) => buffer.length > 12 &&
+  buffer.toString('ascii', 0, 4) === 'RIFF' &&
+  buffer.toString('ascii', 8, 12) === 'WEBP';
+
+// JPEG start-of-frame markers; the others (DHT, JPG, DAC) share the range
+const isJpegFrameMarker = (marker) => marker >= 0xc0 && marker <= 0xcf &&
+  ![0xc4, 0xc8, 0xcc].includes(marker);
+
+/**
+ * Read an image's width and height from its header without decoding it.
+ * Handles JPEG, PNG, GIF and WebP; returns null for anything else.
+ */
+const readImageSize = (buffer) => {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (isWebp(buffer) && buffer.length >= 30) {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 <= buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset += 1;
+      } else if (isJpegFrameMarker(marker)) {
+        return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+        offset += 2;
+      } else {
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  }
+  return null;
+};
+
+// Refuse images that cannot be recognised or are too large to decode safely
+const checkImageSize = (buffer) => {
+  const size = readImageSize(buffer);
+  if (!size || !size.width || !size.height) {
+    throw new Error('Unsupported or damaged image');
+  }
+  if (size.width * size.height > MAX_IMAGE_PIXELS) {
+    throw new Error(`Images can have at most ${Math.floor(MAX_IMAGE_PIXELS / 1e6)} megapixels`);
+  }
+  return size;
+};
+
+// Decode an upload into a Jimp image. Jimp applies the EXIF orientation while
+// reading, and only pixels are kept, so EXIF/GPS metadata never reaches the output.
+const decodeImage = async (buffer) => {
+  checkImageSize(buffer);
+  if (isWebp(buffer)) {
+    const { decode } = await loadWebpCodec();
+    const imageData = await decode(buffer);
+    return new Jimp({
+      data: Buffer.from(imageData.data.buffer),
+      width: imageData.width,
+      height: imageData.height
+    });
+  }
+  return Jimp.read(buffer);
+};
+
+// Resize without ever enlarging the source
+const resizeForSize = (image, { width, height, crop }) => {
+  const resized = image.clone();
+  if (crop) {
+    const side = Math.min(width, resized.bitmap.width, resized.bitmap.height);
+    return resized.cover({ w: side, h: side });
+  }
+  if (resized.bitmap.width > width || resized.bitmap.height > height) {
+    resized.scaleToFit({ w: width, h: height });
+  }
+  return resized;
+};
+
+const encodeImage = async (image, format) => {
+  const { quality } = IMAGE_FORMATS[format];
+
+  if (format === 'webp') {
+    const { encode } = await loadWebpCodec();
+    const { data, width, height } = image.bitmap;
+    const pixels = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+    return Buffer.from(await encode({ data: pixels, width, height }, { quality }));
+  }
+
+  // JPEG has no alpha channel, so flatten transparent images onto white
+  const background = new Jimp({ width: image.bitmap.width, height: image.bitmap.height, color: 0xffffffff });
+  background.composite(image, 0, 0);
+  return background.getBuffer('image/jpeg', { quality });
+};
+
+// Decode, resize and encode an image on the current thread. Uploads go
+// through processImage, which runs this on a worker thread.
+const renderImage = async (buffer) => {
+  const image = await decodeImage(buffer);
+  const variants = [];
+
+  for (const [size, dimensions] of Object.entries(IMAGE_SIZES)) {
+    const resized = resizeForSize(image, dimensions);
+    for (const format of Object.keys(IMAGE_FORMATS)) {
+      variants.push({
+        size,
+        format,
+        contentType: IMAGE_FORMATS[format].contentType,
+        width: resized.bitmap.width,
+        height: resized.bitmap.height,
+        buffer: await encodeImage(resized, format)
+      });
+    }
+  }
+
+  return { width: image.bitmap.width, height: image.bitmap.height, variants };
+};
+
+// Worker threads shared by every upload. Jobs wait in order for an idle
+// worker; a worker only keeps the process alive while it has a job.
+const workers = new Set();
+const idleWorkers = [];
+const pendingJobs = [];
+
+// Buffers come back from a worker as plain Uint8Arrays
+const toBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+
+const settleJob = (worker, error, result) => {
+  const { job } = worker;
+  worker.job = null;
+  if (!job) return;
+  if (error) job.reject(error);
+  else job.resolve(result);
+};
+
+const startWorker = () => {
+  const worker = new Worker(path.join(__dirname, 'imageWorker.js'));
+  workers.add(worker);
+
+  worker.on('message', ({ error, result }) => {
+    settleJob(worker, error ? new Error(error) : null, result && {
+      ...result,
+      variants: result.variants.map(variant => ({ ...variant, buffer: toBuffer(variant.buffer) }))
+    });
+    worker.unref();
+    idleWorkers.push(worker);
+    runPendingJobs();
+  });
+  // A crashed worker fails its job; a new one is started for the next job
+  worker.on('error', error => settleJob(worker, error));
+  worker.on('exit', () => {
+    workers.delete(worker);
+    if (idleWorkers.includes(worker)) idleWorkers.splice(idleWorkers.indexOf(worker), 1);
+    settleJob(worker, new Error('Image worker stopped unexpectedly'));
+    runPendingJobs();
+  });
+  return worker;
+};
+
+const runPendingJobs = () => {
+  while (pendingJobs.length > 0) {
+    const worker = idleWorkers.pop() || (workers.size < IMAGE_WORKERS ? startWorker() : null);
+    if (!worker) return;
+    worker.job = pendingJobs.shift();
+    worker.ref();
+    worker.postMessage(worker.job.buffer);
+  }
+};
+
+/**
+ * Process an uploaded image into every standard size and format on a worker
+ * thread. Images that are not recognised or exceed MAX_IMAGE_PIXELS are
+ * refused from their header before anything is decoded.
+ * Returns { width, height, variants: [{ size, format, contentType, width, height, buffer }] }
+ * where width/height are those of the orientation-corrected original.
+ */
+const processImage = (buffer) => new Promise((resolve, reject) => {
+  checkImageSize(buffer);
+  pendingJobs.push({ buffer, resolve, reject });
+  runPendingJobs();
+});
+
+/**
+ * Every file that belongs to a stored image: all of its variants, or just the
+ * file itself for images uploaded before the pipeline existed.
+ */
+const variantFilenames = (primaryFilename) => {
+  if (!primaryFilename || !primaryFilename.endsWith(PRIMARY_SUFFIX)) {
+    return primaryFilename ? [primaryFilename] : [];
+  }
+  const baseName = primaryFilename.slice(0, -PRIMARY_SUFFIX.length);
+  return Object.keys(IMAGE_SIZES).flatMap(size =>
+    Object.keys(IMAGE_FORMATS).map(format => variantFilename(baseName, size, format))
+  );
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  IMAGE_FORMATS,
+  MAX_IMAGE_PIXELS,
+  PRIMARY_SIZE,
+  PRIMARY_FORMAT,
+  variantFilename,
+  variantFilenames,
+  readImageSize,
+  decodeImage,
+  renderImage,
+  processImage
+};
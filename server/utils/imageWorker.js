@@ -0,0 +1,12 @@
+const { parentPort } = require('worker_threads');
+const { renderImage } = require('./imagePipeline');
+
+// Runs renderImage for the pool in imagePipeline.processImage, one image at a time
+parentPort.on('message', async (bytes) => {
+  try {
+    const result = await renderImage(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length));
+    parentPort.postMessage({ result });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
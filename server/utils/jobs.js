@@ -0,0 +1,44 @@
+// Helpers for the background jobs every server instance runs on a timer
+// (listing lifecycle, report expiry, check-in reminders, adoption offers)
+
+/**
+ * Save a job's change to `doc` only if the stored document still matches
+ * `condition`. When several instances run the same job, only the first one
+ * to save makes each change and sends the notifications that follow it.
+ * Returns false when another instance, or a user, got there first.
+ */
+const saveIfStill = async (doc, condition) => {
+  doc.$where = condition;
+  try {
+    await doc.save();
+    return true;
+  } catch (error) {
+    // Mongoose reports a save that matched nothing as one of these
+    if (['DocumentNotFoundError', 'VersionError'].includes(error.name)) return false;
+    throw error;
+  } finally {
+    doc.$where = undefined;
+  }
+};
+
+/**
+ * Run `handle` for each item of a job pass. An item that fails is logged and
+ * skipped, so it cannot stop the rest of the pass. Returns how many items
+ * `handle` returned true for.
+ */
+const processEach = async (items, label, handle) => {
+  let handled = 0;
+  for (const item of items) {
+    try {
+      if (await handle(item)) handled += 1;
+    } catch (error) {
+      console.error(`${label} failed for ${item._id}:`, error);
+    }
+  }
+  return handled;
+};
+
+module.exports = {
+  saveIfStill,
+  processEach
+};
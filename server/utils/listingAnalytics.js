@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ListingEvent = require('../models/ListingEvent');
+const { LISTING_EVENT_TYPES } = require('../models/ListingEvent');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Signed-in viewers are identified by user id, anonymous ones by a hash of
+// their IP address and user agent, so the raw values are never stored
+const viewerKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+  return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 32)}`;
+};
+
+/**
+ * Record an analytics event for a pet ({ _id, seller }). Failures are only
+ * logged so they never fail the request that triggered them.
+ */
+const recordListingEvent = async (pet, type) => {
+  try {
+    await ListingEvent.create({ pet: idOf(pet), seller: idOf(pet.seller), type });
+  } catch (error) {
+    console.error(`Error recording ${type} event:`, error);
+  }
+};
+
+// Count a detail view, at most once per viewer per pet per UTC day
+const recordPetView = async (pet, req) => {
+  const day = new Date().toISOString().slice(0, 10);
+  const dedupeKey = `${pet._id}:${viewerKey(req)}:${day}`;
+  try {
+    await ListingEvent.updateOne(
+      { dedupeKey },
+      { $setOnInsert: { pet: pet._id, seller: idOf(pet.seller), type: 'view', createdAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent request already counted this view
+    if (error.code !== 11000) {
+      console.error('Error recording view event:', error);
+    }
+  }
+};
+
+// ISO week label matching MongoDB's %G-W%V
+const isoWeek = (date) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+const periodLabel = (date, interval) => {
+  if (interval === 'week') return isoWeek(date);
+  const iso = date.toISOString();
+  return interval === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+};
+
+// Every period label from `from` to `to`, so the series has no gaps
+const periodLabels = (from, to, interval) => {
+  const labels = [];
+  for (let time = from.getTime(); time < to.getTime(); time += DAY_MS) {
+    const label = periodLabel(new Date(time), interval);
+    if (labels[labels.length - 1] !== label) labels.push(label);
+  }
+  return labels;
+};
+
+const emptyCounts = () => Object.fromEntries(LISTING_EVENT_TYPES.map(type => [type, 0]));
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : null);
+
+// views → requests → approved → adopted, with the conversion between each step
+const funnelFrom = (counts) => ({
+  views: counts.view,
+  requests: counts.request,
+  approved: counts.approval,
+  adopted: counts.adoption,
+  conversion: {
+    viewToRequest: rate(counts.request, counts.view),
+    requestToApproved: rate(counts.approval, counts.request),
+    approvedToAdopted: rate(counts.adoption, counts.approval),
+    viewToAdopted: rate(counts.adoption, counts.view)
+  }
+});
+
+const averageDays = (durations) => ({
+  count: durations.length,
+  averageDays: durations.length
+    ? Math.round((durations.reduce((sum, days) => sum + days, 0) / durations.length) * 10) / 10
+    : null
+});
+
+// Days from publishing to adoption for adoptions in the range, grouped by type and breed
+const timeToAdoption = async (match) => {
+  const adoptions = await ListingEvent.find({ ...match, type: 'adoption' })
+    .populate('pet', 'type breed publishedAt createdAt');
+
+  const all = [];
+  const byType = new Map();
+  const byBreed = new Map();
+  adoptions.filter(event => event.pet).forEach(event => {
+    const listedAt = event.pet.publishedAt || event.pet.createdAt;
+    const days = (event.createdAt - listedAt) / DAY_MS;
+    const type = (event.pet.type || '').toLowerCase();
+    const breedKey = `${type}|${(event.pet.breed || '').toLowerCase()}`;
+    all.push(days);
+    byType.set(type, [...(byType.get(type) || []), days]);
+    byBreed.set(breedKey, [...(byBreed.get(breedKey) || []), days]);
+  });
+
+  return {
+    overall: averageDays(all),
+    byType: [...byType].map(([type, days]) => ({ type, ...averageDays(days) })),
+    byBreed: [...byBreed].map(([key, days]) => {
+      const [type, breed] = key.split('|');
+      return { type, breed, ...averageDays(days) };
+    })
+  };
+};
+
+/**
+ * Analytics for a seller's listings between `from` and `to`: totals, a time
+ * series per interval (day | week | month), the adoption funnel, per-pet
+ * totals and average time to adoption. Pass petId to limit it to one pet.
+ */
+const sellerAnalytics = async (sellerId, { from, to, interval, petId }) => {
+  const match = {
+    seller: new mongoose.Types.ObjectId(sellerId.toString()),
+    createdAt: { $gte: from, $lt: to }
+  };
+  if (petId) match.pet = new mongoose.Types.ObjectId(petId.toString());
+
+  const [byPeriod, byPet] = await Promise.all([
+    ListingEvent.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { period: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$createdAt' } }, type: '$type' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    ListingEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { pet: '$pet', type: '$type' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const totals = emptyCounts();
+  const series = new Map(periodLabels(from, to, interval).map(label => [label, emptyCounts()]));
+  byPeriod.forEach(({ _id, count }) => {
+    if (!series.has(_id.period)) series.set(_id.period, emptyCounts());
+    series.get(_id.period)[_id.type] += count;
+    totals[_id.type] += count;
+  });
+
+  const pets = new Map();
+  byPet.forEach(({ _id, count }) => {
+    const key = _id.pet.toString();
+    if (!pets.has(key)) pets.set(key, emptyCounts());
+    pets.get(key)[_id.type] += count;
+  });
+
+  return {
+    range: { from, to, interval },
+    totals,
+    series: [...series]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, counts]) => ({ period, ...counts })),
+    funnel: funnelFrom(totals),
+    pets: [...pets].map(([pet, counts]) => ({ pet, totals: counts, funnel: funnelFrom(counts) })),
+    timeToAdoption: await timeToAdoption(match)
+  };
+};
+
+module.exports = {
+  PERIOD_FORMATS,
+  recordListingEvent,
+  recordPetView,
+  sellerAnalytics
+};
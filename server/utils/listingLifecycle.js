@@ -0,0 +1,132 @@
+const Pet = require('../models/Pet');
+const Notification = require('../models/Notification');
+const { notifySavedSearches } = require('./savedSearchAlerts');
+const { saveIfStill, processEach } = require('./jobs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a published listing stays up without renewal, and how long before
+// that the seller is warned
+const LISTING_EXPIRY_DAYS = Number(process.env.LISTING_EXPIRY_DAYS) || 60;
+const LISTING_EXPIRY_WARNING_DAYS = Number(process.env.LISTING_EXPIRY_WARNING_DAYS) || 7;
+const LISTING_JOB_INTERVAL_MINUTES = Number(process.env.LISTING_JOB_INTERVAL_MINUTES) || 60;
+
+const expiryDateFrom = (date = new Date()) => new Date(date.getTime() + LISTING_EXPIRY_DAYS * DAY_MS);
+
+// Put a listing live now with a full expiry period. context is recorded in
+// the status history ({ actor, reason }).
+const publishPet = (pet, now = new Date(), context = {}) => {
+  pet.setStatus('available', { reason: 'Listing published', ...context });
+  pet.publishAt = null;
+  pet.publishedAt = now;
+  pet.expiresAt = expiryDateFrom(now);
+  pet.expiryWarningSentAt = null;
+  pet.archivedAt = null;
+};
+
+// Start a new expiry period, bringing an archived listing back
+const renewPet = (pet, now = new Date(), context = {}) => {
+  pet.setStatus('available', { reason: 'Listing renewed', ...context });
+  pet.expiresAt = expiryDateFrom(now);
+  pet.expiryWarningSentAt = null;
+  pet.archivedAt = null;
+};
+
+/**
+ * Reasons a pet cannot be published yet: the schema's validation errors for a
+ * live listing plus the API's birth date requirement. Empty when it can.
+ */
+const publishProblems = (pet) => {
+  const status = pet.status;
+  pet.status = 'available';
+  const error = pet.validateSync();
+  pet.status = status;
+
+  const problems = error ? Object.values(error.errors).map(err => err.message) : [];
+  if (!pet.birthDate) problems.push('Path `birthDate` is required.');
+  return problems;
+};
+
+const notify = (pet, type, message) => Notification.create({ user: pet.seller, type, message, pet: pet._id });
+
+/**
+ * One pass of the listing lifecycle job: publish scheduled listings that are
+ * due, warn sellers about listings close to expiry and archive expired ones.
+ * Each listing is only changed if it still qualifies when it is saved, so
+ * server instances running the job side by side handle it once.
+ * Returns how many listings were handled at each step.
+ */
+const runListingLifecycle = async (now = new Date()) => {
+  const due = await Pet.find({ status: 'scheduled', publishAt: { $lte: now } });
+  const published = await processEach(due, 'Publishing listing', async (pet) => {
+    const { publishAt } = pet;
+    publishPet(pet, now, { reason: 'Scheduled publish time reached' });
+    if (!await saveIfStill(pet, { status: 'scheduled', publishAt })) return false;
+    await notify(pet, 'listing_published', `Your listing for ${pet.name} is now live.`);
+    await notifySavedSearches(pet);
+    return true;
+  });
+
+  // Listings from before expiry existed get a full period rather than vanishing at once
+  await Pet.updateMany(
+    { status: 'available', expiresAt: null },
+    { $set: { expiresAt: expiryDateFrom(now) } }
+  );
+
+  const expiring = await Pet.find({
+    status: 'available',
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + LISTING_EXPIRY_WARNING_DAYS * DAY_MS) },
+    expiryWarningSentAt: null
+  });
+  const warned = await processEach(expiring, 'Listing expiry warning', async (pet) => {
+    pet.expiryWarningSentAt = now;
+    if (!await saveIfStill(pet, { status: 'available', expiresAt: pet.expiresAt, expiryWarningSentAt: null })) {
+      return false;
+    }
+    await notify(pet, 'listing_expiring',
+      `Your listing for ${pet.name} expires on ${pet.expiresAt.toDateString()}. Renew it to keep it visible.`);
+    return true;
+  });
+
+  const expired = await Pet.find({ status: 'available', expiresAt: { $lte: now } });
+  const archived = await processEach(expired, 'Archiving listing', async (pet) => {
+    pet.setStatus('archived', { reason: 'Listing expired' });
+    pet.archivedAt = now;
+    if (!await saveIfStill(pet, { status: 'available', expiresAt: { $lte: now } })) return false;
+    await notify(pet, 'listing_archived',
+      `Your listing for ${pet.name} has expired and was archived. Renew it to list it again.`);
+    return true;
+  });
+
+  return { published, warned, archived };
+};
+
+// Run the job now and then every LISTING_JOB_INTERVAL_MINUTES in this process
+const startListingLifecycleJob = () => {
+  const run = async () => {
+    try {
+      const result = await runListingLifecycle();
+      if (result.published || result.warned || result.archived) {
+        console.log('Listing lifecycle:', result);
+      }
+    } catch (error) {
+      console.error('Listing lifecycle job error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, LISTING_JOB_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  LISTING_EXPIRY_DAYS,
+  LISTING_EXPIRY_WARNING_DAYS,
+  expiryDateFrom,
+  publishPet,
+  renewPet,
+  publishProblems,
+  runListingLifecycle,
+  startListingLifecycleJob
+};
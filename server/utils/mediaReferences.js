@@ -0,0 +1,18 @@
+// Every document field that references Media, with the media kind it holds,
+// the storage folder its legacy bare filenames lived in and who owns it.
+// Used by maintenance scripts that have to find all image references.
+const MEDIA_REFERENCES = [
+  { collection: 'pets', field: 'images', many: true, kind: 'pet', folder: 'pets', owner: 'seller' },
+  { collection: 'blogs', field: 'image', kind: 'blog', folder: '', owner: 'author' },
+  { collection: 'posts', field: 'images', many: true, kind: 'post', folder: '', owner: 'author' },
+  { collection: 'users', field: 'profilePicture', kind: 'profile', folder: 'profiles', owner: '_id' },
+  { collection: 'communities', field: 'image', kind: 'community', folder: 'communities', owner: 'createdBy' },
+  { collection: 'messages', field: 'image', kind: 'message', folder: 'communities', owner: 'sender' },
+  { collection: 'petreports', field: 'images', many: true, kind: 'report', folder: 'reports', owner: 'reporter' },
+  { collection: 'fosterupdates', field: 'images', many: true, kind: 'foster', folder: 'fosters', owner: 'author' },
+  { collection: 'checkins', field: 'images', many: true, kind: 'checkin', folder: 'checkins', owner: 'adopter' }
+];
+
+module.exports = {
+  MEDIA_REFERENCES
+};
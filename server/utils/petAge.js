@@ -0,0 +1,222 @@
+const LIFE_STAGES = ['baby', 'young', 'adult', 'senior'];
+
+// Age in months at which each species enters young, adult and senior
+const LIFE_STAGE_THRESHOLDS = {
+  dog: { young: 6, adult: 24, senior: 96 },
+  cat: { young: 6, adult: 24, senior: 132 },
+  rabbit: { young: 3, adult: 12, senior: 72 },
+  bird: { young: 4, adult: 12, senior: 120 },
+  default: { young: 6, adult: 24, senior: 96 }
+};
+
+// Typical age used when only a stage word is known ("senior", "kitten", ...)
+const STAGE_WORDS = {
+  newborn: 'baby',
+  baby: 'baby',
+  puppy: 'baby',
+  kitten: 'baby',
+  young: 'young',
+  juvenile: 'young',
+  adolescent: 'young',
+  adult: 'adult',
+  senior: 'senior',
+  elderly: 'senior',
+  old: 'senior'
+};
+
+const UNIT_MONTHS = {
+  y: 12, yr: 12, yrs: 12, year: 12, years: 12,
+  m: 1, mo: 1, mos: 1, month: 1, months: 1,
+  w: 12 / 52, wk: 12 / 52, wks: 12 / 52, week: 12 / 52, weeks: 12 / 52,
+  d: 12 / 365, day: 12 / 365, days: 12 / 365
+};
+
+const MS_PER_MONTH = (365.25 / 12) * 24 * 60 * 60 * 1000;
+
+const thresholdsFor = (type) => {
+  const key = String(type || '').trim().toLowerCase();
+  return LIFE_STAGE_THRESHOLDS[key] || LIFE_STAGE_THRESHOLDS.default;
+};
+
+// Representative age for a stage: the middle of its range, or the start of senior
+const typicalAgeForStage = (stage, type) => {
+  const t = thresholdsFor(type);
+  switch (stage) {
+    case 'baby': return Math.round(t.young / 2);
+    case 'young': return Math.round((t.young + t.adult) / 2);
+    case 'adult': return Math.round((t.adult + t.senior) / 2);
+    default: return t.senior;
+  }
+};
+
+/**
+ * Parse a free-text age such as "2 years", "8 months", "1.5 yrs", "1 1/2 years",
+ * "2 years 3 months", "10 weeks" or "senior".
+ * Returns { months, estimated } or null when the text cannot be understood,
+ * including when it has numbers that are not part of an amount and unit.
+ */
+const parseAgeText = (text, type) => {
+  if (text === undefined || text === null) return null;
+  const value = String(text).trim().toLowerCase();
+  if (!value) return null;
+
+  // Fractions such as "1 1/2" or "3/4" become decimals
+  const decimal = value.replace(/(?:(\d+)\s+)?(\d+)\s*\/\s*(\d+)/g, (match, whole, numerator, denominator) => (
+    Number(denominator) ? String(Number(whole || 0) + Number(numerator) / Number(denominator)) : match
+  ));
+
+  // A bare number is taken to be years
+  if (/^\d+(\.\d+)?$/.test(decimal)) {
+    return { months: Math.round(parseFloat(decimal) * 12), estimated: false };
+  }
+
+  // Ranges such as "2-3 years" or "6 to 8 months" become their midpoint
+  const isRange = /\d\s*(-|to)\s*\d/.test(decimal);
+  const normalized = decimal.replace(
+    /(\d+(?:\.\d+)?)\s*(?:-|to)\s*(\d+(?:\.\d+)?)/g,
+    (match, from, to) => String((parseFloat(from) + parseFloat(to)) / 2)
+  );
+
+  const amountPattern = /(\d+(?:\.\d+)?)\+?\s*([a-z]+)/g;
+  const parts = [...normalized.matchAll(amountPattern)];
+  if (parts.length) {
+    // Any other number (e.g. "1,5 years") would be silently dropped
+    if (/\d/.test(normalized.replace(amountPattern, ''))) return null;
+    let months = 0;
+    for (const [, amount, unit] of parts) {
+      if (UNIT_MONTHS[unit] === undefined) return null;
+      months += parseFloat(amount) * UNIT_MONTHS[unit];
+    }
+    const estimated = isRange || /about|approx|around|estimated|~|\+/.test(value);
+    return { months: Math.round(months), estimated };
+  }
+
+  // A number without a unit is ambiguous, even next to a stage word
+  if (/\d/.test(normalized)) return null;
+
+  const word = Object.keys(STAGE_WORDS).find(w => new RegExp(`\\b${w}\\b`).test(value));
+  if (word) {
+    return { months: typicalAgeForStage(STAGE_WORDS[word], type), estimated: true };
+  }
+
+  return null;
+};
+
+// Whole months between a birth date and now
+const ageInMonths = (birthDate, now = new Date()) => {
+  if (!birthDate) return null;
+  return Math.max(0, Math.floor((now - new Date(birthDate)) / MS_PER_MONTH));
+};
+
+// Birth date for someone who is `months` old today
+const birthDateFromMonths = (months, now = new Date()) => {
+  return new Date(now.getTime() - months * MS_PER_MONTH);
+};
+
+const lifeStageFor = (months, type) => {
+  if (months === null || months === undefined) return null;
+  const t = thresholdsFor(type);
+  if (months < t.young) return 'baby';
+  if (months < t.adult) return 'young';
+  if (months < t.senior) return 'adult';
+  return 'senior';
+};
+
+// Age range in months [min, max) covered by a life stage for a species
+const monthsRangeForStage = (stage, type) => {
+  const t = thresholdsFor(type);
+  switch (stage) {
+    case 'baby': return [0, t.young];
+    case 'young': return [t.young, t.adult];
+    case 'adult': return [t.adult, t.senior];
+    default: return [t.senior, null];
+  }
+};
+
+/**
+ * MongoDB condition on birthDate for pets aged between minMonths and maxMonths
+ * (either may be null). maxMonths is inclusive of the whole month.
+ */
+const birthDateCondition = (minMonths, maxMonths, now = new Date()) => {
+  const condition = {};
+  if (minMonths !== null && minMonths !== undefined) {
+    condition.$lte = birthDateFromMonths(minMonths, now);
+  }
+  if (maxMonths !== null && maxMonths !== undefined) {
+    condition.$gt = birthDateFromMonths(maxMonths + 1, now);
+  }
+  return condition;
+};
+
+/**
+ * MongoDB condition for pets in any of the given life stages. Stages depend on
+ * species, so each known species gets its own birthDate range.
+ */
+const lifeStageCondition = (stages, now = new Date()) => {
+  const knownTypes = Object.keys(LIFE_STAGE_THRESHOLDS).filter(t => t !== 'default');
+  const clauses = [];
+
+  const rangeFor = (stage, type) => {
+    const [min, max] = monthsRangeForStage(stage, type);
+    const condition = { $lte: birthDateFromMonths(min, now) };
+    if (max !== null) condition.$gt = birthDateFromMonths(max, now);
+    return condition;
+  };
+
+  stages.forEach(stage => {
+    knownTypes.forEach(type => {
+      clauses.push({ type: new RegExp(`^${type}$`, 'i'), birthDate: rangeFor(stage, type) });
+    });
+    clauses.push({
+      type: { $nin: knownTypes.map(t => new RegExp(`^${t}$`, 'i')) },
+      birthDate: rangeFor(stage, 'default')
+    });
+  });
+
+  return { $or: clauses };
+};
+
+/**
+ * Work out birthDate/ageIsEstimate from request fields. Accepts, in order of
+ * preference, birthDate, ageMonths (an estimate) or the legacy free-text age.
+ * Returns null when none of them were sent, or { error } when they are invalid.
+ */
+const resolveAgeFields = (body, type) => {
+  if (body.birthDate) {
+    const birthDate = new Date(body.birthDate);
+    if (Number.isNaN(birthDate.getTime()) || birthDate > new Date()) {
+      return { error: 'birthDate must be a valid date in the past' };
+    }
+    return { birthDate, ageIsEstimate: false };
+  }
+
+  if (body.ageMonths !== undefined && body.ageMonths !== '') {
+    const months = Number(body.ageMonths);
+    if (!Number.isFinite(months) || months < 0) {
+      return { error: 'ageMonths must be a non-negative number' };
+    }
+    return { birthDate: birthDateFromMonths(months), ageIsEstimate: true };
+  }
+
+  if (body.age) {
+    const parsed = parseAgeText(body.age, type);
+    if (!parsed) {
+      return { error: `Could not understand age "${body.age}". Use e.g. "2 years" or "8 months"` };
+    }
+    return { birthDate: birthDateFromMonths(parsed.months), ageIsEstimate: true, age: body.age };
+  }
+
+  return null;
+};
+
+module.exports = {
+  LIFE_STAGES,
+  LIFE_STAGE_THRESHOLDS,
+  parseAgeText,
+  ageInMonths,
+  birthDateFromMonths,
+  lifeStageFor,
+  birthDateCondition,
+  lifeStageCondition,
+  resolveAgeFields
+};
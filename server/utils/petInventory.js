@@ -0,0 +1,212 @@
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const { resolveAgeFields } = require('./petAge');
+
+// Columns of the seller inventory spreadsheet, shared by import and export so
+// an exported file can be edited and imported again. Rows with an id update
+// that pet; rows without one create a new pet.
+const INVENTORY_COLUMNS = [
+  'id', 'name', 'type', 'breed', 'birthDate', 'ageIsEstimate', 'gender', 'price',
+  'description', 'healthInfo', 'requirements', 'status', 'publishAt',
+  'spayNeuterStatus', 'microchipNumber', 'vaccinations'
+];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Vaccinations are exported as a JSON array with every field, so an exported
+// file imports without losing anything. Hand-written files may instead use
+// "name|dateGiven|dueDate" entries separated by ";".
+const VACCINATION_TEXT_FIELDS = ['name', 'veterinarian', 'notes'];
+const VACCINATION_DATE_FIELDS = ['dateGiven', 'dueDate'];
+
+const formatVaccinations = (vaccinations = []) => (vaccinations.length === 0 ? '' : JSON.stringify(
+  vaccinations.map(v => ({
+    id: v._id ? v._id.toString() : undefined,
+    name: v.name,
+    dateGiven: v.dateGiven ? new Date(v.dateGiven).toISOString() : undefined,
+    dueDate: v.dueDate ? new Date(v.dueDate).toISOString() : undefined,
+    veterinarian: v.veterinarian || undefined,
+    notes: v.notes || undefined
+  }))
+));
+
+// Vaccination entries as given in the file, before their dates are checked
+const vaccinationEntries = (text) => {
+  if (!text.startsWith('[')) {
+    return text.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [name, dateGiven, dueDate] = entry.split('|').map(part => part.trim());
+      return { name, dateGiven, dueDate };
+    });
+  }
+  let entries;
+  try {
+    entries = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(entries) || !entries.every(entry => entry && typeof entry === 'object')) {
+    return null;
+  }
+  return entries;
+};
+
+const parseVaccinations = (text) => {
+  const entries = vaccinationEntries(String(text).trim());
+  if (!entries) {
+    return { vaccinations: [], errors: ['vaccinations must be a JSON array of vaccinations or name|dateGiven|dueDate entries'] };
+  }
+
+  const vaccinations = [];
+  const errors = [];
+  entries.forEach(entry => {
+    const vaccination = {};
+    if (entry.id) vaccination._id = entry.id;
+    VACCINATION_TEXT_FIELDS.forEach(field => {
+      if (entry[field]) vaccination[field] = String(entry[field]);
+    });
+    VACCINATION_DATE_FIELDS.forEach(field => {
+      if (!entry[field]) return;
+      const date = new Date(entry[field]);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`vaccinations: invalid ${field} "${entry[field]}" for ${vaccination.name}`);
+      } else {
+        vaccination[field] = date;
+      }
+    });
+    vaccinations.push(vaccination);
+  });
+  return { vaccinations, errors };
+};
+
+// One pet as an inventory row (every value a string)
+const petToRow = (pet) => {
+  const medical = pet.medical || {};
+  return {
+    id: pet._id.toString(),
+    name: pet.name || '',
+    type: pet.type || '',
+    breed: pet.breed || '',
+    birthDate: formatDate(pet.birthDate),
+    ageIsEstimate: pet.birthDate ? String(Boolean(pet.ageIsEstimate)) : '',
+    gender: pet.gender || '',
+    price: pet.price === undefined || pet.price === null ? '' : String(pet.price),
+    description: pet.description || '',
+    healthInfo: pet.healthInfo || '',
+    requirements: pet.requirements || '',
+    status: pet.status || '',
+    publishAt: pet.publishAt ? new Date(pet.publishAt).toISOString() : '',
+    spayNeuterStatus: medical.spayNeuterStatus || '',
+    microchipNumber: medical.microchipNumber || '',
+    vaccinations: formatVaccinations(medical.vaccinations)
+  };
+};
+
+// Spreadsheets run cells starting with these as formulas, so exported cells
+// that do are prefixed with ' (and the prefix is dropped again on import)
+const FORMULA_START = /^[=+\-@\t\r]/;
+const escapeFormula = (value) => (FORMULA_START.test(value) ? `'${value}` : value);
+const unescapeFormula = (value) => value.replace(/^'(?=[=+\-@\t\r])/, '');
+
+const toCsv = (rows) => stringify(
+  rows.map(row => Object.fromEntries(Object.entries(row).map(([column, value]) => [column, escapeFormula(value)]))),
+  { header: true, columns: INVENTORY_COLUMNS }
+);
+
+/**
+ * Read an inventory file (CSV text, or JSON text or an already parsed JSON
+ * body). Returns { rows } with every value as a trimmed string, or { error }
+ * when the file cannot be read or has columns outside the inventory format.
+ */
+const parseInventory = (content, format) => {
+  let rows;
+  try {
+    if (format === 'json') {
+      const data = typeof content === 'string' ? JSON.parse(content) : content;
+      rows = Array.isArray(data) ? data : data.pets;
+      if (!Array.isArray(rows)) {
+        return { error: 'JSON must be an array of pets or { "pets": [...] }' };
+      }
+    } else {
+      rows = parse(content, { columns: true, skip_empty_lines: true, bom: true, trim: true });
+    }
+  } catch (error) {
+    return { error: `Could not read ${format.toUpperCase()}: ${error.message}` };
+  }
+
+  const unknown = new Set();
+  rows = rows.map(row => {
+    const clean = {};
+    Object.entries(row || {}).forEach(([column, value]) => {
+      if (!INVENTORY_COLUMNS.includes(column)) {
+        unknown.add(column);
+        return;
+      }
+      const text = value === undefined || value === null ? '' : String(value).trim();
+      clean[column] = format === 'json' ? text : unescapeFormula(text);
+    });
+    return clean;
+  });
+
+  if (unknown.size) {
+    return { error: `Unknown columns: ${[...unknown].join(', ')}. Expected: ${INVENTORY_COLUMNS.join(', ')}` };
+  }
+  return { rows };
+};
+
+/**
+ * Turn an inventory row into Pet fields. Empty cells are left out, so an
+ * update only touches the columns that have values.
+ * Returns { fields, medical, errors }.
+ */
+const rowToPetFields = (row, type) => {
+  const fields = {};
+  const medical = {};
+  const errors = [];
+
+  ['name', 'type', 'breed', 'gender', 'description', 'healthInfo', 'requirements', 'status'].forEach(column => {
+    if (row[column]) fields[column] = ['gender', 'status'].includes(column) ? row[column].toLowerCase() : row[column];
+  });
+
+  if (row.price) {
+    const price = Number(row.price);
+    if (!Number.isFinite(price)) errors.push(`price must be a number, got "${row.price}"`);
+    else fields.price = price;
+  }
+
+  if (row.birthDate) {
+    const ageFields = resolveAgeFields({ birthDate: row.birthDate }, type);
+    if (ageFields.error) errors.push(ageFields.error);
+    else Object.assign(fields, ageFields);
+  }
+  if (row.ageIsEstimate) {
+    if (!['true', 'false'].includes(row.ageIsEstimate.toLowerCase())) {
+      errors.push('ageIsEstimate must be true or false');
+    } else if (fields.birthDate) {
+      fields.ageIsEstimate = row.ageIsEstimate.toLowerCase() === 'true';
+    }
+  }
+
+  if (row.publishAt) {
+    const publishAt = new Date(row.publishAt);
+    if (Number.isNaN(publishAt.getTime())) errors.push('publishAt must be a valid date');
+    else fields.publishAt = publishAt;
+  }
+
+  if (row.spayNeuterStatus) medical.spayNeuterStatus = row.spayNeuterStatus.toLowerCase();
+  if (row.microchipNumber) medical.microchipNumber = row.microchipNumber;
+  if (row.vaccinations) {
+    const parsed = parseVaccinations(row.vaccinations);
+    errors.push(...parsed.errors);
+    medical.vaccinations = parsed.vaccinations;
+  }
+
+  return { fields, medical, errors };
+};
+
+module.exports = {
+  INVENTORY_COLUMNS,
+  petToRow,
+  toCsv,
+  parseInventory,
+  rowToPetFields
+};
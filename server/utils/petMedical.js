@@ -0,0 +1,59 @@
+const AdoptionRequest = require('../models/AdoptionRequest');
+
+// Fields of Pet.medical that owners edit through PUT /api/pets/:id/medical
+const EDITABLE_MEDICAL_FIELDS = [
+  'vaccinations', 'spayNeuterStatus', 'spayNeuterDate', 'microchipNumber', 'conditions', 'medications'
+];
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * How a user relates to a pet's medical records:
+ * - 'owner': may edit them; the seller until the adoption completes, then the adopter
+ * - 'seller': the seller after handing the records over, read only
+ * - 'applicant': has asked to adopt the pet
+ * - 'public': everyone else
+ */
+const medicalAccess = async (pet, user) => {
+  if (!user) return 'public';
+  const userId = user._id.toString();
+  const adopted = pet.status === 'adopted' && pet.adopter;
+
+  if (adopted && idOf(pet.adopter) === userId) return 'owner';
+  if (idOf(pet.seller) === userId) return adopted ? 'seller' : 'owner';
+
+  const applied = await AdoptionRequest.exists({ petId: pet._id, userId: user._id });
+  return applied ? 'applicant' : 'public';
+};
+
+const canSeeDocument = (document, access) => {
+  if (access === 'owner' || access === 'seller') return true;
+  if (access === 'applicant') return document.visibility !== 'private';
+  return document.visibility === 'public';
+};
+
+// The medical records as the given access level may see them
+const medicalView = (pet, access) => {
+  const medical = pet.medical ? pet.medical.toJSON() : {};
+  medical.documents = (pet.medical ? pet.medical.documents : [])
+    .filter(document => canSeeDocument(document, access))
+    .map(document => document.toJSON());
+  if (access !== 'owner' && access !== 'seller') {
+    delete medical.microchipNumber;
+  }
+  return medical;
+};
+
+// Hand the records over to the adopter once an adoption completes
+const transferMedicalRecords = (pet, adopterId, now = new Date()) => {
+  pet.medical.transferredTo = adopterId;
+  pet.medical.transferredAt = now;
+};
+
+module.exports = {
+  EDITABLE_MEDICAL_FIELDS,
+  medicalAccess,
+  canSeeDocument,
+  medicalView,
+  transferMedicalRecords
+};
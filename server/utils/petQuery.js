@@ -0,0 +1,324 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { PUBLIC_STATUSES } = require('../models/Pet');
+const { EARTH_RADIUS_KM, lookupPostalCode, distanceKm } = require('./geo');
+const { LIFE_STAGES, birthDateCondition, lifeStageCondition } = require('./petAge');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+// Sort orders selectable through ?sort=
+const SORT_OPTIONS = {
+  newest: { field: 'createdAt', order: -1 },
+  oldest: { field: 'createdAt', order: 1 },
+  price_asc: { field: 'price', order: 1 },
+  price_desc: { field: 'price', order: -1 },
+  name: { field: 'name', order: 1 },
+  // Only valid together with ?near=
+  distance: { field: 'distance', order: 1 }
+};
+
+// Fields that facet counts are returned for
+const FACET_FIELDS = ['type', 'breed', 'gender', 'status'];
+
+// Accept both repeated params (?type=dog&type=cat) and comma lists (?type=dog,cat)
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match, since type and breed are free text
+const textListCondition = (values) => {
+  const patterns = values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i'));
+  return patterns.length === 1 ? patterns[0] : { $in: patterns };
+};
+
+// "true"/"false" query flags; undefined when absent, null when invalid
+const parseFlag = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const text = String(value).toLowerCase();
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  return null;
+};
+
+// Structured medical record filters (?vaccinated=true etc.)
+const MEDICAL_FLAGS = {
+  vaccinated: (yes) => ({ 'medical.vaccinations.0': { $exists: yes } }),
+  spayedNeutered: (yes) => ({ 'medical.spayNeuterStatus': { [yes ? '$in' : '$nin']: ['spayed', 'neutered'] } }),
+  microchipped: (yes) => ({ 'medical.microchipped': yes ? true : { $ne: true } })
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const encodeCursor = (pet, sort) => {
+  const value = pet.get(sort.field);
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    id: pet._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keyset condition: everything strictly after the cursor in the chosen order,
+// with _id as the tie breaker so equal sort values never repeat or get skipped
+const cursorCondition = (cursor, sort) => {
+  const op = sort.order === 1 ? '$gt' : '$lt';
+  const value = sort.field === 'createdAt' ? new Date(cursor.v) : cursor.v;
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return {
+    $or: [
+      { [sort.field]: { [op]: value } },
+      { [sort.field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+/**
+ * Parse the query string of GET /api/pets into a MongoDB filter, sort and page size.
+ * Returns { errors } instead when a parameter is invalid.
+ */
+const parsePetQuery = async (query) => {
+  const errors = [];
+  const filter = {};
+
+  const types = toList(query.type);
+  if (types.length) filter.type = textListCondition(types);
+
+  const breeds = toList(query.breed);
+  if (breeds.length) filter.breed = textListCondition(breeds);
+
+  const genders = toList(query.gender).map(g => g.toLowerCase());
+  if (genders.length) {
+    const invalid = genders.filter(g => !['male', 'female'].includes(g));
+    if (invalid.length) errors.push(`Invalid gender: ${invalid.join(', ')}`);
+    filter.gender = { $in: genders };
+  }
+
+  // Drafts, scheduled and archived listings are never public
+  const statuses = toList(query.status).map(s => s.toLowerCase());
+  const invalidStatuses = statuses.filter(s => !PUBLIC_STATUSES.includes(s));
+  if (invalidStatuses.length) errors.push(`Invalid status: ${invalidStatuses.join(', ')}`);
+  filter.status = { $in: statuses.length ? statuses : PUBLIC_STATUSES };
+
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  if (Number.isNaN(minPrice)) errors.push('minPrice must be a number');
+  if (Number.isNaN(maxPrice)) errors.push('maxPrice must be a number');
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  const minAgeMonths = parseNumber(query.minAgeMonths);
+  const maxAgeMonths = parseNumber(query.maxAgeMonths);
+  if (Number.isNaN(minAgeMonths)) errors.push('minAgeMonths must be a number');
+  if (Number.isNaN(maxAgeMonths)) errors.push('maxAgeMonths must be a number');
+  if (minAgeMonths !== undefined || maxAgeMonths !== undefined) {
+    filter.birthDate = birthDateCondition(minAgeMonths, maxAgeMonths);
+  }
+
+  const lifeStages = toList(query.lifeStage).map(s => s.toLowerCase());
+  if (lifeStages.length) {
+    const invalid = lifeStages.filter(s => !LIFE_STAGES.includes(s));
+    if (invalid.length) errors.push(`Invalid lifeStage: ${invalid.join(', ')}`);
+    filter.$and = [lifeStageCondition(lifeStages)];
+  }
+
+  Object.entries(MEDICAL_FLAGS).forEach(([name, condition]) => {
+    const flag = parseFlag(query[name]);
+    if (flag === null) errors.push(`${name} must be true or false`);
+    if (typeof flag === 'boolean') Object.assign(filter, condition(flag));
+  });
+
+  const businessTypes = toList(query.sellerBusinessType).map(t => t.toLowerCase());
+  if (businessTypes.length) {
+    const invalid = businessTypes.filter(t => !['shelter', 'shop'].includes(t));
+    if (invalid.length) errors.push(`Invalid sellerBusinessType: ${invalid.join(', ')}`);
+    const sellerIds = await User.find({
+      userType: 'business',
+      businessType: { $in: businessTypes }
+    }).distinct('_id');
+    filter.seller = { $in: sellerIds };
+  }
+
+  let near = null;
+  let radiusKm = null;
+  if (query.near) {
+    near = lookupPostalCode(query.near);
+    if (!near) errors.push(`Unknown postal code: ${query.near}`);
+
+    radiusKm = query.radiusKm === undefined ? DEFAULT_RADIUS_KM : parseNumber(query.radiusKm);
+    if (Number.isNaN(radiusKm) || radiusKm <= 0) {
+      errors.push('radiusKm must be a positive number');
+    }
+    radiusKm = Math.min(radiusKm, MAX_RADIUS_KM);
+
+    if (near && !errors.length) {
+      filter.location = {
+        $geoWithin: { $centerSphere: [near.coordinates, radiusKm / EARTH_RADIUS_KM] }
+      };
+    }
+  }
+
+  const sortKey = query.sort || (near ? 'distance' : 'newest');
+  const sort = SORT_OPTIONS[sortKey];
+  if (!sort) {
+    errors.push(`Invalid sort. Must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  } else if (sortKey === 'distance' && !query.near) {
+    errors.push('sort=distance requires near');
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      errors.push('limit must be a positive integer');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) errors.push('Invalid cursor');
+  }
+
+  if (errors.length) return { errors };
+
+  return { filter, sort, sortKey, limit, cursor, near, radiusKm };
+};
+
+const findSortedPets = (Pet, { filter, sort, limit, cursor }, { populate }) => {
+  const pageFilter = cursor ? { $and: [filter, cursorCondition(cursor, sort)] } : filter;
+
+  let query = Pet.find(pageFilter)
+    .sort({ [sort.field]: sort.order, _id: sort.order })
+    .limit(limit + 1);
+  if (populate) query = query.populate(populate.path, populate.select);
+  return query;
+};
+
+// Distance-sorted page through $geoNear. The cursor holds the last distance in
+// metres, so the next page starts from there via minDistance.
+const findNearestPets = async (Pet, { filter, limit, cursor, near }, { populate }) => {
+  const { location, ...rest } = filter;
+  const geoNear = {
+    near,
+    key: 'location',
+    distanceField: 'distance',
+    maxDistance: location.$geoWithin.$centerSphere[1] * EARTH_RADIUS_KM * 1000,
+    query: Pet.find(rest).cast(),
+    spherical: true
+  };
+
+  const pipeline = [{ $geoNear: geoNear }];
+  if (cursor) {
+    geoNear.minDistance = cursor.v;
+    pipeline.push({
+      $match: {
+        $or: [
+          { distance: { $gt: cursor.v } },
+          { distance: cursor.v, _id: { $gt: new mongoose.Types.ObjectId(cursor.id) } }
+        ]
+      }
+    });
+  }
+  pipeline.push(
+    { $sort: { distance: 1, _id: 1 } },
+    { $limit: limit + 1 },
+    // Aggregation skips select: false, so leave out what it hides
+    { $project: { 'medical.documents': 0, 'medical.microchipNumber': 0 } }
+  );
+
+  // Hydrate the rows so they serialise like any other page (virtuals and
+  // toJSON transforms); distance is kept as an extra field
+  const pets = (await Pet.aggregate(pipeline)).map(row => Pet.hydrate(row));
+  // Aggregation skips query middleware, so populate media references here
+  await Pet.populate(pets, 'images');
+  if (populate) await Pet.populate(pets, { path: populate.path, select: populate.select });
+  return pets;
+};
+
+/**
+ * Run a parsed pet query: one page of results plus facet counts for the
+ * whole filtered set (facets ignore the cursor).
+ */
+const findPets = async (Pet, { filter, sort, limit, cursor, near }, { populate } = {}) => {
+  const petsQuery = sort.field === 'distance'
+    ? findNearestPets(Pet, { filter, limit, cursor, near }, { populate })
+    : findSortedPets(Pet, { filter, sort, limit, cursor }, { populate });
+
+  const facetStages = {};
+  FACET_FIELDS.forEach(field => {
+    facetStages[field] = [
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+  });
+  facetStages.total = [{ $count: 'count' }];
+
+  const [pets, [facetResult]] = await Promise.all([
+    petsQuery,
+    Pet.aggregate([{ $match: Pet.find(filter).cast() }, { $facet: facetStages }])
+  ]);
+
+  const hasMore = pets.length > limit;
+  let page = hasMore ? pets.slice(0, limit) : pets;
+  const nextCursor = hasMore ? encodeCursor(page[page.length - 1], sort) : null;
+
+  // Annotate every result with its distance from the search centre
+  if (near) {
+    page = page.map(pet => {
+      const { distance, ...doc } = pet.toJSON();
+      const km = distance !== undefined
+        ? distance / 1000
+        : doc.location && doc.location.coordinates ? distanceKm(near, doc.location) : null;
+      return { ...doc, distanceKm: km === null ? null : Math.round(km * 10) / 10 };
+    });
+  }
+
+  const facets = {};
+  FACET_FIELDS.forEach(field => {
+    facets[field] = facetResult[field].map(bucket => ({ value: bucket._id, count: bucket.count }));
+  });
+
+  return {
+    pets: page,
+    total: facetResult.total.length ? facetResult.total[0].count : 0,
+    hasMore,
+    nextCursor,
+    facets
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  FACET_FIELDS,
+  escapeRegex,
+  parsePetQuery,
+  findPets
+};
@@ -0,0 +1,225 @@
+const Pet = require('../models/Pet');
+const { distanceKm } = require('./geo');
+const { LIFE_STAGES, ageInMonths, lifeStageFor } = require('./petAge');
+const { escapeRegex } = require('./petQuery');
+
+const SIGNALS = ['type', 'breed', 'age', 'gender', 'price', 'distance', 'description'];
+
+const DEFAULT_WEIGHTS = {
+  type: 4,
+  breed: 3,
+  age: 2,
+  gender: 1,
+  price: 1,
+  distance: 2,
+  description: 2
+};
+
+// Each weight can be overridden with SIMILAR_PETS_WEIGHT_<SIGNAL>; 0 turns a signal off
+const weightFromEnv = (signal) => {
+  const value = process.env[`SIMILAR_PETS_WEIGHT_${signal.toUpperCase()}`];
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0
+    ? number
+    : DEFAULT_WEIGHTS[signal];
+};
+
+const WEIGHTS = Object.fromEntries(SIGNALS.map(signal => [signal, weightFromEnv(signal)]));
+
+// Sellers further apart than this score nothing for distance
+const SIMILAR_PETS_DISTANCE_KM = Number(process.env.SIMILAR_PETS_DISTANCE_KM) || 100;
+const SIMILAR_PETS_CACHE_MINUTES = Number(process.env.SIMILAR_PETS_CACHE_MINUTES) || 15;
+
+const MAX_CACHE_ENTRIES = 1000;
+// How many available pets are scored per request
+const CANDIDATE_LIMIT = 500;
+const MAX_RESULTS = 20;
+
+const SELECT_FIELDS = 'type breed birthDate gender price description location';
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'are', 'was', 'has', 'have', 'his', 'her',
+  'she', 'him', 'they', 'very', 'will', 'from', 'but', 'not', 'all', 'who', 'our', 'your',
+  'you', 'can', 'loves', 'love', 'pet', 'just', 'also', 'been', 'into', 'its', 'out'
+]);
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const tokenize = (text) => normalize(text)
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+// Share of words in common, so "Labrador Mix" is close to "Labrador Retriever"
+const overlap = (a, b) => {
+  const left = new Set(tokenize(a));
+  const right = new Set(tokenize(b));
+  if (!left.size || !right.size) return 0;
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / new Set([...left, ...right]).size;
+};
+
+const lifeStageOf = (pet) => lifeStageFor(ageInMonths(pet.birthDate), pet.type);
+
+// TF-IDF vectors for the descriptions of the source pet and every candidate
+const descriptionVectors = (pets) => {
+  const termCounts = pets.map(pet => {
+    const counts = new Map();
+    tokenize(pet.description).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  termCounts.forEach(counts => {
+    counts.forEach((count, word) => documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1));
+  });
+
+  return termCounts.map(counts => {
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((count, word) => {
+      const weight = count * Math.log((1 + pets.length) / (1 + documentFrequency.get(word)));
+      vector.set(word, weight);
+      norm += weight * weight;
+    });
+    return { vector, norm: Math.sqrt(norm) };
+  });
+};
+
+const cosine = (a, b) => {
+  if (!a.norm || !b.norm) return 0;
+  let dot = 0;
+  a.vector.forEach((weight, word) => {
+    if (b.vector.has(word)) dot += weight * b.vector.get(word);
+  });
+  return dot / (a.norm * b.norm);
+};
+
+// How alike two pets are on each signal, from 0 to 1
+const signalScores = (source, candidate, descriptionScore) => {
+  const sourceStage = lifeStageOf(source);
+  const candidateStage = lifeStageOf(candidate);
+  const stageGap = sourceStage && candidateStage
+    ? Math.abs(LIFE_STAGES.indexOf(sourceStage) - LIFE_STAGES.indexOf(candidateStage))
+    : null;
+
+  const hasPrice = typeof source.price === 'number' && typeof candidate.price === 'number';
+  const highestPrice = hasPrice ? Math.max(source.price, candidate.price) : 0;
+
+  const hasLocation = source.location && source.location.coordinates && source.location.coordinates.length &&
+    candidate.location && candidate.location.coordinates && candidate.location.coordinates.length;
+
+  return {
+    type: normalize(source.type) && normalize(source.type) === normalize(candidate.type) ? 1 : 0,
+    breed: normalize(source.breed) && normalize(source.breed) === normalize(candidate.breed)
+      ? 1
+      : overlap(source.breed, candidate.breed),
+    age: stageGap === null ? 0 : Math.max(0, 1 - stageGap / 2),
+    gender: source.gender && source.gender === candidate.gender ? 1 : 0,
+    price: !hasPrice ? 0 : highestPrice === 0 ? 1 : 1 - Math.abs(source.price - candidate.price) / highestPrice,
+    distance: hasLocation
+      ? Math.max(0, 1 - distanceKm(source.location, candidate.location) / SIMILAR_PETS_DISTANCE_KM)
+      : 0,
+    description: descriptionScore
+  };
+};
+
+const weightedScore = (signals) => {
+  const total = SIGNALS.reduce((sum, signal) => sum + WEIGHTS[signal], 0);
+  if (!total) return 0;
+  const score = SIGNALS.reduce((sum, signal) => sum + WEIGHTS[signal] * signals[signal], 0) / total;
+  return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * Rank available pets by similarity to `source`. Pets of the same type are
+ * scored first; other types only fill in when there are too few.
+ * Returns [{ pet: id, score, signals }] best first.
+ */
+const rankSimilarPets = async (source) => {
+  const base = { _id: { $ne: source._id }, status: 'available' };
+  const sameType = source.type ? new RegExp(`^${escapeRegex(normalize(source.type))}$`, 'i') : null;
+
+  const find = (filter, limit) => Pet.find(filter)
+    .select(SELECT_FIELDS)
+    .setOptions({ populateMedia: false })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  let candidates = sameType ? await find({ ...base, type: sameType }, CANDIDATE_LIMIT) : [];
+  if (candidates.length < MAX_RESULTS) {
+    const others = await find(
+      { ...base, _id: { $nin: [source._id, ...candidates.map(pet => pet._id)] } },
+      CANDIDATE_LIMIT - candidates.length
+    );
+    candidates = candidates.concat(others);
+  }
+
+  const [sourceVector, ...candidateVectors] = descriptionVectors([source, ...candidates]);
+
+  return candidates
+    .map((candidate, index) => {
+      const signals = signalScores(source, candidate, cosine(sourceVector, candidateVectors[index]));
+      Object.keys(signals).forEach(signal => {
+        signals[signal] = Math.round(signals[signal] * 1000) / 1000;
+      });
+      return { pet: candidate._id, score: weightedScore(signals), signals };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+};
+
+// Rankings per source pet id: { rankings, expiresAt }. Oldest entries are
+// dropped first once the cache is full.
+const cache = new Map();
+
+const cachedRankings = async (source) => {
+  const key = source._id.toString();
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) {
+    return hit.rankings;
+  }
+
+  const rankings = await rankSimilarPets(source);
+  cache.delete(key);
+  cache.set(key, { rankings, expiresAt: Date.now() + SIMILAR_PETS_CACHE_MINUTES * 60 * 1000 });
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  return rankings;
+};
+
+// Forget cached rankings for one pet, or all of them
+const clearSimilarPetsCache = (petId) => {
+  if (petId) cache.delete(petId.toString());
+  else cache.clear();
+};
+
+/**
+ * Up to `limit` available pets most similar to `source`, as
+ * [{ pet, score, signals }]. Rankings are cached for
+ * SIMILAR_PETS_CACHE_MINUTES; pets that stopped being available since then
+ * are left out.
+ */
+const findSimilarPets = async (source, limit) => {
+  const rankings = await cachedRankings(source);
+  const ids = rankings.map(entry => entry.pet);
+  const pets = await Pet.find({ _id: { $in: ids }, status: 'available' })
+    .populate('seller', 'name businessName');
+  const petsById = new Map(pets.map(pet => [pet._id.toString(), pet]));
+
+  return rankings
+    .filter(entry => petsById.has(entry.pet.toString()))
+    .slice(0, limit)
+    .map(entry => ({ ...entry, pet: petsById.get(entry.pet.toString()) }));
+};
+
+module.exports = {
+  SIGNALS,
+  WEIGHTS,
+  MAX_RESULTS,
+  signalScores,
+  rankSimilarPets,
+  findSimilarPets,
+  clearSimilarPetsCache
+};
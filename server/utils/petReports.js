@@ -0,0 +1,252 @@
+const PetReport = require('../models/PetReport');
+const PetReportMatch = require('../models/PetReportMatch');
+const Notification = require('../models/Notification');
+const { EARTH_RADIUS_KM, distanceKm } = require('./geo');
+const { escapeRegex } = require('./petQuery');
+const { saveIfStill, processEach } = require('./jobs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Open reports expire after this many days unless renewed
+const LOST_FOUND_EXPIRY_DAYS = Number(process.env.LOST_FOUND_EXPIRY_DAYS) || 90;
+// Sightings further apart than this, or this many days apart, are not matched
+const LOST_FOUND_MATCH_RADIUS_KM = Number(process.env.LOST_FOUND_MATCH_RADIUS_KM) || 25;
+const LOST_FOUND_MATCH_WINDOW_DAYS = Number(process.env.LOST_FOUND_MATCH_WINDOW_DAYS) || 30;
+const LOST_FOUND_MIN_MATCH_SCORE = Number(process.env.LOST_FOUND_MIN_MATCH_SCORE) || 0.5;
+const LOST_FOUND_JOB_INTERVAL_MINUTES = Number(process.env.LOST_FOUND_JOB_INTERVAL_MINUTES) || 60;
+
+// Species must match; these weigh the other signals
+const MATCH_WEIGHTS = { breed: 2, colors: 2, distance: 3, date: 2 };
+// Score for a signal one side did not give, so it neither helps nor rules out
+const UNKNOWN_SIGNAL_SCORE = 0.5;
+// A pet may be found shortly before its owner reports the exact time it went missing
+const DATE_TOLERANCE_MS = DAY_MS;
+const MAX_MATCHES_PER_REPORT = 50;
+
+const COLOR_WORDS = [
+  'black', 'white', 'brown', 'tan', 'grey', 'gray', 'golden', 'gold', 'cream', 'red', 'orange',
+  'ginger', 'yellow', 'brindle', 'merle', 'tabby', 'calico', 'tortoiseshell', 'spotted', 'chocolate'
+];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const words = (text) => normalize(text).split(/[^a-z]+/).filter(Boolean);
+
+const expiryDateFrom = (date = new Date()) => new Date(date.getTime() + LOST_FOUND_EXPIRY_DAYS * DAY_MS);
+
+const jaccard = (a, b) => {
+  const left = new Set(a);
+  const right = new Set(b);
+  if (!left.size || !right.size) return UNKNOWN_SIGNAL_SCORE;
+  const shared = [...left].filter(value => right.has(value)).length;
+  return shared / new Set([...left, ...right]).size;
+};
+
+/**
+ * What the matcher compares, for a report or a listed pet. Pets have no
+ * colour field, so colour words are taken from their description; they were
+ * "seen" where their seller is, when they were listed.
+ */
+const sightingOf = (item) => {
+  if (item.kind) {
+    return {
+      species: normalize(item.species),
+      breed: normalize(item.breed),
+      colors: (item.colors || []).map(normalize),
+      location: item.lastSeenLocation,
+      seenAt: item.lastSeenAt
+    };
+  }
+  return {
+    species: normalize(item.type),
+    breed: normalize(item.breed),
+    colors: words(item.description).filter(word => COLOR_WORDS.includes(word)),
+    location: item.location,
+    seenAt: item.publishedAt || item.createdAt
+  };
+};
+
+const hasPoint = (location) => Boolean(location && location.coordinates && location.coordinates.length === 2);
+
+/**
+ * Score how likely `found` (a found report or a pet) is the pet in `lost`.
+ * Returns { score, signals } with values from 0 to 1, or null when they
+ * cannot be the same pet: another species, too far apart, found too long
+ * after or before the pet went missing.
+ */
+const scoreMatch = (lost, found) => {
+  const a = sightingOf(lost);
+  const b = sightingOf(found);
+  if (!a.species || a.species !== b.species) return null;
+
+  const gap = b.seenAt - a.seenAt;
+  if (gap < -DATE_TOLERANCE_MS || gap > LOST_FOUND_MATCH_WINDOW_DAYS * DAY_MS) return null;
+
+  if (!hasPoint(a.location) || !hasPoint(b.location)) return null;
+  const distance = distanceKm(a.location, b.location);
+  if (distance > LOST_FOUND_MATCH_RADIUS_KM) return null;
+
+  const signals = {
+    breed: !a.breed || !b.breed
+      ? UNKNOWN_SIGNAL_SCORE
+      : a.breed === b.breed ? 1 : jaccard(words(a.breed), words(b.breed)),
+    colors: jaccard(a.colors, b.colors),
+    distance: 1 - distance / LOST_FOUND_MATCH_RADIUS_KM,
+    date: 1 - Math.max(0, gap) / (LOST_FOUND_MATCH_WINDOW_DAYS * DAY_MS)
+  };
+  Object.keys(signals).forEach(signal => {
+    signals[signal] = Math.round(signals[signal] * 1000) / 1000;
+  });
+
+  const totalWeight = Object.values(MATCH_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+  const score = Object.entries(MATCH_WEIGHTS)
+    .reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0) / totalWeight;
+  return { score: Math.round(score * 1000) / 1000, signals };
+};
+
+const notify = (userId, report, message) => Notification.create({
+  user: userId,
+  type: 'report_match',
+  message,
+  report: report._id
+});
+
+/**
+ * Compare a report with the open reports of the other kind and store every
+ * pair that scores at least LOST_FOUND_MIN_MATCH_SCORE. Both reporters are
+ * notified about new matches. Returns the new matches.
+ */
+const matchReport = async (report) => {
+  if (report.status !== 'open') return [];
+
+  const seenAt = report.lastSeenAt.getTime();
+  const window = LOST_FOUND_MATCH_WINDOW_DAYS * DAY_MS;
+  const candidates = await PetReport.find({
+    kind: report.kind === 'lost' ? 'found' : 'lost',
+    status: 'open',
+    reporter: { $ne: report.reporter },
+    species: new RegExp(`^${escapeRegex(normalize(report.species))}$`, 'i'),
+    lastSeenAt: report.kind === 'lost'
+      ? { $gte: new Date(seenAt - DATE_TOLERANCE_MS), $lte: new Date(seenAt + window) }
+      : { $gte: new Date(seenAt - window), $lte: new Date(seenAt + DATE_TOLERANCE_MS) },
+    lastSeenLocation: {
+      $geoWithin: {
+        $centerSphere: [report.lastSeenLocation.coordinates, LOST_FOUND_MATCH_RADIUS_KM / EARTH_RADIUS_KM]
+      }
+    }
+  }).setOptions({ populateMedia: false });
+
+  const scored = candidates
+    .map(candidate => {
+      const [lost, found] = report.kind === 'lost' ? [report, candidate] : [candidate, report];
+      return { lost, found, result: scoreMatch(lost, found) };
+    })
+    .filter(({ result }) => result && result.score >= LOST_FOUND_MIN_MATCH_SCORE)
+    .sort((a, b) => b.result.score - a.result.score)
+    .slice(0, MAX_MATCHES_PER_REPORT);
+
+  const created = [];
+  for (const { lost, found, result } of scored) {
+    const exists = await PetReportMatch.exists({ lostReport: lost._id, foundReport: found._id });
+    if (exists) continue;
+
+    try {
+      created.push(await PetReportMatch.create({
+        lostReport: lost._id,
+        foundReport: found._id,
+        score: result.score,
+        signals: result.signals,
+        source: 'matcher'
+      }));
+    } catch (error) {
+      // Matched concurrently from the other report
+      if (error.code === 11000) continue;
+      throw error;
+    }
+    await notify(lost.reporter, lost, `A found pet report may match your lost ${lost.species}${lost.name ? ` ${lost.name}` : ''}.`);
+    await notify(found.reporter, found, `A lost pet report may match the ${found.species} you found.`);
+  }
+  return created;
+};
+
+/**
+ * Open lost reports a listed pet could be, best match first, as
+ * [{ report, score, signals }]. Lets shelters check new arrivals.
+ */
+const lostReportCandidates = async (pet) => {
+  const sighting = sightingOf(pet);
+  if (!sighting.species || !hasPoint(sighting.location)) return [];
+
+  const seenAt = new Date(sighting.seenAt).getTime();
+  const reports = await PetReport.find({
+    kind: 'lost',
+    status: 'open',
+    species: new RegExp(`^${escapeRegex(sighting.species)}$`, 'i'),
+    lastSeenAt: {
+      $gte: new Date(seenAt - LOST_FOUND_MATCH_WINDOW_DAYS * DAY_MS),
+      $lte: new Date(seenAt + DATE_TOLERANCE_MS)
+    },
+    lastSeenLocation: {
+      $geoWithin: {
+        $centerSphere: [sighting.location.coordinates, LOST_FOUND_MATCH_RADIUS_KM / EARTH_RADIUS_KM]
+      }
+    }
+  });
+
+  return reports
+    .map(report => ({ report, ...scoreMatch(report, pet) }))
+    .filter(entry => entry.score !== undefined)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHES_PER_REPORT);
+};
+
+/**
+ * Mark open reports past their expiry date as expired and tell their
+ * reporters, once each even with several server instances running the job.
+ * Returns how many expired.
+ */
+const expireReports = async (now = new Date()) => {
+  const expired = await PetReport.find({ status: 'open', expiresAt: { $lte: now } })
+    .setOptions({ populateMedia: false });
+  return processEach(expired, 'Expiring report', async (report) => {
+    report.status = 'expired';
+    report.resolvedAt = now;
+    if (!await saveIfStill(report, { status: 'open', expiresAt: { $lte: now } })) return false;
+    await Notification.create({
+      user: report.reporter,
+      type: 'report_expired',
+      message: `Your ${report.kind} ${report.species} report has expired. Renew it if you are still looking.`,
+      report: report._id
+    });
+    return true;
+  });
+};
+
+// Expire reports now and then every LOST_FOUND_JOB_INTERVAL_MINUTES in this process
+const startReportExpiryJob = () => {
+  const run = async () => {
+    try {
+      const expired = await expireReports();
+      if (expired) {
+        console.log('Lost & found reports expired:', expired);
+      }
+    } catch (error) {
+      console.error('Lost & found expiry job error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, LOST_FOUND_JOB_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  LOST_FOUND_EXPIRY_DAYS,
+  expiryDateFrom,
+  scoreMatch,
+  matchReport,
+  lostReportCandidates,
+  expireReports,
+  startReportExpiryJob
+};
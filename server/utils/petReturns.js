@@ -0,0 +1,144 @@
+const Notification = require('../models/Notification');
+const Pet = require('../models/Pet');
+const PetReturn = require('../models/PetReturn');
+const PetStatusChange = require('../models/PetStatusChange');
+const { inTransaction } = require('./adoptionRequests');
+const { publishPet } = require('./listingLifecycle');
+const { transferMedicalRecords } = require('./petMedical');
+const { scheduleCheckIns, cancelCheckIns } = require('./checkIns');
+
+const { RETURN_STATUSES } = PetReturn;
+
+// What the adopter is told when the shelter moves their case
+const ADOPTER_MESSAGES = {
+  return: {
+    completed: name => `The shelter has taken ${name} back. Thank you for letting them know.`,
+    declined: name => `The shelter declined the return of ${name}. Please get in touch with them.`
+  },
+  rehoming: {
+    listed: name => `The shelter approved rehoming ${name}; people can now ask to give them a home.`,
+    completed: name => `${name} has moved to their new home.`,
+    declined: name => `The shelter declined rehoming ${name}. Please get in touch with them.`
+  }
+};
+
+const notify = (entries, session) => Notification.insertMany(entries, { session });
+
+// The pet's adopter still has it, so the case can go ahead
+const stillWithAdopter = (pet, record) =>
+  pet.status === 'adopted' && Boolean(pet.adopter) && pet.adopter.toString() === record.adopter.toString();
+
+// Hand the pet back to the shelter: it is listed again with its medical
+// records and profile as they are, and the adopter's check-ins are cancelled
+const completeReturn = async (record, pet, { actor, now }, session) => {
+  publishPet(pet, now, {
+    actor,
+    reason: `Returned by the adopter: ${record.reason}`,
+    returnRecord: record._id
+  });
+  pet.adopter = null;
+  pet.medical.transferredTo = null;
+  pet.medical.transferredAt = null;
+  await pet.save();
+  await cancelCheckIns(pet._id, session);
+};
+
+// Move the pet to the adopter's chosen new home; follow-up check-ins start
+// again for the new adopter. The pet stays adopted, so the handover is added
+// to its status history here rather than by the status change hook.
+const completeRehoming = async (record, pet, { actor, now }, session) => {
+  pet.adopter = record.newAdopter;
+  transferMedicalRecords(pet, record.newAdopter, now);
+  await pet.save();
+  await PetStatusChange.record(pet, pet.status, {
+    actor,
+    reason: `Rehomed by the adopter: ${record.reason}`,
+    returnRecord: record._id
+  }, session);
+  await cancelCheckIns(pet._id, session);
+  await scheduleCheckIns({
+    pet: pet._id,
+    adopter: record.newAdopter,
+    business: record.shelter,
+    adoptionRequest: null,
+    adoptedAt: now
+  }, session);
+};
+
+/**
+ * Move a return or rehoming case to `status` on behalf of `user`, in one
+ * transaction with what it does to the pet. Only the party named in
+ * RETURN_TRANSITIONS may make each move; a rehoming can only complete once
+ * the adopter has chosen the new adopter. Returns { record } or
+ * { error, status } with the HTTP status to answer with.
+ */
+const changeReturnStatus = async (returnId, status, { user, note }) => {
+  if (!RETURN_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${RETURN_STATUSES.join(', ')}`, status: 400 };
+  }
+
+  return inTransaction(async (session) => {
+    const record = await PetReturn.findById(returnId).session(session);
+    if (!record) return { error: 'Return not found', status: 404 };
+    const pet = await Pet.findById(record.pet).session(session).setOptions({ populateMedia: false });
+    if (!pet) return { error: 'Pet not found', status: 404 };
+
+    const userId = user._id.toString();
+    const role = record.shelter.toString() === userId ? 'shelter'
+      : record.adopter.toString() === userId ? 'adopter'
+        : null;
+    if (!role) return { error: 'Not authorized to update this return', status: 403 };
+
+    const party = PetReturn.transitionParty(record.type, record.status, status);
+    if (!party) return { error: `A ${record.status} ${record.type} cannot be moved to ${status}`, status: 409 };
+    if (party !== role) return { error: `Only the ${party} can move this ${record.type} to ${status}`, status: 403 };
+
+    const now = new Date();
+    if (status === 'completed' || status === 'listed') {
+      if (!stillWithAdopter(pet, record)) {
+        return { error: 'This pet is no longer with the adopter', status: 409 };
+      }
+      if (status === 'completed' && record.type === 'rehoming' && !record.newAdopter) {
+        return { error: 'The adopter has not chosen a new home yet', status: 409 };
+      }
+    }
+
+    if (status === 'completed') {
+      if (record.type === 'return') {
+        await completeReturn(record, pet, { actor: user._id, now }, session);
+      } else {
+        await completeRehoming(record, pet, { actor: user._id, now }, session);
+      }
+      record.completedAt = now;
+    }
+    record.status = status;
+    record.updatedAt = now;
+    record.history.push({ status, actor: user._id, note, at: now });
+    await record.save();
+
+    const entries = [];
+    const message = ADOPTER_MESSAGES[record.type][status];
+    if (message) {
+      entries.push({ user: record.adopter, message: message(pet.name) });
+    }
+    if (status === 'cancelled') {
+      entries.push({ user: record.shelter, message: `The adopter of ${pet.name} called off the ${record.type}.` });
+    }
+    if (status === 'completed' && record.type === 'rehoming') {
+      entries.push({ user: record.newAdopter, message: `${pet.name} is now yours. Welcome to the family!` });
+    }
+    await notify(entries.map(entry => ({
+      ...entry,
+      type: 'pet_return',
+      pet: pet._id,
+      petReturn: record._id
+    })), session);
+
+    return { record };
+  });
+};
+
+module.exports = {
+  stillWithAdopter,
+  changeReturnStatus
+};
@@ -0,0 +1,107 @@
+const SavedSearch = require('../models/SavedSearch');
+const SearchAlert = require('../models/SearchAlert');
+const User = require('../models/User');
+const { ageInMonths, lifeStageFor } = require('./petAge');
+const { lookupPostalCode, distanceKm } = require('./geo');
+
+const DEFAULT_RADIUS_KM = 25;
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const hasValues = (list) => Array.isArray(list) && list.length > 0;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Check one pet against saved search criteria, with the same meaning as the
+ * GET /api/pets filters. Searches without a status only match available pets.
+ */
+const petMatchesCriteria = (pet, criteria, seller) => {
+  if (hasValues(criteria.type) && !criteria.type.some(t => sameText(t, pet.type))) return false;
+  if (hasValues(criteria.breed) && !criteria.breed.some(b => sameText(b, pet.breed))) return false;
+  if (hasValues(criteria.gender) && !criteria.gender.includes(pet.gender)) return false;
+
+  const statuses = hasValues(criteria.status) ? criteria.status : ['available'];
+  if (!statuses.includes(pet.status)) return false;
+
+  if (isSet(criteria.minPrice) && pet.price < criteria.minPrice) return false;
+  if (isSet(criteria.maxPrice) && pet.price > criteria.maxPrice) return false;
+
+  if (hasValues(criteria.sellerBusinessType) &&
+      !(seller && criteria.sellerBusinessType.includes(seller.businessType))) {
+    return false;
+  }
+
+  if (isSet(criteria.minAgeMonths) || isSet(criteria.maxAgeMonths) || hasValues(criteria.lifeStage)) {
+    const months = ageInMonths(pet.birthDate);
+    if (months === null) return false;
+    if (isSet(criteria.minAgeMonths) && months < criteria.minAgeMonths) return false;
+    if (isSet(criteria.maxAgeMonths) && months > criteria.maxAgeMonths) return false;
+    if (hasValues(criteria.lifeStage) && !criteria.lifeStage.includes(lifeStageFor(months, pet.type))) {
+      return false;
+    }
+  }
+
+  const medical = pet.medical || {};
+  const flags = {
+    vaccinated: Boolean(medical.vaccinations && medical.vaccinations.length),
+    spayedNeutered: ['spayed', 'neutered'].includes(medical.spayNeuterStatus),
+    microchipped: Boolean(medical.microchipped)
+  };
+  if (Object.keys(flags).some(flag => isSet(criteria[flag]) && criteria[flag] !== flags[flag])) return false;
+
+  if (criteria.near) {
+    const centre = lookupPostalCode(criteria.near);
+    if (!centre || !pet.location || !hasValues(pet.location.coordinates)) return false;
+    if (distanceKm(centre, pet.location) > (criteria.radiusKm || DEFAULT_RADIUS_KM)) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Evaluate a newly created or updated pet against every saved search with
+ * alerts enabled and record an alert for each match. Alerts are unique per
+ * search and pet, so a pet that keeps matching only alerts once.
+ * Returns the number of new alerts.
+ */
+const recordSearchAlerts = async (pet) => {
+  const searches = await SavedSearch.find({
+    alertsEnabled: true,
+    user: { $ne: pet.seller }
+  }).lean();
+  if (!searches.length) return 0;
+
+  const seller = await User.findById(pet.seller).select('businessType');
+  const matches = searches.filter(search => petMatchesCriteria(pet, search.criteria || {}, seller));
+  if (!matches.length) return 0;
+
+  const result = await SearchAlert.bulkWrite(matches.map(search => ({
+    updateOne: {
+      filter: { savedSearch: search._id, pet: pet._id },
+      update: { $setOnInsert: { user: search.user, createdAt: new Date() } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return result.upsertedCount;
+};
+
+// Record saved search alerts for a created or updated pet. Failures are only
+// logged so they never fail the listing change itself.
+const notifySavedSearches = async (pet) => {
+  try {
+    const created = await recordSearchAlerts(pet);
+    if (created > 0) {
+      console.log(`Recorded ${created} saved search alerts for pet:`, pet._id);
+    }
+  } catch (error) {
+    console.error('Error recording saved search alerts:', error);
+  }
+};
+
+module.exports = {
+  petMatchesCriteria,
+  recordSearchAlerts,
+  notifySavedSearches
+};